@@ -2,8 +2,13 @@ pushd %~dp0
 
 
 del *.wixobj
+
+rem Update the hashes of the patch files in the manifest.
+node tools\updatePatchManifest.js || goto :end
+
 candle -out debuglog-fix.wixobj debuglog-fix.wxs
 
 light debuglog-fix.wixobj -sacl -sice:ICE91 -o Morphic-debuglog-fix.msi
 
+:end
 popd
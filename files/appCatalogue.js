@@ -0,0 +1,248 @@
+/*
+ * Classifies applications by what they are, such as a screen reader or a browser, and tracks the use of assistive
+ * technology.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.appCatalogue");
+
+/**
+ * An entry in the application catalogue.
+ * @typedef {Object} CatalogueEntry
+ * @property {String} category The category, like "screen-reader" or "browser".
+ * @property {Array<String>} exe The executable names (without the directory).
+ * @property {Array<String>} appId The app ids of a packaged (UWP) application. An id without the "!" (the package
+ *  family name) matches every app in the package.
+ */
+
+/**
+ * The applications that are recognised, by product name. Added to (or overridden) by the applicationCatalogue of the
+ * site config.
+ */
+windows.metrics.appCatalogue.defaultCatalogue = fluid.freezeRecursive({
+    "Narrator": { category: "screen-reader", exe: ["narrator.exe"] },
+    "NVDA": { category: "screen-reader", exe: ["nvda.exe"] },
+    "JAWS": { category: "screen-reader", exe: ["jfw.exe"] },
+    "Magnifier": { category: "magnifier", exe: ["magnify.exe"] },
+    "ZoomText": { category: "magnifier", exe: ["zt.exe", "zoomtext.exe"] },
+    "On-Screen Keyboard": { category: "osk", exe: ["osk.exe"] },
+    "Touch Keyboard": { category: "osk", exe: ["tabtip.exe", "textinputhost.exe"] },
+    "Dragon": { category: "speech-input", exe: ["natspeak.exe"] },
+    "Windows Speech Recognition": { category: "speech-input", exe: ["sapisvr.exe"] },
+    "Voice Access": { category: "speech-input", exe: ["voiceaccess.exe"] },
+    "Chrome": { category: "browser", exe: ["chrome.exe"] },
+    "Firefox": { category: "browser", exe: ["firefox.exe"] },
+    "Edge": { category: "browser", exe: ["msedge.exe"], appId: ["Microsoft.MicrosoftEdge_8wekyb3d8bbwe"] },
+    "Internet Explorer": { category: "browser", exe: ["iexplore.exe"] },
+    "Word": { category: "office", exe: ["winword.exe"] },
+    "Excel": { category: "office", exe: ["excel.exe"] },
+    "PowerPoint": { category: "office", exe: ["powerpnt.exe"] },
+    "Outlook": { category: "office", exe: ["outlook.exe"] },
+    "OneNote": { category: "office", exe: ["onenote.exe"] }
+});
+
+/**
+ * The categories of assistive technology. Applications in these categories have their use logged as "at-session".
+ */
+windows.metrics.appCatalogue.atCategories = ["screen-reader", "magnifier", "osk", "speech-input"];
+
+/**
+ * Creates the catalogue, from the default and the site's catalogue.
+ *
+ * @param {Object<String,CatalogueEntry>} siteCatalogue [optional] Additional entries, keyed by product name. An entry
+ *  of null removes a default one.
+ * @return {Object} {products, byExe, byAppId} The entries keyed by product, and the product names keyed by the
+ *  (lower-cased) executable name and app id.
+ */
+windows.metrics.appCatalogue.create = function (siteCatalogue) {
+    var products = fluid.extend({}, windows.metrics.appCatalogue.defaultCatalogue, siteCatalogue);
+    var togo = {
+        products: {},
+        byExe: {},
+        byAppId: {}
+    };
+
+    fluid.each(products, function (entry, product) {
+        if (entry) {
+            togo.products[product] = entry;
+            fluid.each(fluid.makeArray(entry.exe), function (exe) {
+                togo.byExe[exe.toLowerCase()] = product;
+            });
+            fluid.each(fluid.makeArray(entry.appId), function (appId) {
+                togo.byAppId[appId.toLowerCase()] = product;
+            });
+        }
+    });
+    return togo;
+};
+
+/**
+ * Identifies an application.
+ *
+ * @param {Object} catalogue The catalogue, from windows.metrics.appCatalogue.create.
+ * @param {String} exe The executable path (or name).
+ * @param {String} appId [optional] The app id, if it's a packaged application.
+ * @return {Object} {product, category, at} The product name, its category, and true if it's assistive technology;
+ *  or null if the application isn't in the catalogue.
+ */
+windows.metrics.appCatalogue.classify = function (catalogue, exe, appId) {
+    var product;
+    if (appId) {
+        appId = appId.toLowerCase();
+        // Match the whole id, or the package family name.
+        product = catalogue.byAppId[appId] || catalogue.byAppId[appId.split("!")[0]];
+    }
+    if (!product && exe) {
+        product = catalogue.byExe[exe.replace(/.*[\\/]/, "").toLowerCase()];
+    }
+
+    var togo = null;
+    if (product) {
+        var category = catalogue.products[product].category;
+        togo = {
+            product: product,
+            category: category,
+            at: windows.metrics.appCatalogue.atCategories.indexOf(category) >= 0
+        };
+    }
+    return togo;
+};
+
+/**
+ * Adds the product and category of an application to the data of a metric, if the application is in the catalogue.
+ *
+ * @param {Object} data The data of the metric.
+ * @param {Object} classification The classification of the application, from windows.metrics.appCatalogue.classify.
+ * @return {Object} The data.
+ */
+windows.metrics.appCatalogue.addFields = function (data, classification) {
+    if (classification) {
+        data.product = classification.product;
+        data.category = classification.category;
+    }
+    return data;
+};
+
+/**
+ * Starts an assistive technology session, when an application in one of the AT categories is launched (or found to
+ * be running).
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} pid The process ID.
+ * @param {Object} classification The classification of the application.
+ */
+windows.metrics.appCatalogue.startSession = function (that, pid, classification) {
+    var sessions = that.state.application.atSessions;
+    if (classification && classification.at && !sessions[pid]) {
+        sessions[pid] = {
+            product: classification.product,
+            category: classification.category,
+            start: that.clock.now(),
+            // Time in the foreground, in milliseconds.
+            foreground: 0,
+            activations: 0,
+            // When it was last activated, while it's in the foreground.
+            activeSince: null
+        };
+    }
+};
+
+/**
+ * Called when a window has been activated, to account for the foreground time of the AT sessions.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} pid The process of the window, or null if there's no foreground window.
+ */
+windows.metrics.appCatalogue.activate = function (that, pid) {
+    var now = that.clock.now();
+    fluid.each(that.state.application.atSessions, function (session, sessionPid) {
+        var active = parseInt(sessionPid) === pid;
+        if (session.activeSince && !active) {
+            session.foreground += now - session.activeSince;
+            session.activeSince = null;
+        } else if (active && !session.activeSince) {
+            session.activeSince = now;
+            session.activations++;
+        }
+    });
+};
+
+/**
+ * Ends an assistive technology session, logging the "at-session" metric.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} pid The process ID.
+ * @param {Boolean} ended false if the application is still running (the metrics are stopping).
+ */
+windows.metrics.appCatalogue.endSession = function (that, pid, ended) {
+    var sessions = that.state.application.atSessions;
+    var session = sessions[pid];
+    if (session) {
+        delete sessions[pid];
+        var now = that.clock.now();
+        if (session.activeSince) {
+            session.foreground += now - session.activeSince;
+        }
+        windows.metrics.logPeriod(that, "at-session", session.start, now, {
+            product: session.product,
+            category: session.category,
+            foreground: session.foreground,
+            activations: session.activations,
+            ended: ended
+        });
+    }
+};
+
+/**
+ * Ends all the assistive technology sessions, when the metrics are stopping.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.appCatalogue.endSessions = function (that) {
+    fluid.each(Object.keys(that.state.application.atSessions), function (pid) {
+        windows.metrics.appCatalogue.endSession(that, pid, false);
+    });
+};
+
+/**
+ * Looks for assistive technology that's running but not known about. Applications are normally found when one of
+ * their windows is created or activated, but a screen reader (like NVDA) may run without a visible window, and so
+ * wouldn't be noticed. The top-level windows, including hidden ones, are checked for an AT process.
+ *
+ * Called when the metrics start, and when the tracking tables are reconciled.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.appCatalogue.findRunningAT = function (that) {
+    var state = that.state.application;
+    var checked = {};
+    that.native.enumerateWindows(0, function (hwnd) {
+        var pid = that.native.getWindowProcessId(hwnd);
+        if (pid && !checked[pid] && !state.runningApplications[pid]) {
+            checked[pid] = true;
+            var exe = that.native.getProcessPath(pid);
+            var classification = exe && windows.metrics.appCatalogue.classify(that.appCatalogue, exe);
+            if (classification && classification.at) {
+                windows.metrics.checkNewApplication(that, windows.metrics.getWindowInfo(that.native, hwnd));
+            }
+        }
+    });
+};
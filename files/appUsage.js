@@ -0,0 +1,195 @@
+/*
+ * Accounts for the time each application spends in the foreground.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.appUsage");
+
+/**
+ * The foreground usage of an application during the current period.
+ * @typedef {Object} AppUsage
+ * @property {Number} time Milliseconds in the foreground.
+ * @property {Number} activations Number of times it was activated.
+ * @property {Number} longest The longest continuous time in the foreground.
+ */
+
+/**
+ * Creates the usage state, held in that.state.application.usage.
+ *
+ * @param {Number} now The current time.
+ * @return {Object} The usage state.
+ */
+windows.metrics.appUsage.createState = function (now) {
+    return {
+        periodStart: now,
+        // exe => AppUsage
+        apps: {},
+        // The application in the foreground: {exe, since, stretch, paused}
+        current: null,
+        timer: null
+    };
+};
+
+/**
+ * Adds the time that the current application has been in the foreground, up to the given time, to its total.
+ *
+ * @param {Object} usage The usage state.
+ * @param {Number} until The end of the time to count.
+ */
+windows.metrics.appUsage.accumulate = function (usage, until) {
+    var current = usage.current;
+    if (current && !current.paused) {
+        var elapsed = Math.max(0, until - current.since);
+        var app = usage.apps[current.exe];
+        app.time += elapsed;
+        current.stretch += elapsed;
+        app.longest = Math.max(app.longest, current.stretch);
+        current.since = until;
+    }
+};
+
+/**
+ * Called when a window has been activated.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {String} exe The (genericised) executable of the window, or null if there's no foreground window.
+ */
+windows.metrics.appUsage.activate = function (that, exe) {
+    var usage = that.state.application.usage;
+    if (!usage) {
+        return;
+    }
+    var now = that.clock.now();
+
+    windows.metrics.appUsage.accumulate(usage, now);
+
+    if (exe) {
+        var app = usage.apps[exe];
+        if (!app) {
+            app = usage.apps[exe] = { time: 0, activations: 0, longest: 0 };
+        }
+        app.activations++;
+        usage.current = {
+            exe: exe,
+            since: now,
+            stretch: 0,
+            paused: !!that.state.input.inactive
+        };
+    } else {
+        usage.current = null;
+    }
+};
+
+/**
+ * Stops counting the foreground time while the user is inactive, or the computer is suspended. The time since the
+ * last input isn't counted.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.appUsage.pause = function (that) {
+    var usage = that.state.application.usage;
+    if (usage && usage.current && !usage.current.paused) {
+        var lastInput = that.state.input.lastInputTime || that.clock.now();
+        windows.metrics.appUsage.accumulate(usage, Math.max(usage.current.since, lastInput));
+        usage.current.paused = true;
+    }
+};
+
+/**
+ * Resumes counting the foreground time, when the user is active again.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.appUsage.resume = function (that) {
+    var usage = that.state.application.usage;
+    var current = usage && usage.current;
+    if (current && current.paused) {
+        current.paused = false;
+        current.since = that.clock.now();
+        // A new continuous stretch.
+        current.stretch = 0;
+    }
+};
+
+/**
+ * Logs an "app-usage" metric for each application that was in the foreground during the current period, and starts a
+ * new period.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.appUsage.logUsage = function (that) {
+    var usage = that.state.application.usage;
+    var now = that.clock.now();
+
+    windows.metrics.appUsage.accumulate(usage, now);
+
+    fluid.each(usage.apps, function (app, exe) {
+        if (app.time > 0 || app.activations > 0) {
+            that.logMetric("app-usage", windows.metrics.appCatalogue.addFields({
+                exe: exe,
+                periodStart: new Date(usage.periodStart).toISOString(),
+                period: now - usage.periodStart,
+                duration: app.time,
+                activations: app.activations,
+                longest: app.longest
+            }, windows.metrics.appCatalogue.classify(that.appCatalogue, exe)));
+        }
+    });
+
+    usage.apps = {};
+    usage.periodStart = now;
+    if (usage.current) {
+        // The current application carries on into the next period.
+        usage.apps[usage.current.exe] = { time: 0, activations: 0, longest: 0 };
+    }
+};
+
+/**
+ * Starts accounting for the foreground time, logging the usage at the top of each hour (or every usageInterval).
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.appUsage.start = function (that) {
+    windows.metrics.appUsage.stop(that);
+
+    var usage = that.state.application.usage = windows.metrics.appUsage.createState(that.clock.now());
+    var interval = that.config.application.usageInterval;
+
+    var nextLog = function () {
+        windows.metrics.appUsage.logUsage(that);
+        usage.timer = that.clock.setTimeout(nextLog, interval - that.clock.now() % interval);
+    };
+    usage.timer = that.clock.setTimeout(nextLog, interval - that.clock.now() % interval);
+};
+
+/**
+ * Stops accounting for the foreground time, logging the usage so far.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.appUsage.stop = function (that) {
+    var usage = that.state.application.usage;
+    if (usage) {
+        that.clock.clearTimeout(usage.timer);
+        windows.metrics.appUsage.logUsage(that);
+        that.state.application.usage = null;
+    }
+};
@@ -0,0 +1,201 @@
+/*
+ * Keeps the window and process tracking tables of gpii.windowsMetrics bounded, and in line with reality.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.tracking");
+
+/*
+ * state.application.knownWindows and runningApplications are only cleaned up when a window is destroyed and its
+ * process exits shortly afterwards. Messages can be missed, so:
+ *
+ * - Each table has a maximum size. When it's exceeded, the least recently seen entries are evicted.
+ * - Periodically, the tables are reconciled against the live top-level windows and processes. Stale windows are
+ *   dropped, and applications whose process has gone get a synthetic "app-close" (with `reconciled: true`).
+ * - After reconciling, a "tracking-stats" metric reports the size of the tables.
+ *
+ * The app-close metric is normally logged when gpii.windowsMetrics.processWatcher sees the process end.
+ */
+
+/**
+ * Adds an entry to one of the tracking tables, evicting the least recently seen entries if it's full.
+ *
+ * @param {Object} table The table (knownWindows or runningApplications).
+ * @param {Number} key The hwnd or pid.
+ * @param {Object} entry The entry to add.
+ * @param {Number} maxSize The maximum number of entries.
+ * @param {Number} now The current time.
+ * @return {Number} The number of evicted entries.
+ */
+windows.metrics.tracking.add = function (table, key, entry, maxSize, now) {
+    entry.lastSeen = now;
+    table[key] = entry;
+
+    var keys = Object.keys(table);
+    var evicted = 0;
+    if (keys.length > maxSize) {
+        // Remove a few more than needed, so this doesn't happen for every new entry.
+        var removeCount = keys.length - Math.floor(maxSize * 0.9);
+        keys.sort(function (a, b) {
+            return table[a].lastSeen - table[b].lastSeen;
+        });
+        fluid.each(keys.slice(0, removeCount), function (oldKey) {
+            if (oldKey !== String(key)) {
+                delete table[oldKey];
+                evicted++;
+            }
+        });
+    }
+    return evicted;
+};
+
+/**
+ * Marks an entry as being seen, so it's less likely to be evicted.
+ *
+ * @param {Object} entry The entry in a tracking table.
+ * @param {Number} now The current time.
+ */
+windows.metrics.tracking.touch = function (entry, now) {
+    if (entry) {
+        entry.lastSeen = now;
+    }
+};
+
+/**
+ * Reconciles the tracking tables with the live windows and processes, and logs the "tracking-stats" metric.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.tracking.reconcile = function (that) {
+    var state = that.state.application;
+    var native = that.native;
+
+    // Collect the live top-level windows.
+    var liveWindows = {};
+    native.enumerateWindows(0, function (hwnd) {
+        liveWindows[hwnd] = true;
+    });
+
+    var staleWindows = 0;
+    fluid.each(fluid.copy(state.knownWindows), function (windowInfo, hwnd) {
+        if (!liveWindows[hwnd]) {
+            delete state.knownWindows[hwnd];
+            staleWindows++;
+        }
+    });
+
+    // Processes that have been evicted don't need watching.
+    fluid.each(that.processWatcher.getWatchedPids(), function (pid) {
+        if (!state.runningApplications[pid]) {
+            that.processWatcher.unwatch(pid);
+        }
+    });
+
+    var closedApplications = 0;
+    fluid.each(fluid.copy(state.runningApplications), function (app, pid) {
+        pid = parseInt(pid);
+        // The same check as the process watcher, which also detects the pid being re-used.
+        if (!that.processWatcher.isRunning(pid, app.exe)) {
+            windows.metrics.tracking.applicationClosed(that, pid, { reconciled: true });
+            closedApplications++;
+        }
+    });
+
+    // Pick up any assistive technology that was missed.
+    windows.metrics.appCatalogue.findRunningAT(that);
+
+    var stats = state.trackingStats;
+    that.logMetric("tracking-stats", {
+        knownWindows: Object.keys(state.knownWindows).length,
+        runningApplications: Object.keys(state.runningApplications).length,
+        staleWindows: staleWindows,
+        closedApplications: closedApplications,
+        evicted: stats.evicted
+    });
+    stats.evicted = 0;
+};
+
+/**
+ * Logs the "app-close" metric for an application, and removes it from the running applications.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} pid The process ID.
+ * @param {Object} extra [optional] Additional fields for the metric.
+ */
+windows.metrics.tracking.applicationClosed = function (that, pid, extra) {
+    var app = that.state.application.runningApplications[pid];
+    if (app) {
+        var data = fluid.extend(windows.metrics.appCatalogue.addFields({
+            exe: windows.metrics.genericisePath(app.exe, null, that.config.application.paths),
+            pid: pid,
+            windowClass: app.windowClass
+        }, app.classification), extra);
+        that.logMetric("app-close", data);
+        delete that.state.application.runningApplications[pid];
+        windows.metrics.appCatalogue.endSession(that, pid, true);
+    }
+    that.processWatcher.unwatch(pid);
+};
+
+/**
+ * Called by the process watcher when an application's process has ended.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} pid The process ID.
+ * @param {Object} processInfo {exe, exitTime, detectedTime, lastAlive}
+ */
+windows.metrics.tracking.processExited = function (that, pid, processInfo) {
+    var app = that.state.application.runningApplications[pid];
+    // Ignore it if the pid is now another application.
+    if (app && app.exe === processInfo.exe) {
+        var extra = {
+            detectedTime: new Date(processInfo.detectedTime).toISOString()
+        };
+        // The real exit time isn't known if the process couldn't be opened.
+        if (processInfo.exitTime !== null) {
+            extra.exitTime = new Date(processInfo.exitTime).toISOString();
+        }
+        windows.metrics.tracking.applicationClosed(that, pid, extra);
+    }
+};
+
+/**
+ * Starts reconciling the tracking tables every reconcileInterval.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.tracking.start = function (that) {
+    windows.metrics.tracking.stop(that);
+    that.state.application.reconcileTimer = that.clock.setInterval(windows.metrics.tracking.reconcile,
+        that.config.application.reconcileInterval, that);
+};
+
+/**
+ * Stops reconciling the tracking tables.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.tracking.stop = function (that) {
+    if (that.state.application.reconcileTimer) {
+        that.clock.clearInterval(that.state.application.reconcileTimer);
+        that.state.application.reconcileTimer = null;
+    }
+};
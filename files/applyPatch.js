@@ -0,0 +1,485 @@
+/*
+ * Applies (or rolls back) the files of a patch to the installed Morphic application, as described by a manifest.
+ *
+ * Usage: node applyPatch.js <apply|rollback|status|hash> [options]
+ *
+ * This is run by logfix.ps1 with Morphic's own executable (as node), so it only uses the built-in node modules.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    crypto = require("crypto");
+
+var applyPatch = module.exports = {};
+
+applyPatch.usage = [
+    "Usage: node applyPatch.js <command> [options]",
+    "",
+    "Commands:",
+    "  apply      Verify the installed application, back up the files that will be replaced, and replace them",
+    "  rollback   Restore the backed-up files",
+    "  status     Show whether the patch is applied",
+    "  hash       Print the SHA-256 of the given files",
+    "",
+    "Options:",
+    "  --manifest <file>   The patch manifest (default: patchManifest.json next to this script)",
+    "  --root <dir>        The application directory (default: appRoot in the manifest)",
+    "  --state <dir>       Where the backups and the ledger are kept (default: %ProgramData%\\Morphic\\patches)"
+].join("\n");
+
+/*
+ * The manifest is JSON:
+ * {
+ *   name: The name of the patch (backups are kept per name).
+ *   version: The version of the patch.
+ *   appVersion: The version of the application (from its package.json) that the patch is for.
+ *   appRoot: The installed application directory.
+ *   files: [{
+ *     source: The replacement file, relative to the manifest.
+ *     target: The file to replace, relative to appRoot.
+ *     hash: The SHA-256 of the replacement file.
+ *     original: The SHA-256 hashes of the target files that can be replaced. null means the target may not exist.
+ *   }]
+ * }
+ *
+ * Nothing is changed unless the application version matches, every replacement file matches its hash, and every
+ * target is either already patched or one of the expected originals.
+ *
+ * The previous version of the debug log fix moved the original to <target>.old before copying its own file over it. If
+ * <target>.old is one of the expected originals, then that is the original which is backed up (and restored on
+ * rollback), whatever the target currently is.
+ */
+
+/**
+ * The exit codes.
+ */
+applyPatch.exitCodes = {
+    success: 0,
+    failed: 1,
+    // The application or the patch files didn't match the manifest, so nothing was changed.
+    refused: 2
+};
+
+/**
+ * An error which refuses to patch, because something didn't match the manifest.
+ *
+ * @param {String} message The reason.
+ * @return {Error} The error.
+ */
+applyPatch.refusal = function (message) {
+    var togo = new Error(message);
+    togo.refused = true;
+    return togo;
+};
+
+/**
+ * Creates a directory, and its parents. (The node in Morphic's Electron doesn't have the recursive option)
+ *
+ * @param {String} dir The directory.
+ */
+applyPatch.makeDir = function (dir) {
+    if (!fs.existsSync(dir)) {
+        applyPatch.makeDir(path.dirname(dir));
+        fs.mkdirSync(dir);
+    }
+};
+
+/**
+ * Removes a directory and everything in it.
+ *
+ * @param {String} dir The directory.
+ */
+applyPatch.removeDir = function (dir) {
+    fs.readdirSync(dir).forEach(function (name) {
+        var child = path.join(dir, name);
+        if (fs.statSync(child).isDirectory()) {
+            applyPatch.removeDir(child);
+        } else {
+            fs.unlinkSync(child);
+        }
+    });
+    fs.rmdirSync(dir);
+};
+
+/**
+ * Gets the SHA-256 of a file.
+ *
+ * @param {String} file The path of the file.
+ * @return {String} The hex hash, or null if the file doesn't exist.
+ */
+applyPatch.hashFile = function (file) {
+    return fs.existsSync(file)
+        ? crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex")
+        : null;
+};
+
+/**
+ * Reads the manifest.
+ *
+ * @param {String} manifestFile The path of the manifest.
+ * @return {Object} The manifest, with its directory as `dir`.
+ */
+applyPatch.readManifest = function (manifestFile) {
+    var togo = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+    togo.dir = path.dirname(path.resolve(manifestFile));
+    return togo;
+};
+
+/**
+ * Gets the version of the installed application.
+ *
+ * @param {String} appRoot The application directory.
+ * @return {String} The version in its package.json, or null if it can't be read.
+ */
+applyPatch.getAppVersion = function (appRoot) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(appRoot, "package.json"), "utf8")).version;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Appends an entry to the ledger of the patches that have been applied and rolled back.
+ *
+ * @param {Object} options The options: {state}.
+ * @param {Object} entry The entry: {action, result, name, version, appVersion, reason, files}.
+ */
+applyPatch.writeLedger = function (options, entry) {
+    entry.time = new Date().toISOString();
+    applyPatch.makeDir(options.state);
+    fs.appendFileSync(path.join(options.state, "ledger.json"), JSON.stringify(entry) + "\n");
+};
+
+/**
+ * Gets the directory where the original files of a patch are backed up.
+ *
+ * @param {Object} options The options: {state}.
+ * @param {Object} manifest The manifest.
+ * @return {String} The directory.
+ */
+applyPatch.getBackupDir = function (options, manifest) {
+    return path.join(options.state, manifest.name);
+};
+
+/**
+ * Reads the record of a backup.
+ *
+ * @param {String} backupDir The backup directory.
+ * @return {Object} The backup record: {name, version, appVersion, appRoot, files: [{target, original, hash}]}; or null
+ *  if there's no backup.
+ */
+applyPatch.readBackup = function (backupDir) {
+    var file = path.join(backupDir, "backup.json");
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+};
+
+/**
+ * Finds the original of a target file that was moved aside, as <target>.old, by an earlier fix.
+ *
+ * @param {Object} entry The manifest entry of the file.
+ * @param {String} target The full path of the target.
+ * @return {Object} The original: {file, hash}; or null if there's no .old file, or it's not an expected original.
+ */
+applyPatch.findMovedOriginal = function (entry, target) {
+    var file = target + ".old";
+    var hash = applyPatch.hashFile(file);
+    return hash && entry.original.indexOf(hash) >= 0 ? { file: file, hash: hash } : null;
+};
+
+/**
+ * Checks the installed application and the patch files against the manifest.
+ *
+ * @param {Object} manifest The manifest.
+ * @param {String} appRoot The application directory.
+ * @return {Array<Object>} The files: {source, target, hash, current, original, originalHash}, where target is the full
+ *  path, current is the hash of the target file, and original is the file to back up (the target, or the .old file left
+ *  by an earlier fix) and originalHash its hash.
+ */
+applyPatch.verify = function (manifest, appRoot) {
+    var appVersion = applyPatch.getAppVersion(appRoot);
+    if (appVersion !== manifest.appVersion) {
+        throw applyPatch.refusal("The patch is for version " + manifest.appVersion + ", but " + appRoot + " is " +
+            (appVersion || "not a readable application"));
+    }
+
+    return manifest.files.map(function (entry) {
+        var source = path.join(manifest.dir, entry.source);
+        if (applyPatch.hashFile(source) !== entry.hash) {
+            throw applyPatch.refusal("The patch file " + entry.source + " is missing or doesn't match the manifest");
+        }
+
+        var target = path.join(appRoot, entry.target);
+        var current = applyPatch.hashFile(target);
+        var moved = applyPatch.findMovedOriginal(entry, target);
+        if (current !== entry.hash && !moved && entry.original.indexOf(current) < 0) {
+            throw applyPatch.refusal(current
+                ? entry.target + " isn't the expected original (SHA-256 " + current + ")"
+                : entry.target + " doesn't exist");
+        }
+
+        return {
+            source: source,
+            target: target,
+            relativeTarget: entry.target,
+            hash: entry.hash,
+            current: current,
+            original: moved ? moved.file : target,
+            originalHash: moved ? moved.hash : current
+        };
+    });
+};
+
+/**
+ * Restores the original files from a backup, for the files that still have the patched content.
+ *
+ * @param {String} backupDir The backup directory.
+ * @param {Object} backup The backup record.
+ * @return {Array<Object>} What was done to each file: {target, result} where result is "restored", "removed" (the file
+ *  was added by the patch), or "skipped" (it's been changed since).
+ */
+applyPatch.restore = function (backupDir, backup) {
+    return backup.files.map(function (file) {
+        var target = path.join(backup.appRoot, file.target);
+        var result;
+        if (applyPatch.hashFile(target) !== file.hash) {
+            result = "skipped";
+        } else if (file.original) {
+            fs.copyFileSync(path.join(backupDir, "files", file.target), target);
+            result = "restored";
+        } else {
+            fs.unlinkSync(target);
+            result = "removed";
+        }
+        return { target: file.target, result: result };
+    });
+};
+
+/**
+ * Applies the patch. The original of each file is backed up first, and if replacing any of them fails then those that
+ * were replaced are restored.
+ *
+ * @param {Object} manifest The manifest.
+ * @param {Object} options The options: {root, state}.
+ * @return {String} "applied", or "already applied".
+ */
+applyPatch.apply = function (manifest, options) {
+    var ledger = {
+        action: "apply",
+        name: manifest.name,
+        version: manifest.version,
+        appVersion: manifest.appVersion
+    };
+
+    var files;
+    try {
+        files = applyPatch.verify(manifest, options.root);
+    } catch (e) {
+        ledger.result = e.refused ? "refused" : "failed";
+        ledger.reason = e.message;
+        applyPatch.writeLedger(options, ledger);
+        throw e;
+    }
+
+    var changes = files.filter(function (file) {
+        return file.current !== file.hash;
+    });
+    ledger.files = changes.map(function (file) {
+        return { target: file.relativeTarget, from: file.current, to: file.hash };
+    });
+
+    if (!changes.length) {
+        ledger.result = "already applied";
+        applyPatch.writeLedger(options, ledger);
+        return ledger.result;
+    }
+
+    var backupDir = applyPatch.getBackupDir(options, manifest);
+    var backup = applyPatch.readBackup(backupDir) || {
+        name: manifest.name,
+        appRoot: options.root,
+        files: []
+    };
+    backup.version = manifest.version;
+    backup.appVersion = manifest.appVersion;
+
+    try {
+        // Back up the originals. A file that's already in the backup (from a previous version of the patch) keeps its
+        // original.
+        changes.forEach(function (file) {
+            var previous = backup.files.find(function (backedUp) {
+                return backedUp.target === file.relativeTarget;
+            });
+            if (previous) {
+                previous.hash = file.hash;
+            } else {
+                if (file.originalHash) {
+                    var backupFile = path.join(backupDir, "files", file.relativeTarget);
+                    applyPatch.makeDir(path.dirname(backupFile));
+                    fs.copyFileSync(file.original, backupFile);
+                }
+                backup.files.push({ target: file.relativeTarget, original: file.originalHash, hash: file.hash });
+            }
+        });
+        applyPatch.makeDir(backupDir);
+        fs.writeFileSync(path.join(backupDir, "backup.json"), JSON.stringify(backup, null, 4));
+
+        // Replace the files, each via a temporary file so a target is never half-written.
+        changes.forEach(function (file) {
+            var temp = file.target + ".patch-tmp";
+            fs.copyFileSync(file.source, temp);
+            fs.renameSync(temp, file.target);
+        });
+    } catch (e) {
+        applyPatch.restore(backupDir, backup);
+        ledger.result = "failed";
+        ledger.reason = e.message;
+        applyPatch.writeLedger(options, ledger);
+        throw e;
+    }
+
+    ledger.result = "applied";
+    applyPatch.writeLedger(options, ledger);
+    return ledger.result;
+};
+
+/**
+ * Rolls back the patch, restoring the backed-up originals. Files that have been changed since the patch was applied
+ * (for example, by an update of the application) are left alone.
+ *
+ * @param {Object} manifest The manifest.
+ * @param {Object} options The options: {state}.
+ * @return {String} "rolled back", or "not applied".
+ */
+applyPatch.rollback = function (manifest, options) {
+    var backupDir = applyPatch.getBackupDir(options, manifest);
+    var backup = applyPatch.readBackup(backupDir);
+    if (!backup) {
+        return "not applied";
+    }
+
+    var ledger = {
+        action: "rollback",
+        name: backup.name,
+        version: backup.version,
+        appVersion: backup.appVersion
+    };
+    try {
+        ledger.files = applyPatch.restore(backupDir, backup);
+    } catch (e) {
+        ledger.result = "failed";
+        ledger.reason = e.message;
+        applyPatch.writeLedger(options, ledger);
+        throw e;
+    }
+
+    applyPatch.removeDir(backupDir);
+    ledger.result = "rolled back";
+    applyPatch.writeLedger(options, ledger);
+    return ledger.result;
+};
+
+/**
+ * Describes whether the patch is applied.
+ *
+ * @param {Object} manifest The manifest.
+ * @param {Object} options The options: {root, state}.
+ * @return {String} The status of each file.
+ */
+applyPatch.status = function (manifest, options) {
+    var lines = [manifest.name + " " + manifest.version + " for " + manifest.appVersion + " (installed: " +
+        (applyPatch.getAppVersion(options.root) || "none") + ")"];
+    manifest.files.forEach(function (entry) {
+        var target = path.join(options.root, entry.target);
+        var current = applyPatch.hashFile(target);
+        var state = current === entry.hash ? "patched"
+            : entry.original.indexOf(current) >= 0 ? (current ? "original" : "absent")
+                : applyPatch.findMovedOriginal(entry, target) ? "replaced by an earlier fix"
+                    : "unknown";
+        lines.push("  " + state + ": " + entry.target);
+    });
+    if (applyPatch.readBackup(applyPatch.getBackupDir(options, manifest))) {
+        lines.push("  (backup present)");
+    }
+    return lines.join("\n");
+};
+
+/**
+ * Parses the command line.
+ *
+ * @param {Array<String>} args The arguments.
+ * @return {Object} {command, manifest, root, state, files}
+ */
+applyPatch.parseArgs = function (args) {
+    var togo = {
+        command: args[0],
+        manifest: path.join(__dirname, "patchManifest.json"),
+        root: null,
+        state: path.join(process.env.ProgramData || "C:\\ProgramData", "Morphic", "patches"),
+        files: []
+    };
+    for (var n = 1; n < args.length; n++) {
+        var arg = args[n];
+        if (arg === "--manifest" || arg === "--root" || arg === "--state") {
+            togo[arg.substr(2)] = args[++n];
+        } else {
+            togo.files.push(arg);
+        }
+    }
+    if (["apply", "rollback", "status", "hash"].indexOf(togo.command) < 0) {
+        throw new Error(togo.command ? "Unknown command " + togo.command : "No command given");
+    }
+    return togo;
+};
+
+/**
+ * Runs the command.
+ *
+ * @param {Array<String>} args The command line arguments.
+ * @return {Number} The exit code.
+ */
+applyPatch.main = function (args) {
+    var options;
+    try {
+        options = applyPatch.parseArgs(args);
+    } catch (e) {
+        process.stderr.write(e.message + "\n\n" + applyPatch.usage + "\n");
+        return applyPatch.exitCodes.failed;
+    }
+
+    try {
+        if (options.command === "hash") {
+            options.files.forEach(function (file) {
+                process.stdout.write(applyPatch.hashFile(file) + "  " + file + "\n");
+            });
+        } else {
+            var manifest = applyPatch.readManifest(options.manifest);
+            options.root = options.root || manifest.appRoot;
+            process.stdout.write(applyPatch[options.command](manifest, options) + "\n");
+        }
+    } catch (e) {
+        process.stderr.write(e.message + "\n");
+        return e.refused ? applyPatch.exitCodes.refused : applyPatch.exitCodes.failed;
+    }
+    return applyPatch.exitCodes.success;
+};
+
+if (require.main === module) {
+    process.exitCode = applyPatch.main(process.argv.slice(2));
+}
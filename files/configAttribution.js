@@ -0,0 +1,120 @@
+/*
+ * Attributes configuration changes to GPII or the user.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.attribution");
+
+/**
+ * Mixed into gpii.windowsMetrics when there's a lifecycle manager, to note GPII's activity as it happens: a key-in or
+ * key-out, and each update of the session's snapshot while settings are being applied.
+ */
+fluid.defaults("gpii.windowsMetrics.lifecycle", {
+    listeners: {
+        "{lifecycleManager}.events.onSessionStart": {
+            namespace: "attribution",
+            func: "{that}.gpiiActivity"
+        },
+        "{lifecycleManager}.events.onSessionSnapshotUpdate": {
+            namespace: "attribution",
+            func: "{that}.gpiiActivity"
+        },
+        "{lifecycleManager}.events.onSessionStop": {
+            namespace: "attribution",
+            func: "{that}.gpiiActivity"
+        }
+    }
+});
+
+/**
+ * Notes that GPII is active, such as applying the settings of a key-in. Called when the lifecycle manager starts or
+ * stops a session, or updates the session's snapshot as it applies settings (see gpii.windowsMetrics.lifecycle).
+ * Configuration changes within the attribution window are attributed to GPII.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.attribution.gpiiActivity = function (that) {
+    that.state.attribution.lastGpii = that.clock.now();
+};
+
+/**
+ * Determines who made a configuration change that's just been received.
+ *
+ * GPII applies settings in a burst following a key-in or key-out, so a change soon after that is attributed to
+ * GPII, even if there was user input (the user may have just keyed in). Otherwise, a change soon after some user input
+ * is attributed to the user.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {String} "gpii", "user", or "unknown".
+ */
+windows.metrics.attribution.getSource = function (that) {
+    var now = that.clock.now();
+    var attributionWindow = that.config.attribution.window;
+    var lastInput = that.state.input.lastInputTime;
+
+    var source;
+    if (now - that.state.attribution.lastGpii <= attributionWindow) {
+        source = "gpii";
+    } else if (lastInput && now - lastInput <= attributionWindow) {
+        source = "user";
+    } else {
+        source = "unknown";
+    }
+    return source;
+};
+
+/**
+ * Tracks the settings applied by GPII, and logs "config.reverted" when the user changes one back to its previous
+ * value. Called after a "config.*" metric has been logged.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Object} data The data of the metric: {source, action, setting, from, to}.
+ */
+windows.metrics.attribution.settingChanged = function (that, data) {
+    var applied = that.state.attribution.applied;
+
+    if (data.setting) {
+        var previous = applied[data.action];
+        if (data.source === "gpii") {
+            if (previous && fluid.model.diff(data.to, previous.from)) {
+                // GPII has restored it (a key-out).
+                delete applied[data.action];
+            } else {
+                applied[data.action] = {
+                    // Keep the value from before GPII first changed it.
+                    from: previous ? previous.from : data.from,
+                    time: previous ? previous.time : that.clock.now()
+                };
+            }
+        } else if (previous) {
+            delete applied[data.action];
+            if (data.source === "user" && fluid.model.diff(data.to, previous.from)) {
+                that.logMetric("config.reverted", {
+                    source: "user",
+                    action: data.action,
+                    setting: data.setting,
+                    value: data.to,
+                    after: that.clock.now() - previous.time
+                });
+            }
+        }
+    }
+};
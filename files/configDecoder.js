@@ -0,0 +1,188 @@
+/*
+ * Decodes the configuration change messages into meaningful fields, for the "config.*" metrics.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.configDecoder");
+
+/**
+ * The WM_SETTINGCHANGE sections which are logged. Any program can broadcast a section, so others are logged as
+ * "other" (see the redaction rules).
+ */
+windows.metrics.configDecoder.knownSections = ["ImmersiveColorSet", "Policy", "intl", "Environment",
+    "WindowsThemeElement", "TraySettings", "WindowMetrics", "ConvertibleSlateMode", "UserInteractionMode",
+    "ShellState", "Windows"];
+
+/**
+ * The themes that come with Windows, by the name of the .theme file. Themes saved by the user are logged as "custom".
+ */
+windows.metrics.configDecoder.knownThemes = ["aero", "aerolite", "basic", "classic", "dark", "spotlight", "custom",
+    "themea", "themeb", "themec", "themed", "hc1", "hc2", "hcblack", "hcwhite"];
+
+/**
+ * The high-contrast schemes that come with Windows. Schemes created by the user (or with a translated name) are
+ * logged as "custom".
+ */
+windows.metrics.configDecoder.knownSchemes = ["High Contrast #1", "High Contrast #2", "High Contrast Black",
+    "High Contrast White", "Aquatic", "Desert", "Dusk", "Night sky"];
+
+// SPI_SETHIGHCONTRAST
+windows.metrics.configDecoder.SPI_SETHIGHCONTRAST = 0x43;
+
+/**
+ * Reads a string value of the current user from the registry.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {String} path The key.
+ * @param {String} valueName The value.
+ * @return {String} The value, or undefined if it's not set.
+ */
+windows.metrics.configDecoder.readUserValue = function (that, path, valueName) {
+    return that.native.readRegistryKey("HKEY_CURRENT_USER", path, valueName, "REG_SZ").value;
+};
+
+/**
+ * Gets the state of high-contrast.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {Object} {highContrast, highContrastScheme} Whether high-contrast is on, and the scheme (if it's on).
+ */
+windows.metrics.configDecoder.getHighContrast = function (that) {
+    var path = "Control Panel\\Accessibility\\HighContrast";
+    // HCF_HIGHCONTRASTON
+    var on = !!(parseInt(windows.metrics.configDecoder.readUserValue(that, path, "Flags")) & 0x1);
+    var togo = { highContrast: on };
+    if (on) {
+        togo.highContrastScheme = windows.metrics.configDecoder.readUserValue(that, path, "High Contrast Scheme");
+    }
+    return togo;
+};
+
+/**
+ * Gets the name of the current theme, from the name of its .theme file.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {String} The theme, like "aero", or undefined if it's unknown.
+ */
+windows.metrics.configDecoder.getThemeName = function (that) {
+    var themeFile = windows.metrics.configDecoder.readUserValue(that,
+        "Software\\Microsoft\\Windows\\CurrentVersion\\Themes", "CurrentTheme");
+    var match = themeFile && /([^\\/]+?)(\.theme)?$/i.exec(themeFile);
+    return match ? match[1].toLowerCase() : undefined;
+};
+
+/**
+ * Gets the light or dark mode of the apps and the shell.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {Object} {appsTheme, systemTheme} "light" or "dark".
+ */
+windows.metrics.configDecoder.getColorMode = function (that) {
+    var path = "Software\\Microsoft\\Windows\\CurrentVersion\\Themes\\Personalize";
+    var read = function (valueName) {
+        var value = that.native.readRegistryKey("HKEY_CURRENT_USER", path, valueName, "REG_DWORD").value;
+        return value === undefined ? undefined : (value ? "light" : "dark");
+    };
+    return {
+        appsTheme: read("AppsUseLightTheme"),
+        systemTheme: read("SystemUsesLightTheme")
+    };
+};
+
+/**
+ * Decodes WM_SETTINGCHANGE. This is sent when SystemParametersInfo changes a setting (wParam is the SPI_SET* action),
+ * or when something else has changed (lParam is the name of a section, like "intl" or "Policy").
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} wParam The SPI action, or for "Policy", 1 for machine policy.
+ * @param {String} section The section name, or null.
+ * @return {Object} {eventName, data}
+ */
+windows.metrics.configDecoder.settingChange = function (that, wParam, section) {
+    var togo = {
+        eventName: "setting",
+        data: {}
+    };
+    if (section) {
+        togo.data.section = section;
+    }
+
+    // For a policy change, wParam isn't an SPI action.
+    var spiAction = section !== "Policy" && windows.spi.actionsLookup[wParam];
+    if (spiAction) {
+        togo.eventName = "spi";
+        togo.data.action = spiAction;
+        fluid.extend(togo.data, windows.metrics.spiSnapshot.settingChanged(that, spiAction));
+        if (wParam === windows.metrics.configDecoder.SPI_SETHIGHCONTRAST) {
+            fluid.extend(togo.data, windows.metrics.configDecoder.getHighContrast(that));
+        }
+    } else if (section === "Policy") {
+        togo.data.policy = wParam ? "machine" : "user";
+    } else if (section === "intl") {
+        togo.data.locale = windows.metrics.configDecoder.readUserValue(that, "Control Panel\\International",
+            "LocaleName");
+    } else if (section === "ImmersiveColorSet") {
+        fluid.extend(togo.data, windows.metrics.configDecoder.getColorMode(that));
+    } else if (section === "WindowsThemeElement") {
+        togo.data.theme = windows.metrics.configDecoder.getThemeName(that);
+    } else if (!section) {
+        // An unknown action.
+        togo.eventName = null;
+    }
+
+    return togo;
+};
+
+/**
+ * Decodes WM_INPUTLANGCHANGE, sent when the input language (keyboard layout) changes.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} hkl The input locale identifier (HKL): the language in the low word, and the layout in the high.
+ * @return {Object} {locale, layout, layoutName} The language name (like "en-GB"), the keyboard layout identifier
+ *  (KLID, like "00000809"), and its name (like "United Kingdom").
+ */
+windows.metrics.configDecoder.inputLanguageChange = function (that, hkl) {
+    var layout = that.native.getKeyboardLayoutName();
+    var togo = {
+        locale: that.native.getLocaleName(windows.loWord(hkl)) || undefined
+    };
+    if (layout) {
+        togo.layout = layout;
+        togo.layoutName = that.native.readRegistryKey("HKEY_LOCAL_MACHINE",
+            "SYSTEM\\CurrentControlSet\\Control\\Keyboard Layouts\\" + layout, "Layout Text", "REG_SZ").value;
+    }
+    return togo;
+};
+
+/**
+ * Decodes WM_SYSCOLORCHANGE and WM_THEMECHANGED, which are sent when high-contrast is switched, or the theme changes.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Boolean} includeTheme true to include the theme name.
+ * @return {Object} {highContrast, highContrastScheme, theme}
+ */
+windows.metrics.configDecoder.themeChange = function (that, includeTheme) {
+    var togo = windows.metrics.configDecoder.getHighContrast(that);
+    if (includeTheme) {
+        togo.theme = windows.metrics.configDecoder.getThemeName(that);
+    }
+    return togo;
+};
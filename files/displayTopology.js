@@ -0,0 +1,176 @@
+/*
+ * Logs the arrangement of the monitors, and changes to it.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.displayTopology");
+
+/**
+ * A monitor, as it's logged.
+ * @typedef {Object} Monitor
+ * @property {String} id The display device, like "DISPLAY1".
+ * @property {Boolean} primary true for the primary monitor.
+ * @property {Number} width The resolution.
+ * @property {Number} height The resolution.
+ * @property {Number} x The position of the top-left corner, relative to the primary monitor.
+ * @property {Number} y The position of the top-left corner, relative to the primary monitor.
+ * @property {String} position Where it is in relation to the primary monitor: "left", "right", "above", "below", or
+ *  "overlapping" (for a duplicated display). Not set for the primary monitor.
+ * @property {Number} scale The display scale, from the monitor's DPI (eg, 1.25 for 120dpi).
+ * @property {Number} orientation The rotation, in degrees.
+ * @property {Number} refreshRate The refresh rate, in Hz.
+ */
+
+// The fields which are compared, to find what changed.
+windows.metrics.displayTopology.fields = ["primary", "width", "height", "x", "y", "scale", "orientation",
+    "refreshRate"];
+
+// SPI_SETLOGICALDPIOVERRIDE - sent with WM_SETTINGCHANGE when the display scale changes.
+windows.metrics.displayTopology.SPI_SETLOGICALDPIOVERRIDE = 0x9F;
+
+/**
+ * Gets the position of a monitor in relation to the primary monitor.
+ *
+ * @param {Object} monitor The monitor.
+ * @param {Object} primary The primary monitor.
+ * @return {String} "left", "right", "above", "below" or "overlapping".
+ */
+windows.metrics.displayTopology.getPosition = function (monitor, primary) {
+    var togo;
+    if (monitor.x + monitor.width <= primary.x) {
+        togo = "left";
+    } else if (monitor.x >= primary.x + primary.width) {
+        togo = "right";
+    } else if (monitor.y + monitor.height <= primary.y) {
+        togo = "above";
+    } else if (monitor.y >= primary.y + primary.height) {
+        togo = "below";
+    } else {
+        togo = "overlapping";
+    }
+    return togo;
+};
+
+/**
+ * Reads the current monitors.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {Array<Monitor>} The monitors, primary first, then by position.
+ */
+windows.metrics.displayTopology.read = function (that) {
+    var monitors = that.native.getMonitors();
+    var primary = fluid.find(monitors, function (monitor) {
+        return monitor.primary ? monitor : undefined;
+    }) || monitors[0];
+
+    var togo = fluid.transform(monitors, function (monitor) {
+        var result = {
+            id: monitor.name.replace(/^\\\\\.\\/, ""),
+            primary: monitor === primary,
+            width: monitor.width,
+            height: monitor.height,
+            x: monitor.x - primary.x,
+            y: monitor.y - primary.y,
+            scale: monitor.dpi ? Math.round(monitor.dpi / 96 * 100) / 100 : null,
+            orientation: monitor.orientation,
+            refreshRate: monitor.refreshRate
+        };
+        if (!result.primary) {
+            result.position = windows.metrics.displayTopology.getPosition(monitor, primary);
+        }
+        return result;
+    });
+
+    togo.sort(function (a, b) {
+        return (b.primary - a.primary) || (a.x - b.x) || (a.y - b.y);
+    });
+    return togo;
+};
+
+/**
+ * Compares two topologies.
+ *
+ * @param {Array<Monitor>} previous The previous monitors.
+ * @param {Array<Monitor>} current The current monitors.
+ * @return {Object} {added, removed, changed} The ids of the monitors that were added or removed, and the fields which
+ *  changed of the others ({id: {field: {from, to}}}); or null if nothing changed.
+ */
+windows.metrics.displayTopology.diff = function (previous, current) {
+    var byId = function (monitors) {
+        var togo = {};
+        fluid.each(monitors, function (monitor) {
+            togo[monitor.id] = monitor;
+        });
+        return togo;
+    };
+    var before = byId(previous),
+        after = byId(current);
+
+    var togo = { added: [], removed: [], changed: {} };
+    fluid.each(after, function (monitor, id) {
+        var old = before[id];
+        if (old) {
+            fluid.each(windows.metrics.displayTopology.fields, function (field) {
+                if (old[field] !== monitor[field]) {
+                    togo.changed[id] = togo.changed[id] || {};
+                    togo.changed[id][field] = { from: old[field], to: monitor[field] };
+                }
+            });
+        } else {
+            togo.added.push(id);
+        }
+    });
+    fluid.each(before, function (monitor, id) {
+        if (!after[id]) {
+            togo.removed.push(id);
+        }
+    });
+
+    var changed = togo.added.length || togo.removed.length || Object.keys(togo.changed).length;
+    return changed ? togo : null;
+};
+
+/**
+ * Logs the "display-topology" metric if the monitors have changed since it was last logged (or if it hasn't been
+ * logged). Called when the metrics start, and when the display changes.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.displayTopology.check = function (that) {
+    var previous = that.state.displayTopology;
+    var current = windows.metrics.displayTopology.read(that);
+
+    var diff = previous ? windows.metrics.displayTopology.diff(previous, current) : null;
+    if (!previous || diff) {
+        var data = {
+            count: current.length,
+            monitors: current
+        };
+        if (diff) {
+            data.added = diff.added;
+            data.removed = diff.removed;
+            data.changed = diff.changed;
+        }
+        that.logMetric("display-topology", data);
+    }
+
+    that.state.displayTopology = current;
+};
@@ -0,0 +1,220 @@
+/*
+ * Attributes input to the device it came from, and logs devices being attached and removed.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.devices");
+
+/**
+ * An input device, as it's identified in the metrics.
+ * @typedef {Object} InputDevice
+ * @property {String} id Anonymised identifier: a hash of the device name, which is stable for the salt.
+ * @property {String} type "keyboard", "mouse", "touchpad", "pen", "touchscreen", "on-screen keyboard" or "hid".
+ */
+
+/**
+ * The digitizer usages (HID usage page 0x0D) of the device types.
+ */
+windows.metrics.devices.digitizerTypes = fluid.freezeRecursive({
+    2: "pen",
+    4: "touchscreen",
+    5: "touchpad"
+});
+
+/**
+ * Mouse devices with these in their name are touchpads, even if they don't have a digitizer collection.
+ */
+windows.metrics.devices.touchpadPattern = /touchpad|SYNA|ELAN|ALPS|\\MSFT0001/i;
+
+/**
+ * The window classes of the on-screen keyboards, which send injected keys.
+ */
+windows.metrics.devices.onScreenKeyboardClasses = ["OSKMainClass", "IPTip_Main_Window"];
+
+/**
+ * Gets the hardware identifier (vendor and product) from a device name.
+ *
+ * @param {String} name The device name, like "\\?\HID#VID_046D&PID_C52B&MI_01&Col01#...".
+ * @return {String} The identifier, like "VID_046D&PID_C52B", or null.
+ */
+windows.metrics.devices.getHardwareId = function (name) {
+    var match = name && /VID_[0-9A-F]{4}&PID_[0-9A-F]{4}/i.exec(name);
+    return match ? match[0].toUpperCase() : null;
+};
+
+/**
+ * Determines the type of a device. Touchpads, pens and touch screens also present a mouse device; these are
+ * identified by a digitizer collection on the same hardware.
+ *
+ * @param {Object} info The device info, from getRawInputDeviceInfo: {name, type, usagePage, usage}.
+ * @param {Array<Object>} allInfo The info of all attached devices.
+ * @return {String} The device type.
+ */
+windows.metrics.devices.getDeviceType = function (info, allInfo) {
+    var constants = windows.API_constants;
+    var type;
+
+    if (info.type === constants.RIM_TYPEKEYBOARD) {
+        type = "keyboard";
+    } else if (info.type === constants.RIM_TYPEMOUSE) {
+        var hardwareId = windows.metrics.devices.getHardwareId(info.name);
+        var digitizer = hardwareId && fluid.find(allInfo, function (other) {
+            return other.type === constants.RIM_TYPEHID && other.usagePage === 0x0D &&
+                windows.metrics.devices.getHardwareId(other.name) === hardwareId
+                ? windows.metrics.devices.digitizerTypes[other.usage]
+                : undefined;
+        });
+        type = digitizer ||
+            (windows.metrics.devices.touchpadPattern.test(info.name) ? "touchpad" : "mouse");
+    } else {
+        type = (info.usagePage === 0x0D && windows.metrics.devices.digitizerTypes[info.usage]) || "hid";
+    }
+
+    return type;
+};
+
+/**
+ * Reads the info of all attached devices, used to determine the device types.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {Array<Object>} The device info.
+ */
+windows.metrics.devices.readAll = function (that) {
+    var allInfo = [];
+    fluid.each(that.native.getRawInputDeviceList(), function (hDevice) {
+        var info = that.native.getRawInputDeviceInfo(hDevice);
+        if (info) {
+            allInfo.push(info);
+        }
+    });
+    that.state.input.devices.allInfo = allInfo;
+    return allInfo;
+};
+
+/**
+ * Determines if an on-screen keyboard is open, so its injected keys can be counted. This is checked at most every 5
+ * seconds.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {Boolean} true if an on-screen keyboard window exists.
+ */
+windows.metrics.devices.isOnScreenKeyboardOpen = function (that) {
+    var devices = that.state.input.devices;
+    var now = that.clock.now();
+    if (!devices.oskChecked || now - devices.oskChecked > 5000) {
+        devices.oskChecked = now;
+        devices.oskOpen = !!that.native.enumerateWindows(0, function (hwnd) {
+            var className = that.native.getClassName(hwnd);
+            return windows.metrics.devices.onScreenKeyboardClasses.indexOf(className) > -1 ? true : undefined;
+        });
+    }
+    return devices.oskOpen;
+};
+
+/**
+ * Gets the device that some input came from. The id is a hash of the device name, which is the same for each run on
+ * this machine (see windows.metrics.redaction.getInstallSalt); the handle is only used if the name can't be read.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} hDevice The device handle, from the RAWINPUTHEADER.
+ * @param {Number} rawType The type of input (RIM_TYPE*).
+ * @return {InputDevice} The device, or null if the input was injected and should be ignored.
+ */
+windows.metrics.devices.getDevice = function (that, hDevice, rawType) {
+    var devices = that.state.input.devices;
+    var device = devices.known[hDevice];
+
+    if (!device) {
+        if (hDevice === 0) {
+            // Injected input. Only keys from an on-screen keyboard are counted.
+            device = (rawType === windows.API_constants.RIM_TYPEKEYBOARD &&
+                windows.metrics.devices.isOnScreenKeyboardOpen(that))
+                ? { id: "osk", type: "on-screen keyboard" }
+                : null;
+        } else {
+            var info = that.native.getRawInputDeviceInfo(hDevice);
+            if (info) {
+                var allInfo = devices.allInfo || windows.metrics.devices.readAll(that);
+                device = {
+                    id: windows.metrics.redaction.hash(that.redaction, info.name),
+                    type: windows.metrics.devices.getDeviceType(info, allInfo)
+                };
+            } else {
+                device = {
+                    id: windows.metrics.redaction.hash(that.redaction, hDevice),
+                    type: rawType === windows.API_constants.RIM_TYPEKEYBOARD ? "keyboard"
+                        : rawType === windows.API_constants.RIM_TYPEMOUSE ? "mouse" : "hid"
+                };
+            }
+            devices.known[hDevice] = device;
+        }
+    }
+
+    return device;
+};
+
+/**
+ * Handles WM_INPUT_DEVICE_CHANGE, logging "device-added" or "device-removed". This is also received for the devices
+ * that are attached when the input metrics start.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} change GIDC_ARRIVAL or GIDC_REMOVAL.
+ * @param {Number} hDevice The device handle.
+ */
+windows.metrics.devices.deviceChanged = function (that, change, hDevice) {
+    var devices = that.state.input.devices;
+    var device;
+
+    if (change === windows.API_constants.GIDC_ARRIVAL) {
+        // The other devices may have changed too.
+        windows.metrics.devices.readAll(that);
+        delete devices.known[hDevice];
+        device = windows.metrics.devices.getDevice(that, hDevice);
+        if (device) {
+            that.logMetric("device-added", { device: device.id, deviceType: device.type });
+        }
+    } else if (change === windows.API_constants.GIDC_REMOVAL) {
+        // The device can't be queried after it's been removed.
+        device = devices.known[hDevice];
+        if (device) {
+            that.logMetric("device-removed", { device: device.id, deviceType: device.type });
+            delete devices.known[hDevice];
+        }
+        devices.allInfo = null;
+    }
+};
+
+/**
+ * Counts some input of a device, in a per-device breakdown.
+ *
+ * @param {Object} breakdown The breakdown: device id => {type, <field>: count}
+ * @param {InputDevice} device The device.
+ * @param {String} field The field to increment, eg "keys" or "clicks".
+ */
+windows.metrics.devices.addToBreakdown = function (breakdown, device, field) {
+    if (device) {
+        var entry = breakdown[device.id];
+        if (!entry) {
+            entry = breakdown[device.id] = { type: device.type };
+        }
+        entry[field] = (entry[field] || 0) + 1;
+    }
+};
@@ -0,0 +1,254 @@
+/*
+ * Aggregated input metrics - periodic summaries of the keyboard and mouse use, instead of an event for each key and
+ * click.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.summary");
+
+/**
+ * The upper bounds of the inter-key interval histogram buckets, in milliseconds. Anything above the last goes in a
+ * final open-ended bucket.
+ * @type {Array<Number>}
+ */
+windows.metrics.summary.keyIntervalBuckets = [100, 200, 400, 800, 1600, 3200];
+
+/**
+ * Input accumulated for a summary.
+ * @typedef {Object} InputSummary
+ * @property {Number} start When the summary period started (ms since epoch).
+ * @property {Number} keys Number of keys pressed.
+ * @property {Object<String,Number>} keyIntervals Histogram of the time between keys, keyed by bucket.
+ * @property {Object<String,Number>} specialKeys Count of each special key.
+ * @property {Object} keyBreakdown Count of keys per category, and of each shortcut (see
+ *  windows.metrics.keys.createBreakdown).
+ * @property {Object<String,Number>} clicks Count of clicks, per button.
+ * @property {Number} doubleClicks Number of double-clicks.
+ * @property {Number} drags Number of clicks where the mouse was dragged.
+ * @property {Number} wheel Number of wheel notches.
+ * @property {Number} hwheel Number of horizontal wheel notches.
+ * @property {Number} distance Mouse distance, in pixels.
+ * @property {Number} discarded Number of implausible mouse movements that were discarded.
+ * @property {Object<String,Number>} touch Count of each touch gesture.
+ * @property {Object<String,Number>} pen Count of each pen gesture, and the times the pen button was used.
+ * @property {Object} devices The keys and clicks per device (see windows.metrics.devices.addToBreakdown).
+ * @property {Number} activeTime Milliseconds during which input was being received.
+ * @property {Number} lastInput When the last input was received.
+ */
+
+/**
+ * Creates an empty summary.
+ *
+ * @param {Number} now The current time.
+ * @return {InputSummary} The new summary.
+ */
+windows.metrics.summary.create = function (now) {
+    return {
+        start: now,
+        keys: 0,
+        keyIntervals: {},
+        specialKeys: {},
+        keyBreakdown: windows.metrics.keys.createBreakdown(),
+        clicks: {},
+        doubleClicks: 0,
+        drags: 0,
+        wheel: 0,
+        hwheel: 0,
+        distance: 0,
+        discarded: 0,
+        touch: {},
+        pen: {},
+        devices: {},
+        activeTime: 0,
+        lastInput: 0
+    };
+};
+
+/**
+ * Gets the histogram bucket name for an inter-key interval, like "200-400" or "3200+".
+ *
+ * @param {Number} keyTime The time since the previous key.
+ * @return {String} The bucket name.
+ */
+windows.metrics.summary.getBucket = function (keyTime) {
+    var buckets = windows.metrics.summary.keyIntervalBuckets;
+    var lower = 0;
+    var bucket = fluid.find(buckets, function (upper) {
+        if (keyTime < upper) {
+            return lower + "-" + upper;
+        }
+        lower = upper;
+    });
+    return bucket || lower + "+";
+};
+
+/**
+ * Adds a key press to the summary.
+ *
+ * @param {InputSummary} summary The summary.
+ * @param {Number} keyTime Time since the last key in the typing session (0 if it's the first).
+ * @param {String} specialKey [optional] The name of the key, if it's a special key.
+ * @param {Object} classification [optional] The classification of the key, from windows.metrics.keys.classify.
+ * @param {InputDevice} device [optional] The device the key came from.
+ */
+windows.metrics.summary.addKey = function (summary, keyTime, specialKey, classification, device) {
+    summary.keys++;
+    if (keyTime) {
+        var bucket = windows.metrics.summary.getBucket(keyTime);
+        summary.keyIntervals[bucket] = (summary.keyIntervals[bucket] || 0) + 1;
+    }
+    if (specialKey) {
+        summary.specialKeys[specialKey] = (summary.specialKeys[specialKey] || 0) + 1;
+    }
+    if (classification) {
+        windows.metrics.keys.addToBreakdown(summary.keyBreakdown, classification);
+    }
+    windows.metrics.devices.addToBreakdown(summary.devices, device, "keys");
+};
+
+/**
+ * Adds a mouse event, as would have been logged by the "mouse" metric, to the summary.
+ *
+ * @param {InputSummary} summary The summary.
+ * @param {Object} mouseData The mouse metric: {button, distance, drag, doubleClick}, {wheel} or {hwheel}.
+ */
+windows.metrics.summary.addMouse = function (summary, mouseData) {
+    if (mouseData.wheel) {
+        summary.wheel += Math.abs(mouseData.wheel);
+    } else if (mouseData.hwheel) {
+        summary.hwheel += Math.abs(mouseData.hwheel);
+    } else if (mouseData.button) {
+        summary.clicks[mouseData.button] = (summary.clicks[mouseData.button] || 0) + 1;
+        summary.distance += mouseData.distance || 0;
+        summary.discarded += mouseData.discarded || 0;
+        summary.doubleClicks += mouseData.doubleClick ? 1 : 0;
+        summary.drags += mouseData.drag ? 1 : 0;
+        if (mouseData.device) {
+            windows.metrics.devices.addToBreakdown(summary.devices,
+                { id: mouseData.device, type: mouseData.deviceType }, "clicks");
+        }
+    }
+};
+
+/**
+ * Adds a touch or pen gesture, as would have been logged by the "touch" or "pen" metric, to the summary.
+ *
+ * @param {InputSummary} summary The summary.
+ * @param {String} source "touch" or "pen".
+ * @param {Object} data The metric: {gesture, duration, distance, fingers, penButton, device, deviceType}.
+ */
+windows.metrics.summary.addPointer = function (summary, source, data) {
+    var counts = summary[source];
+    counts[data.gesture] = (counts[data.gesture] || 0) + 1;
+    if (data.penButton) {
+        counts.penButton = (counts.penButton || 0) + 1;
+    }
+    if (data.device) {
+        windows.metrics.devices.addToBreakdown(summary.devices, { id: data.device, type: data.deviceType }, source);
+    }
+};
+
+/**
+ * Notes that input was received, to accumulate the active time. The time between two inputs counts as active if it's
+ * less than activeGap.
+ *
+ * @param {InputSummary} summary The summary.
+ * @param {Number} now The current time.
+ * @param {Number} activeGap The longest time between inputs that's considered to be continuous activity.
+ */
+windows.metrics.summary.noteInput = function (summary, now, activeGap) {
+    if (summary.lastInput && now - summary.lastInput < activeGap) {
+        summary.activeTime += now - summary.lastInput;
+    }
+    summary.lastInput = now;
+};
+
+/**
+ * Logs the "input-summary" metric for the current period (if there was any input), and starts a new period.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.summary.logSummary = function (that) {
+    var state = that.state.input;
+    var summary = state.summary;
+
+    if (summary) {
+        // Include the movement since the last click.
+        summary.distance += state.distance;
+        summary.discarded += state.mouse.discarded;
+        state.distance = 0;
+        state.mouse.discarded = 0;
+
+        if (summary.keys || summary.wheel || summary.hwheel || summary.distance ||
+            Object.keys(summary.clicks).length || Object.keys(summary.touch).length ||
+            Object.keys(summary.pen).length) {
+            that.logMetric("input-summary", {
+                period: that.clock.now() - summary.start,
+                keys: summary.keys,
+                keyIntervals: summary.keyIntervals,
+                specialKeys: summary.specialKeys,
+                keyBreakdown: summary.keyBreakdown,
+                clicks: summary.clicks,
+                doubleClicks: summary.doubleClicks,
+                drags: summary.drags,
+                wheel: Math.round(summary.wheel * 100) / 100,
+                hwheel: Math.round(summary.hwheel * 100) / 100,
+                distance: Math.round(summary.distance),
+                distanceMm: windows.metrics.pixelsToMm(that, summary.distance),
+                discarded: summary.discarded,
+                touch: summary.touch,
+                pen: summary.pen,
+                devices: summary.devices,
+                activeTime: summary.activeTime
+            });
+        }
+    }
+
+    state.summary = windows.metrics.summary.create(that.clock.now());
+};
+
+/**
+ * Starts summarising the input, logging the summary every summaryInterval.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.summary.start = function (that) {
+    var state = that.state.input;
+    windows.metrics.summary.stop(that);
+    state.summary = windows.metrics.summary.create(that.clock.now());
+    state.summaryTimer = that.clock.setInterval(windows.metrics.summary.logSummary, that.config.input.summaryInterval,
+        that);
+};
+
+/**
+ * Stops summarising the input, logging what has been accumulated.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.summary.stop = function (that) {
+    var state = that.state.input;
+    if (state.summaryTimer) {
+        that.clock.clearInterval(state.summaryTimer);
+        state.summaryTimer = null;
+        windows.metrics.summary.logSummary(that);
+    }
+    state.summary = null;
+};
@@ -0,0 +1,155 @@
+/*
+ * Classifies key presses into editing behaviours, without recording the characters typed.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.keys");
+
+/**
+ * The categories of keys, by key name (as in windows.metrics.specialKeys).
+ */
+windows.metrics.keys.categories = fluid.freezeRecursive({
+    deletion: ["BACK", "DELETE"],
+    navigation: ["LEFT", "RIGHT", "UP", "DOWN", "HOME", "END", "PAGEUP", "PAGEDOWN"],
+    "function": ["F1", "F2", "F3", "F4", "F5", "F6", "F7", "F8", "F9", "F10", "F11", "F12", "F13", "F14", "F15",
+        "F16", "F17", "F18", "F19", "F20", "F21", "F22", "F23", "F24"]
+});
+
+/**
+ * The catalogue of shortcuts which are counted. Only these names are logged - never the keys themselves. The key is
+ * either a letter, or a special key name.
+ */
+windows.metrics.keys.shortcuts = fluid.freezeRecursive({
+    copy: ["CTRL+C", "CTRL+INSERT"],
+    cut: ["CTRL+X", "SHIFT+DELETE"],
+    paste: ["CTRL+V", "SHIFT+INSERT"],
+    undo: ["CTRL+Z", "ALT+BACK"],
+    redo: ["CTRL+Y", "CTRL+SHIFT+Z"],
+    save: ["CTRL+S"],
+    selectAll: ["CTRL+A"],
+    find: ["CTRL+F"],
+    switchWindow: ["ALT+TAB", "ALT+SHIFT+TAB", "WIN+TAB", "ALT+ESCAPE"],
+    closeWindow: ["ALT+F4", "CTRL+W", "CTRL+F4"],
+    showDesktop: ["WIN+D"]
+});
+
+/**
+ * The order of the modifiers in a combination, as returned by windows.metrics.getModifierKeys.
+ */
+windows.metrics.keys.modifierOrder = ["SHIFT", "CTRL", "ALT", "WIN"];
+
+/**
+ * Gets the identifier of a key combination, used to look up the shortcuts.
+ *
+ * @param {Array<String>} modifiers The modifier keys that are held down.
+ * @param {Number} vkey The virtual key code.
+ * @return {String} The combination, like "CTRL+67".
+ */
+windows.metrics.keys.getCombination = function (modifiers, vkey) {
+    var sorted = windows.metrics.keys.modifierOrder.filter(function (modifier) {
+        return modifiers.indexOf(modifier) > -1;
+    });
+    return sorted.concat(vkey).join("+");
+};
+
+/**
+ * Builds the lookup tables from the key names to the categories and shortcuts. This is done on first use, because the
+ * virtual key codes are loaded after this file.
+ *
+ * @return {Object} {categories: vkey => category, shortcuts: combination => shortcut}
+ */
+windows.metrics.keys.getLookup = function () {
+    if (!windows.metrics.keys.lookup) {
+        var virtualKeyCodes = windows.API_constants.virtualKeyCodes;
+        var getKeyCode = function (keyName) {
+            return keyName.length === 1 ? keyName.charCodeAt(0) : virtualKeyCodes["VK_" + keyName];
+        };
+
+        var lookup = { categories: {}, shortcuts: {} };
+        fluid.each(windows.metrics.keys.categories, function (keyNames, category) {
+            fluid.each(keyNames, function (keyName) {
+                lookup.categories[getKeyCode(keyName)] = category;
+            });
+        });
+        fluid.each(windows.metrics.keys.shortcuts, function (combinations, shortcut) {
+            fluid.each(combinations, function (combination) {
+                var parts = combination.split("+");
+                var vkey = getKeyCode(parts.pop());
+                lookup.shortcuts[windows.metrics.keys.getCombination(parts, vkey)] = shortcut;
+            });
+        });
+        windows.metrics.keys.lookup = lookup;
+    }
+    return windows.metrics.keys.lookup;
+};
+
+/**
+ * Classifies a key press.
+ *
+ * @param {Number} vkey The virtual key code.
+ * @param {Array<String>} modifiers The modifier keys that are held down.
+ * @return {Object} {category, shortcut} The category of the key, and the name of the shortcut (or null).
+ */
+windows.metrics.keys.classify = function (vkey, modifiers) {
+    var lookup = windows.metrics.keys.getLookup();
+    return {
+        category: lookup.categories[vkey] || null,
+        shortcut: lookup.shortcuts[windows.metrics.keys.getCombination(modifiers, vkey)] || null
+    };
+};
+
+/**
+ * Creates an empty breakdown of the keys, for a typing session or summary.
+ *
+ * @return {Object} The breakdown: count per category, and {shortcuts: count per shortcut}.
+ */
+windows.metrics.keys.createBreakdown = function () {
+    var breakdown = { shortcuts: {} };
+    fluid.each(windows.metrics.keys.categories, function (keyNames, category) {
+        breakdown[category] = 0;
+    });
+    return breakdown;
+};
+
+/**
+ * Adds a classified key to a breakdown.
+ *
+ * @param {Object} breakdown The breakdown, from createBreakdown.
+ * @param {Object} classification The key's classification, from classify.
+ */
+windows.metrics.keys.addToBreakdown = function (breakdown, classification) {
+    if (classification.category) {
+        breakdown[classification.category]++;
+    }
+    if (classification.shortcut) {
+        breakdown.shortcuts[classification.shortcut] = (breakdown.shortcuts[classification.shortcut] || 0) + 1;
+    }
+};
+
+/**
+ * Determines if a keyboard message is a key being released. WM_SYSKEYUP is sent instead of WM_KEYUP while ALT is held.
+ *
+ * @param {Number} message The Message field of the RAWKEYBOARD.
+ * @return {Boolean} true if the key was released.
+ */
+windows.metrics.keys.isKeyUp = function (message) {
+    return message === windows.API_constants.WM_KEYUP || message === windows.API_constants.WM_SYSKEYUP;
+};
@@ -0,0 +1,288 @@
+/*
+ * Rotation and retention of the event log files that the metrics are written to.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    fs = require("fs"),
+    path = require("path"),
+    zlib = require("zlib");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.logRotation");
+
+/**
+ * Periodically rotates the event log file once it becomes too big, and removes old log files.
+ *
+ * The log file that's currently being written to is the event log's logPath, and the other log files are in the same
+ * directory. It is rotated by copying it to "<name>-rotated-<timestamp>.txt" (gzipped to .txt.gz if `compress` is
+ * set), and then truncating it, so the event log can keep appending to the same file. It's never removed. Nothing is
+ * done if the event log isn't written to a file, or its path isn't absolute.
+ *
+ * The options can be overridden with logRotation in the metrics siteConfig.
+ */
+fluid.defaults("gpii.windowsMetrics.logRotation", {
+    gradeNames: ["fluid.component"],
+    rotation: {
+        enabled: true,
+        // Matches the names of the other log files, in the directory of the current one.
+        pattern: "^log.*\\.txt(\\.gz)?$",
+        // Rotate the current log once it reaches this size, in bytes.
+        maxSize: 10485760,
+        // Remove log files older than this, in milliseconds (30 days).
+        maxAge: 2592000000,
+        // The number of log files (including the current one) to keep.
+        maxFiles: 20,
+        // Gzip rotated files.
+        compress: true,
+        // How often to check, in milliseconds.
+        checkInterval: 3600000
+    },
+    // From the site config.
+    siteRotation: null,
+    members: {
+        timer: null,
+        // The clock (provided by gpii.windowsMetrics).
+        clock: null
+    },
+    invokers: {
+        check: {
+            funcName: "gpii.windows.metrics.logRotation.check",
+            args: ["{that}", "{gpii.windowsMetrics}"]
+        },
+        getConfig: {
+            funcName: "gpii.windows.metrics.logRotation.getConfig",
+            args: ["{that}", "{eventLog}.logPath"]
+        }
+    },
+    listeners: {
+        "{gpii.windowsMetrics}.events.onStartMetrics": {
+            funcName: "gpii.windows.metrics.logRotation.start",
+            args: ["{that}"],
+            namespace: "logRotation"
+        },
+        "{gpii.windowsMetrics}.events.onStopMetrics": {
+            funcName: "gpii.windows.metrics.logRotation.stop",
+            args: ["{that}"],
+            namespace: "logRotation"
+        },
+        "onDestroy.stop": {
+            funcName: "gpii.windows.metrics.logRotation.stop",
+            args: ["{that}"]
+        }
+    }
+});
+
+/**
+ * Gets the rotation configuration: the defaults, overridden by the site config, with the current log file and its
+ * directory.
+ *
+ * @param {Component} that The gpii.windowsMetrics.logRotation instance.
+ * @param {String} logPath The file the event log is written to.
+ * @return {Object} The configuration. `file` and `directory` are null if there's no log file to rotate, with the
+ *  reason in `problem`.
+ */
+windows.metrics.logRotation.getConfig = function (that, logPath) {
+    var config = fluid.extend({}, that.options.rotation, that.options.siteRotation);
+    config.file = null;
+    config.directory = null;
+    if (!logPath) {
+        config.problem = "the event log isn't written to a file";
+    } else if (!path.isAbsolute(logPath)) {
+        config.problem = "the event log's path isn't absolute: " + logPath;
+    } else {
+        config.file = path.normalize(logPath);
+        config.directory = path.dirname(config.file);
+    }
+    return config;
+};
+
+/**
+ * Starts checking the log files.
+ *
+ * @param {Component} that The gpii.windowsMetrics.logRotation instance.
+ */
+windows.metrics.logRotation.start = function (that) {
+    windows.metrics.logRotation.stop(that);
+    var config = that.getConfig();
+    if (config.enabled && !config.file) {
+        fluid.log(fluid.logLevel.WARN, "Not rotating the event log: " + config.problem);
+    } else if (config.enabled) {
+        that.check();
+        that.timer = that.clock.setInterval(that.check, config.checkInterval);
+    }
+};
+
+/**
+ * Stops checking the log files.
+ *
+ * @param {Component} that The gpii.windowsMetrics.logRotation instance.
+ */
+windows.metrics.logRotation.stop = function (that) {
+    if (that.timer) {
+        that.clock.clearInterval(that.timer);
+        that.timer = null;
+    }
+};
+
+/**
+ * Gets the path of a rotated copy of the current log file.
+ *
+ * @param {String} file The current log file.
+ * @param {Number} time The time of the rotation.
+ * @return {String} The path of the copy.
+ */
+windows.metrics.logRotation.rotatedPath = function (file, time) {
+    var stamp = new Date(time).toISOString().replace(/[-:]|\.\d+/g, "");
+    return path.join(path.dirname(file), path.basename(file, path.extname(file)) + "-rotated-" + stamp + ".txt");
+};
+
+/**
+ * Lists the log files in the directory, other than the current one: those matching the pattern, and the rotated
+ * copies of the current one.
+ *
+ * @param {Object} config The rotation configuration.
+ * @return {Array<Object>} The log files {name, path, size, mtime, rotated}, newest first.
+ */
+windows.metrics.logRotation.listFiles = function (config) {
+    var pattern = new RegExp(config.pattern, "i");
+    var rotatedPrefix = (path.basename(config.file, path.extname(config.file)) + "-rotated-").toLowerCase();
+    var files = [];
+
+    var names = fs.existsSync(config.directory) ? fs.readdirSync(config.directory) : [];
+    fluid.each(names, function (name) {
+        var filePath = path.join(config.directory, name);
+        // Windows paths aren't case sensitive.
+        var isCurrent = filePath.toLowerCase() === config.file.toLowerCase();
+        if (!isCurrent && (pattern.test(name) || name.toLowerCase().startsWith(rotatedPrefix))) {
+            var stat = fs.statSync(filePath);
+            if (stat.isFile()) {
+                files.push({
+                    name: name,
+                    path: filePath,
+                    size: stat.size,
+                    mtime: stat.mtimeMs,
+                    rotated: name.indexOf("-rotated-") > -1
+                });
+            }
+        }
+    });
+
+    files.sort(function (a, b) {
+        return b.mtime - a.mtime;
+    });
+    return files;
+};
+
+/**
+ * Gzips a file, removing the original.
+ *
+ * @param {String} filePath The file.
+ * @return {Promise} Resolves with the path of the compressed file.
+ */
+windows.metrics.logRotation.compress = function (filePath) {
+    var promise = fluid.promise();
+    var gzPath = filePath + ".gz";
+
+    var output = fs.createWriteStream(gzPath);
+    output.on("finish", function () {
+        fs.unlinkSync(filePath);
+        promise.resolve(gzPath);
+    });
+    output.on("error", promise.reject);
+
+    fs.createReadStream(filePath).on("error", promise.reject).pipe(zlib.createGzip()).pipe(output);
+    return promise;
+};
+
+/**
+ * Rotates the current log file if it's too big, and removes log files which are too old or too many, logging the
+ * "rotation" metric if anything was done.
+ *
+ * @param {Component} that The gpii.windowsMetrics.logRotation instance.
+ * @param {Component} metrics The gpii.windowsMetrics instance.
+ * @return {Promise} Resolves when complete, or rejects if there's no log file to rotate.
+ */
+windows.metrics.logRotation.check = function (that, metrics) {
+    var config = that.getConfig();
+    var result = {
+        rotated: null,
+        pruned: [],
+        freed: 0
+    };
+    var promise = fluid.promise();
+
+    if (!config.file) {
+        promise.reject({
+            isError: true,
+            message: "Unable to rotate the event log: " + config.problem
+        });
+        return promise;
+    }
+
+    try {
+        var now = that.clock.now();
+        var files = windows.metrics.logRotation.listFiles(config);
+        var currentSize = fs.existsSync(config.file) ? fs.statSync(config.file).size : 0;
+
+        if (currentSize >= config.maxSize) {
+            var rotatedPath = windows.metrics.logRotation.rotatedPath(config.file, now);
+            // Copy and truncate, rather than rename, because the event log may still be appending to the file.
+            fs.copyFileSync(config.file, rotatedPath);
+            fs.truncateSync(config.file, 0);
+            result.rotated = path.basename(rotatedPath);
+            result.size = currentSize;
+        }
+
+        // The current file, and the one just rotated.
+        var kept = 1 + (result.rotated ? 1 : 0);
+        fluid.each(files, function (file) {
+            if (now - file.mtime > config.maxAge || kept >= config.maxFiles) {
+                fs.unlinkSync(file.path);
+                result.pruned.push(file.name);
+                result.freed += file.size;
+            } else {
+                kept++;
+            }
+        });
+
+        var compressed = (result.rotated && config.compress)
+            ? windows.metrics.logRotation.compress(rotatedPath)
+            : fluid.toPromise(null);
+
+        compressed.then(function (gzPath) {
+            if (gzPath) {
+                result.rotated = path.basename(gzPath);
+                result.compressedSize = fs.statSync(gzPath).size;
+            }
+            if (result.rotated || result.pruned.length) {
+                metrics.logMetric("rotation", result);
+            }
+            promise.resolve(result);
+        }, function (err) {
+            fluid.log(fluid.logLevel.WARN, "Unable to compress rotated log: ", err);
+            metrics.logMetric("rotation", result);
+            promise.resolve(result);
+        });
+    } catch (err) {
+        fluid.log(fluid.logLevel.WARN, "Log rotation failed: ", err);
+        promise.reject(err);
+    }
+
+    return promise;
+};
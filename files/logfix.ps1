@@ -1,7 +1,21 @@
+param([switch]$Rollback)
 
+# Runs applyPatch.js with Morphic's own executable, as node.
+$morphic = "C:\Program Files (x86)\Morphic\windows"
+$node = "$morphic\morphic-app.exe"
+if (!(Test-Path $node)) {
+    $node = "node.exe"
+}
+$env:ELECTRON_RUN_AS_NODE = "1"
 
-Move-Item "C:\Program Files (x86)\Morphic\windows\resources\app\node_modules\gpii-windows\gpii\node_modules\windowsMetrics\src\windowsMetrics.js" "C:\Program Files (x86)\Morphic\windows\resources\app\node_modules\gpii-windows\gpii\node_modules\windowsMetrics\src\windowsMetrics.js.old"
+$command = if ($Rollback) { "rollback" } else { "apply" }
+$output = & $node "$PSScriptRoot\applyPatch.js" $command --manifest "$PSScriptRoot\patchManifest.json"
+$result = $LASTEXITCODE
+$output
 
-Copy-Item windowsMetrics.js "C:\Program Files (x86)\Morphic\windows\resources\app\node_modules\gpii-windows\gpii\node_modules\windowsMetrics\src\windowsMetrics.js"
+# The logs only need removing if the files were replaced just now (not if they were already patched, or it failed).
+if (!$Rollback -and $result -eq 0 -and ($output | Select-Object -Last 1) -eq "applied") {
+    Remove-Item c:\users\*\appData\Roaming\gpii\log*.txt
+}
 
-Remove-Item c:\users\*\appData\Roaming\gpii\log*.txt
+exit $result
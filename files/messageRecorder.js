@@ -0,0 +1,452 @@
+/*
+ * Records the window messages received by gpii.windowsMetrics, and replays them into a simulated Windows.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    fs = require("fs");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.messageRecorder");
+
+/**
+ * Writes the messages reaching windows.metrics.windowMessage to a JSONL file, one message per line:
+ *
+ * {"t": clock.now(), "time": GetMessageTime(), "msg": "WM_INPUT", "wParam": 0, "rawInput": {header, keyboard|mouse}}
+ * {"t": ..., "msg": "WM_SHELLHOOK", "wParam": HSHELL_*, "lParam": hwnd, "window": {pid, exe, className}}
+ * {"t": ..., "msg": "WM_SETTINGCHANGE", "wParam": SPI_SET*, "lParam": section, "value": the setting's new value}
+ * {"t": ..., "event": "process-exit", "pid": pid, "exitTime": ISO time}
+ *
+ * Recording starts when the file is set, via siteConfig.recordMessages or the GPII_RECORD_MESSAGES environment
+ * variable. Printable keys are recorded as "A", unless recordKeys is set.
+ */
+fluid.defaults("gpii.windowsMetrics.messageRecorder", {
+    gradeNames: ["fluid.component"],
+    // The file to record to.
+    file: null,
+    // true to record the actual value of printable keys.
+    recordKeys: false,
+    members: {
+        recording: false,
+        stream: null
+    },
+    invokers: {
+        start: {
+            funcName: "gpii.windows.metrics.messageRecorder.start",
+            args: ["{that}", "{arguments}.0"] // file
+        },
+        stop: {
+            funcName: "gpii.windows.metrics.messageRecorder.stop",
+            args: ["{that}"]
+        },
+        record: {
+            funcName: "gpii.windows.metrics.messageRecorder.record",
+            args: ["{that}", "{arguments}.0"] // entry
+        }
+    },
+    listeners: {
+        "onCreate.start": {
+            func: "{that}.start",
+            args: ["{that}.options.file"]
+        },
+        "onDestroy.stop": "{that}.stop",
+        "{gpii.windowsMetrics}.events.onMetric": {
+            funcName: "gpii.windows.metrics.messageRecorder.metricLogged",
+            args: ["{that}", "{gpii.windowsMetrics}.clock", "{arguments}.0", "{arguments}.1"]
+        }
+    }
+});
+
+/**
+ * Starts recording.
+ *
+ * @param {Component} that The gpii.windowsMetrics.messageRecorder instance.
+ * @param {String} file [optional] The file to append the recording to (default: GPII_RECORD_MESSAGES).
+ */
+windows.metrics.messageRecorder.start = function (that, file) {
+    file = file || process.env.GPII_RECORD_MESSAGES;
+    if (file && !that.recording) {
+        fluid.log("Recording window messages to " + file);
+        that.stream = fs.createWriteStream(file, { flags: "a" });
+        that.stream.on("error", function (err) {
+            fluid.log(fluid.logLevel.WARN, "Unable to record window messages: ", err);
+            that.recording = false;
+        });
+        that.recording = true;
+    }
+};
+
+/**
+ * Stops recording.
+ *
+ * @param {Component} that The gpii.windowsMetrics.messageRecorder instance.
+ */
+windows.metrics.messageRecorder.stop = function (that) {
+    if (that.stream) {
+        that.stream.end();
+        that.stream = null;
+    }
+    that.recording = false;
+};
+
+/**
+ * Writes an entry to the recording.
+ *
+ * @param {Component} that The gpii.windowsMetrics.messageRecorder instance.
+ * @param {Object} entry The entry.
+ */
+windows.metrics.messageRecorder.record = function (that, entry) {
+    if (that.recording) {
+        that.stream.write(JSON.stringify(entry) + "\n");
+    }
+};
+
+/**
+ * Records the exit of a process, which isn't a window message but is needed to replay the app-close metric.
+ *
+ * @param {Component} that The gpii.windowsMetrics.messageRecorder instance.
+ * @param {Clock} clock The clock of the gpii.windowsMetrics instance.
+ * @param {String} eventName The name of the metric.
+ * @param {Object} data The metric's data.
+ */
+windows.metrics.messageRecorder.metricLogged = function (that, clock, eventName, data) {
+    if (that.recording && eventName === "app-close") {
+        that.record({
+            t: clock.now(),
+            event: "process-exit",
+            pid: data.pid,
+            exitTime: data.exitTime
+        });
+    }
+};
+
+/**
+ * Gets the name of a window message (eg, "WM_INPUT").
+ *
+ * @param {Number} msg The message identifier.
+ * @return {String} The name of the message, or undefined if it's not known.
+ */
+windows.metrics.messageRecorder.messageName = function (msg) {
+    return fluid.find(windows.API_constants, function (value, key) {
+        if (value === msg && key.startsWith("WM_")) {
+            return key;
+        }
+    });
+};
+
+/**
+ * Copies the interesting fields of a RAWINPUT structure into a plain object.
+ *
+ * @param {NativeAdapter} native The native adapter.
+ * @param {Object} rawInput The RAWINPUTKEYBOARD, RAWINPUTMOUSE, or HID input.
+ * @param {Boolean} recordKeys true to keep the value of printable keys.
+ * @return {Object} The raw input fields.
+ */
+windows.metrics.messageRecorder.copyRawInput = function (native, rawInput, recordKeys) {
+    var togo = {
+        header: {
+            dwType: rawInput.header.dwType,
+            hDevice: rawInput.header.hDevice
+        }
+    };
+
+    if (rawInput.header.dwType === windows.API_constants.RIM_TYPEKEYBOARD) {
+        var vkey = rawInput.keyboard.VKey;
+        // Shortcuts in the catalogue are kept, so they can be replayed.
+        var printable = !windows.metrics.specialKeys[vkey] &&
+            native.mapVirtualKey(vkey, windows.API_constants.MAPVK_VK_TO_CHAR) &&
+            !windows.metrics.keys.classify(vkey, windows.metrics.getModifierKeys(native)).shortcut;
+        togo.keyboard = {
+            // Don't record what's being typed.
+            VKey: (printable && !recordKeys) ? 0x41 : vkey,
+            Message: rawInput.keyboard.Message,
+            Flags: rawInput.keyboard.Flags
+        };
+    } else if (rawInput.header.dwType === windows.API_constants.RIM_TYPEMOUSE) {
+        togo.mouse = {
+            usFlags: rawInput.mouse.usFlags,
+            usButtonFlags: rawInput.mouse.usButtonFlags,
+            usButtonData: rawInput.mouse.usButtonData,
+            lLastX: rawInput.mouse.lLastX,
+            lLastY: rawInput.mouse.lLastY,
+            ulExtraInformation: rawInput.mouse.ulExtraInformation
+        };
+    } else if (rawInput.header.dwType === windows.API_constants.RIM_TYPEHID) {
+        // Only the number of contacts is kept, which the simulated adapter reads directly.
+        togo.hid = {
+            dwSizeHid: 0,
+            dwCount: 1,
+            contacts: native.getDigitizerContacts(rawInput.header.hDevice, rawInput.hid)
+        };
+    }
+
+    return togo;
+};
+
+/**
+ * Records a message received by windows.metrics.windowMessage. This is called before the message is handled, while
+ * the lParam is still valid.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} msg The message identifier.
+ * @param {Number} wParam Message specific data.
+ * @param {Object} lParam Additional message specific data.
+ */
+windows.metrics.messageRecorder.traceMessage = function (that, msg, wParam, lParam) {
+    var constants = windows.API_constants;
+    var recorder = that.messageRecorder;
+    var lParamNumber = (lParam && lParam.address) ? lParam.address() : lParam || 0;
+
+    var entry = {
+        t: that.clock.now(),
+        time: that.native.getMessageTime(),
+        msg: windows.metrics.messageRecorder.messageName(msg),
+        wParam: wParam
+    };
+
+    if (msg === constants.WM_INPUT) {
+        that.native.getRawInputData(lParam).then(function (rawInput) {
+            entry.rawInput = windows.metrics.messageRecorder.copyRawInput(that.native, rawInput,
+                recorder.options.recordKeys);
+            recorder.record(entry);
+        });
+    } else if (msg === constants.WM_SHELLHOOK) {
+        entry.lParam = lParamNumber;
+        if (lParamNumber) {
+            // A destroyed window can only be identified from what's already known about it.
+            var windowInfo = that.state.application.knownWindows[lParamNumber]
+                || windows.metrics.getWindowInfo(that.native, lParamNumber);
+            entry.window = {
+                pid: windowInfo.pid,
+                exe: windows.metrics.genericisePath(windowInfo.exe, null, that.config.application.paths),
+                className: windowInfo.className,
+                appId: windowInfo.appId
+            };
+        }
+        recorder.record(entry);
+    } else if (msg === constants.WM_POWERBROADCAST || windows.metrics.settingsMessages.indexOf(msg) > -1) {
+        entry.lParam = lParamNumber;
+        if (msg === constants.WM_SETTINGCHANGE) {
+            // The section name, rather than the pointer to it.
+            entry.lParam = that.native.readWideString(lParam) || 0;
+            // The new value of the setting, which is read when the message is handled.
+            var setting = windows.metrics.spiSnapshot.settings[windows.spi.actionsLookup[wParam]];
+            if (setting) {
+                entry.value = windows.metrics.spiSnapshot.read(that, setting);
+            }
+        } else if (msg === constants.WM_INPUTLANGCHANGE) {
+            entry.layout = that.native.getKeyboardLayoutName();
+        }
+        recorder.record(entry);
+    }
+};
+
+/**
+ * Reads a recording.
+ *
+ * @param {String} file The recording.
+ * @return {Promise} Resolves with the entries of the recording, or rejects if it can't be read or has an invalid
+ *  entry.
+ */
+windows.metrics.messageRecorder.readRecording = function (file) {
+    var promise = fluid.promise();
+    fs.readFile(file, "utf8", function (err, content) {
+        if (err) {
+            promise.reject({
+                isError: true,
+                message: "Unable to read the recording " + file + ": " + err.message,
+                error: err
+            });
+            return;
+        }
+        var entries = [];
+        var lines = content.split(/\r?\n/);
+        var invalid = fluid.find(lines, function (line, index) {
+            if (line.trim()) {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (e) {
+                    return "Invalid entry at " + file + ":" + (index + 1) + ": " + e.message;
+                }
+            }
+        });
+        if (invalid) {
+            promise.reject({
+                isError: true,
+                message: invalid
+            });
+        } else {
+            promise.resolve(entries);
+        }
+    });
+    return promise;
+};
+
+/**
+ * Passes a recorded message to windows.metrics.windowMessage, after putting the simulated Windows into the state it
+ * was in when the message was recorded.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} hwnd The message window.
+ * @param {Object} entry The recorded entry.
+ */
+windows.metrics.messageRecorder.replayEntry = function (that, hwnd, entry) {
+    var constants = windows.API_constants;
+    var sim = that.native;
+
+    if (entry.event === "process-exit") {
+        sim.exitProcess(entry.pid);
+        if (entry.exitTime && sim.processes[entry.pid]) {
+            // It exited before it was noticed.
+            sim.processes[entry.pid].exitTime = Date.parse(entry.exitTime);
+        }
+        // Don't wait for the next poll.
+        that.processWatcher.poll();
+        return;
+    }
+
+    var msg = constants[entry.msg];
+    if (msg === undefined) {
+        fluid.log(fluid.logLevel.WARN, "Skipping unknown message in recording: " + entry.msg);
+        return;
+    }
+
+    sim.time = entry.time;
+    var lParam = entry.lParam;
+
+    if (msg === constants.WM_INPUT) {
+        lParam = entry.rawInput;
+        if (lParam.keyboard) {
+            sim.setKeyState(lParam.keyboard.VKey, !windows.metrics.keys.isKeyUp(lParam.keyboard.Message));
+        }
+    } else if (msg === constants.WM_SHELLHOOK && entry.window) {
+        // Re-create the window the message is about.
+        var proc = sim.processes[entry.window.pid];
+        if (!proc || !proc.running || proc.exe !== entry.window.exe) {
+            sim.startProcess(entry.window.pid, entry.window.exe, entry.window.appId);
+        }
+        sim.windows[lParam] = {
+            pid: entry.window.pid,
+            className: entry.window.className,
+            parent: 0
+        };
+        if (entry.wParam === constants.HSHELL_WINDOWACTIVATED || entry.wParam === constants.HSHELL_RUDEAPPACTIVATED) {
+            sim.foregroundWindow = lParam;
+        }
+    } else if (msg === constants.WM_INPUTLANGCHANGE && entry.layout) {
+        sim.keyboardLayout = entry.layout;
+    } else if (msg === constants.WM_SETTINGCHANGE && entry.value !== undefined) {
+        // Apply the new value of the setting.
+        var setting = windows.metrics.spiSnapshot.settings[windows.spi.actionsLookup[entry.wParam]];
+        if (setting && setting.registry) {
+            sim.setRegistryValue("HKEY_CURRENT_USER", setting.registry.path, setting.registry.valueName,
+                entry.value);
+        } else if (setting) {
+            sim.spi[setting.getAction] = entry.value;
+        }
+    }
+
+    windows.metrics.windowMessage(that, hwnd, msg, entry.wParam, lParam);
+
+    if (msg === constants.WM_SHELLHOOK && entry.wParam === constants.HSHELL_WINDOWDESTROYED) {
+        delete sim.windows[lParam];
+    }
+};
+
+/**
+ * Replays a recording of window messages into the component, collecting the metrics that are logged. The component
+ * must be using the simulated native adapter.
+ *
+ * With the simulated clock, the clock is driven by the time each message was recorded, so the timers (such as the end
+ * of a typing session) fire between the messages as they did when it was recorded, no matter how quickly it's
+ * replayed. With the system clock, the messages are played with their original timing (or scaled by the speed), and
+ * the timers run in real time.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {String} file The recording.
+ * @param {Object} options [optional] Options:
+ * @param {Number} options.speed Playback speed: 1 for the original timing, 10 for 10x faster, 0 for as fast as
+ *  possible. The default is 0 with the simulated clock, and 1 with the system clock.
+ * @param {String} options.output A file to write the logged metrics to (JSONL), for use as a golden output.
+ * @return {Promise} Resolves with the logged metrics, [{event, data}], when the recording has been played.
+ */
+windows.metrics.replayMessages = function (that, file, options) {
+    var simulatedClock = that.clock.simulated;
+    options = fluid.extend({ speed: simulatedClock ? 0 : 1 }, options);
+    var promise = fluid.promise();
+
+    if (!that.native.simulated) {
+        promise.reject({
+            isError: true,
+            message: "Replaying window messages requires the simulated native adapter"
+        });
+        return promise;
+    }
+
+    var hwnd = that.getMessageWindow();
+    var metrics = [];
+
+    var finish = function () {
+        that.events.onMetric.removeListener("replayMessages");
+        if (options.output) {
+            var lines = fluid.transform(metrics, JSON.stringify);
+            fs.writeFileSync(options.output, lines.join("\n") + "\n");
+        }
+        promise.resolve(metrics);
+    };
+
+    windows.metrics.messageRecorder.readRecording(file).then(function (entries) {
+        that.events.onMetric.addListener(function (eventName, data) {
+            metrics.push({ event: eventName, data: fluid.copy(data) });
+        }, "replayMessages");
+
+        if (entries.length && simulatedClock) {
+            // Start the clock at the beginning of the recording.
+            that.clock.setTime(entries[0].t);
+        }
+
+        var index = 0;
+        var playNext = function () {
+            var entry = entries[index++];
+            if (!entry) {
+                finish();
+                return;
+            }
+
+            if (simulatedClock) {
+                // Run the timers that were due before this message.
+                that.clock.advanceTo(entry.t);
+            }
+            windows.metrics.messageRecorder.replayEntry(that, hwnd, entry);
+
+            // Pace the playback in real time (not with the component's clock, which may be simulated), letting the
+            // messages that are deferred to the next tick be handled.
+            var next = entries[index];
+            var delay = (next && options.speed) ? Math.max(0, (next.t - entry.t) / options.speed) : 0;
+            if (delay) {
+                setTimeout(playNext, delay);
+            } else {
+                setImmediate(playNext);
+            }
+        };
+
+        playNext();
+    }, promise.reject);
+
+    return promise;
+};
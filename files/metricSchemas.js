@@ -0,0 +1,380 @@
+/*
+ * The declared fields of each metric, which the metrics are validated against before they're logged.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.schemas");
+
+/*
+ * The schemas are keyed by metric name (or a prefix ending with "*"), and list the fields the metric may have. A field
+ * is either the name of its type, or {type, allow, privacy}:
+ *
+ * type - "string", "number", "boolean", "object", "array" or "any"; or an array of them. null is allowed for any type.
+ * allow - [optional] The only values the field may have.
+ * privacy - "safe" (the default) if the value can be logged as-is, or "redacted" if it must pass through a redaction
+ *    rule (see gpii.windows.metrics.redaction). The "safe" fields are the ones that are kept in strict redaction mode.
+ *
+ * A metric that isn't declared, or has a field that isn't declared or doesn't match its schema, is invalid. Invalid
+ * metrics throw in the test context; otherwise they're still logged, and reported with "metric-invalid".
+ */
+
+/**
+ * Fields that are common to several metrics.
+ */
+windows.metrics.schemas.common = fluid.freezeRecursive({
+    exe: { type: "string", privacy: "redacted" },
+    windowClass: { type: "string", privacy: "redacted" },
+    device: "string",
+    deviceType: "string",
+    modifierKeys: "array",
+    start: "string",
+    end: "string",
+    duration: "number",
+    product: "string",
+    category: "string"
+});
+
+/**
+ * Creates the schema of a metric.
+ *
+ * @param {Array<String>} commonFields The names of the fields to take from windows.metrics.schemas.common.
+ * @param {Object} fields [optional] Fields specific to the metric.
+ * @return {Object} The schema: {fields}.
+ */
+windows.metrics.schemas.schema = function (commonFields, fields) {
+    var togo = { fields: {} };
+    fluid.each(commonFields, function (field) {
+        togo.fields[field] = windows.metrics.schemas.common[field];
+    });
+    fluid.extend(togo.fields, fields);
+    return togo;
+};
+
+var schema = windows.metrics.schemas.schema;
+
+/**
+ * The schema of each metric.
+ */
+windows.metrics.schemas.registry = fluid.freezeRecursive({
+    "version": schema([], {
+        "windowsMetrics": "string",
+        "gpii-app": "string",
+        "gpii-windows": "string",
+        "gpii-universal": "string"
+    }),
+    "system-info": schema([], {
+        cpu: "string",
+        cores: "number",
+        memory: "string",
+        resolution: "string",
+        scale: "string",
+        monitors: "number",
+        osRelease: "string",
+        osEdition: "string",
+        osBits: { type: "string", allow: ["32", "64"] },
+        systemMfr: "string",
+        systemName: "string"
+    }),
+    "display-topology": schema([], {
+        count: "number",
+        monitors: "array",
+        added: "array",
+        removed: "array",
+        changed: "object"
+    }),
+    "app-launch": schema(["exe", "windowClass", "product", "category"], {
+        pid: "number"
+    }),
+    "app-close": schema(["exe", "windowClass", "product", "category"], {
+        pid: "number",
+        reconciled: "boolean",
+        exitTime: "string",
+        detectedTime: "string"
+    }),
+    "app-active": schema(["exe", "windowClass", "product", "category"], {
+        window: "string"
+    }),
+    "app-inactive": schema(["exe", "windowClass", "product", "category"], {
+        window: "string"
+    }),
+    "app-usage": schema(["exe", "duration", "product", "category"], {
+        periodStart: "string",
+        period: "number",
+        activations: "number",
+        longest: "number"
+    }),
+    "at-session": schema(["start", "end", "duration", "product", "category"], {
+        foreground: "number",
+        activations: "number",
+        ended: "boolean"
+    }),
+    "key-time": schema(["modifierKeys", "device", "deviceType"], {
+        keyTime: "number",
+        // Restricted to the special key names and shortcuts by the redaction rules.
+        key: { type: "string", privacy: "redacted" },
+        shortcut: { type: "string", privacy: "redacted" }
+    }),
+    "mouse": schema(["modifierKeys", "device", "deviceType"], {
+        button: { type: "number", allow: [1, 2, 3, 4, 5] },
+        distance: "number",
+        distanceMm: "number",
+        discarded: "number",
+        hold: "number",
+        drag: "number",
+        doubleClick: "boolean",
+        wheel: "number",
+        hwheel: "number"
+    }),
+    "touch": schema(["duration", "device", "deviceType"], {
+        gesture: { type: "string", allow: ["tap", "long-press", "drag", "multi-finger"] },
+        distance: "number",
+        distanceMm: "number",
+        fingers: "number"
+    }),
+    "pen": schema(["duration", "device", "deviceType"], {
+        gesture: { type: "string", allow: ["tap", "long-press", "stroke"] },
+        distance: "number",
+        distanceMm: "number",
+        penButton: "boolean"
+    }),
+    "typing-session": schema(["duration"], {
+        count: "number",
+        corrections: "number",
+        specialKeys: "number",
+        navigation: "number",
+        functionKeys: "number",
+        shortcuts: "object",
+        devices: "object",
+        rate: "number"
+    }),
+    "input-summary": schema([], {
+        period: "number",
+        keys: "number",
+        keyIntervals: "object",
+        specialKeys: "object",
+        keyBreakdown: "object",
+        clicks: "object",
+        doubleClicks: "number",
+        drags: "number",
+        wheel: "number",
+        hwheel: "number",
+        distance: "number",
+        distanceMm: "number",
+        discarded: "number",
+        touch: "object",
+        pen: "object",
+        devices: "object",
+        activeTime: "number"
+    }),
+    "input-disabled": schema([], {
+        reason: { type: "string", allow: ["GPII_NO_INPUT_METRICS", "siteConfig"] }
+    }),
+    "device-added": schema(["device", "deviceType"]),
+    "device-removed": schema(["device", "deviceType"]),
+    "config*": schema([], {
+        msg: "string",
+        wp: "number",
+        // The section name, when replaying a recording.
+        lp: ["number", "string"],
+        action: "string",
+        width: "number",
+        height: "number",
+        bpp: "number",
+        // Restricted to the known values by the redaction rules.
+        section: { type: "string", privacy: "redacted" },
+        theme: { type: "string", privacy: "redacted" },
+        highContrastScheme: { type: "string", privacy: "redacted" },
+        policy: { type: "string", allow: ["machine", "user"] },
+        locale: "string",
+        appsTheme: { type: "string", allow: ["light", "dark"] },
+        systemTheme: { type: "string", allow: ["light", "dark"] },
+        highContrast: "boolean",
+        layout: "string",
+        layoutName: "string",
+        setting: "string",
+        from: "any",
+        to: "any",
+        source: { type: "string", allow: ["gpii", "user", "unknown"] },
+        value: "any",
+        after: "number"
+    }),
+    "power-suspend": schema([]),
+    "power-resume": schema([]),
+    "system-sleep": schema(["start", "end", "duration"]),
+    "user-idle": schema(["start", "end", "duration"], {
+        sleep: "boolean"
+    }),
+    "rotation": schema([], {
+        rotated: "string",
+        size: "number",
+        compressedSize: "number",
+        pruned: "array",
+        freed: "number"
+    }),
+    "tracking-stats": schema([], {
+        knownWindows: "number",
+        runningApplications: "number",
+        staleWindows: "number",
+        closedApplications: "number",
+        evicted: "number"
+    }),
+    // The metrics logged by gpii.metrics, which gpii.windowsMetrics extends.
+    "inactive-begin": schema([], {
+        sleep: "boolean"
+    }),
+    "inactive-stop": schema([]),
+    "subsession-begin": schema([], {
+        subSessionID: "string"
+    }),
+    "subsession-end": schema([], {
+        subSessionID: "string"
+    }),
+    "solution-applied": schema([], {
+        solutionID: "string"
+    }),
+    "solution-failed": schema([], {
+        solutionID: "string"
+    }),
+    "preference": schema([], {
+        name: "string",
+        newValue: "string"
+    }),
+    "metric-invalid": schema([], {
+        metric: "string",
+        problems: "array",
+        count: "number"
+    })
+});
+
+/**
+ * Gets the fields of each metric that are safe to log as-is, for strict redaction.
+ *
+ * @param {Object} registry The schemas.
+ * @return {Object<String,Array<String>>} The safe field names, keyed by metric name (or prefix).
+ */
+windows.metrics.schemas.getSafeFields = function (registry) {
+    return fluid.transform(registry, function (metricSchema) {
+        var togo = [];
+        fluid.each(metricSchema.fields, function (field, name) {
+            if (field.privacy !== "redacted") {
+                togo.push(name);
+            }
+        });
+        return togo;
+    });
+};
+
+/**
+ * Gets the type of a value, as it's named in the schemas.
+ *
+ * @param {Any} value The value.
+ * @return {String} "string", "number", "boolean", "object", or "array".
+ */
+windows.metrics.schemas.typeOf = function (value) {
+    return Array.isArray(value) ? "array" : typeof(value);
+};
+
+/**
+ * Checks a metric against its schema.
+ *
+ * The problems only name the fields, not their values, because an invalid value may be something that shouldn't be
+ * logged.
+ *
+ * @param {Object} registry The schemas.
+ * @param {String} eventName The name of the metric.
+ * @param {Object} data [optional] The metric's data.
+ * @return {Array<String>} The problems with the metric (empty if it's valid).
+ */
+windows.metrics.schemas.validate = function (registry, eventName, data) {
+    var schemas = windows.metrics.redaction.matchMetric(registry, eventName);
+    if (!schemas.length) {
+        return ["unknown metric"];
+    }
+
+    var fields = {};
+    fluid.each(schemas, function (metricSchema) {
+        fluid.extend(fields, metricSchema.fields);
+    });
+
+    var problems = [];
+    fluid.each(data, function (value, name) {
+        var field = fields[name];
+        if (!field) {
+            problems.push(name + ": unknown field");
+        } else if (value !== null && value !== undefined) {
+            var types = fluid.makeArray(field.type || field);
+            if (types.indexOf("any") < 0 && types.indexOf(windows.metrics.schemas.typeOf(value)) < 0) {
+                problems.push(name + ": expected " + types.join(" or "));
+            } else if (field.allow && field.allow.indexOf(value) < 0) {
+                problems.push(name + ": value not allowed");
+            }
+        }
+    });
+    return problems;
+};
+
+/**
+ * Called when a metric is invalid. In the test context (metricValidation: "throw"), this throws. Otherwise, the first
+ * occurrence of each problem is logged as "metric-invalid", and later ones are counted and logged when the metrics
+ * stop (see windows.metrics.schemas.reportInvalid).
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {String} eventName The name of the invalid metric.
+ * @param {Array<String>} problems The problems, from windows.metrics.schemas.validate.
+ */
+windows.metrics.schemas.invalidMetric = function (that, eventName, problems) {
+    if (that.options.metricValidation === "throw") {
+        fluid.fail("Invalid metric \"" + eventName + "\": " + problems.join(", "));
+    }
+
+    var key = eventName + " " + problems.join(", ");
+    var invalid = that.state.invalidMetrics[key];
+    if (invalid) {
+        invalid.count++;
+    } else {
+        that.state.invalidMetrics[key] = {
+            metric: eventName,
+            problems: problems,
+            count: 1,
+            reported: 1
+        };
+        that.logMetric("metric-invalid", { metric: eventName, problems: problems, count: 1 });
+    }
+};
+
+/**
+ * Logs "metric-invalid" with the number of occurrences of each problem that happened again since it was first
+ * reported. Called when the metrics stop.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.schemas.reportInvalid = function (that) {
+    fluid.each(that.state.invalidMetrics, function (invalid) {
+        if (invalid.count > invalid.reported) {
+            invalid.reported = invalid.count;
+            that.logMetric("metric-invalid", {
+                metric: invalid.metric,
+                problems: invalid.problems,
+                count: invalid.count
+            });
+        }
+    });
+};
@@ -0,0 +1,162 @@
+/*
+ * Declarative policy controlling which metrics are logged, and how.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    fs = require("fs"),
+    path = require("path");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.policy");
+
+/*
+ * A policy maps metric names to a rule. The name can end with "*" to match several metrics ("config.*"), or be "*" to
+ * match everything; the most specific match is used.
+ *
+ * {
+ *     "metrics": {
+ *         "key-time": "disabled",
+ *         "config.*": "debug",
+ *         "mouse": { "sample": 0.1 },
+ *         "typing-session": { "level": "debug", "sample": 0.5 }
+ *     }
+ * }
+ *
+ * A rule is either "enabled", "disabled", "debug", true, false, or an object of {enabled, level, sample}, where level
+ * is "info" or "debug" and sample is the proportion (0 to 1) of the metrics that get logged.
+ */
+
+/**
+ * The location of the local override file, used when siteConfig.metricsPolicyFile isn't set.
+ * @return {String} The path to the policy file.
+ */
+windows.metrics.policy.defaultFile = function () {
+    return path.join(process.env.ProgramData || "C:\\ProgramData", "Morphic", "metricsPolicy.json");
+};
+
+/**
+ * The rules which can be given as a string.
+ */
+windows.metrics.policy.namedRules = {
+    enabled: { enabled: true, level: "info" },
+    disabled: { enabled: false, level: "info" },
+    debug: { enabled: true, level: "debug" }
+};
+
+/**
+ * Normalises a policy rule into {enabled, level, sample}. true and false enable or disable the metric. Any other rule
+ * that's not one of the named rules or an object is logged, and disables the metric - a mistyped rule is more likely
+ * to be an attempt to turn something off than on.
+ *
+ * @param {String|Boolean|Object} rule The rule from the policy.
+ * @param {String} eventName The metric (or pattern) the rule is for.
+ * @return {Object} The normalised rule.
+ */
+windows.metrics.policy.normaliseRule = function (rule, eventName) {
+    if (typeof(rule) === "boolean") {
+        rule = { enabled: rule };
+    } else if (typeof(rule) === "string" && windows.metrics.policy.namedRules.hasOwnProperty(rule)) {
+        rule = windows.metrics.policy.namedRules[rule];
+    } else if (!rule || typeof(rule) !== "object") {
+        fluid.log(fluid.logLevel.WARN, "Disabling " + eventName + " for an invalid metrics policy rule: "
+            + JSON.stringify(rule));
+        rule = { enabled: false };
+    }
+
+    var togo = {
+        enabled: rule.enabled !== false,
+        level: rule.level === "debug" ? "debug" : "info"
+    };
+    if (typeof(rule.sample) === "number" && rule.sample < 1) {
+        togo.sample = Math.max(0, rule.sample);
+    }
+    return togo;
+};
+
+/**
+ * Loads the metrics policy, from the site config and the local override file. The file takes precedence.
+ *
+ * @param {Object} siteConfig The site config of the metrics component.
+ * @param {Object} siteConfig.metricsPolicy [optional] The policy.
+ * @param {String} siteConfig.metricsPolicyFile [optional] The override file (default:
+ *  %ProgramData%\Morphic\metricsPolicy.json).
+ * @return {Object} The compiled policy: {rules, cache}
+ */
+windows.metrics.policy.load = function (siteConfig) {
+    siteConfig = siteConfig || {};
+    var file = siteConfig.metricsPolicyFile || windows.metrics.policy.defaultFile();
+
+    var filePolicy = {};
+    if (fs.existsSync(file)) {
+        try {
+            filePolicy = JSON.parse(fs.readFileSync(file, "utf8"));
+            fluid.log("Loaded metrics policy from " + file);
+        } catch (e) {
+            fluid.log(fluid.logLevel.WARN, "Ignoring invalid metrics policy " + file + ": " + e.message);
+        }
+    }
+
+    var merged = fluid.extend(true, {}, siteConfig.metricsPolicy, filePolicy);
+
+    return {
+        rules: fluid.transform(merged.metrics || {}, windows.metrics.policy.normaliseRule),
+        // metric name => rule
+        cache: {}
+    };
+};
+
+/**
+ * Gets the rule which applies to a metric.
+ *
+ * @param {Object} policy The compiled policy, from windows.metrics.policy.load.
+ * @param {String} eventName The name of the metric.
+ * @return {Object} The rule: {enabled, level, sample}.
+ */
+windows.metrics.policy.getRule = function (policy, eventName) {
+    var rule = policy.cache[eventName];
+    if (!rule) {
+        rule = policy.rules[eventName];
+        if (!rule) {
+            // Find the longest matching wildcard.
+            var bestLength = -1;
+            fluid.each(policy.rules, function (candidate, pattern) {
+                if (pattern.endsWith("*")) {
+                    var prefix = pattern.substr(0, pattern.length - 1);
+                    if (prefix.length > bestLength && eventName.startsWith(prefix)) {
+                        bestLength = prefix.length;
+                        rule = candidate;
+                    }
+                }
+            });
+        }
+        rule = rule || { enabled: true, level: "info" };
+        policy.cache[eventName] = rule;
+    }
+    return rule;
+};
+
+/**
+ * Determines if a metric should be logged, according to its rule.
+ *
+ * @param {Object} rule The rule, from windows.metrics.policy.getRule.
+ * @return {Boolean} true if the metric should be logged.
+ */
+windows.metrics.policy.shouldLog = function (rule) {
+    return rule.enabled && (rule.sample === undefined || Math.random() < rule.sample);
+};
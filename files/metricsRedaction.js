@@ -0,0 +1,305 @@
+/*
+ * Privacy redaction of the metrics, applied to every metric before it's logged.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    crypto = require("crypto");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.redaction");
+
+/*
+ * The redaction rules are keyed by metric name (or a prefix ending with "*", or "*" for all), then by field. The rules
+ * for a metric are merged from the least to the most specific match. A rule is one of:
+ *
+ * "drop" - Remove the field.
+ * "hash" - Replace the value with a salted hash, so it can be correlated without being known.
+ * "path" - Genericise the path, with windows.metrics.genericisePath.
+ * "keep" - Leave it as-is (used to override a less specific rule).
+ * { "allow": [values], "otherwise": value } - Only allow the listed values. Others are replaced with "otherwise", or
+ *    dropped if that's not set.
+ *
+ * In strict mode, fields which have no rule and aren't listed in safeFields for the metric are dropped.
+ *
+ * The rules also apply to the fields of objects (and arrays of objects) within the data, by their name. In strict mode,
+ * the content of a safe field is kept, apart from the fields which have a rule.
+ */
+
+/**
+ * Gets the default redaction rules.
+ *
+ * @return {Object} The rules.
+ */
+windows.metrics.redaction.getDefaultRules = function () {
+    return {
+        "*": {
+            exe: "path",
+            windowClass: "hash"
+        },
+        "key-time": {
+            // Only ever log the name of special keys, never a character.
+            key: {
+                allow: fluid.values(windows.metrics.specialKeys)
+            },
+            // Only the names of the shortcuts in the catalogue.
+            shortcut: {
+                allow: Object.keys(windows.metrics.keys.shortcuts)
+            }
+        },
+        "config*": {
+            // Any program can broadcast a WM_SETTINGCHANGE section, or save a theme.
+            section: {
+                allow: windows.metrics.configDecoder.knownSections,
+                otherwise: "other"
+            },
+            theme: {
+                allow: windows.metrics.configDecoder.knownThemes,
+                otherwise: "custom"
+            },
+            highContrastScheme: {
+                allow: windows.metrics.configDecoder.knownSchemes,
+                otherwise: "custom"
+            }
+        }
+    };
+};
+
+/**
+ * The fields of each metric that are known to be safe to log as-is, used in strict mode. These are the fields declared
+ * as "safe" in the metric schemas (see gpii.windows.metrics.schemas).
+ */
+windows.metrics.redaction.defaultSafeFields = windows.metrics.schemas.getSafeFields(windows.metrics.schemas.registry);
+
+/**
+ * Creates the redaction configuration.
+ *
+ * @param {Object} options [optional] The redaction options from the site config:
+ * @param {Object} options.rules Rules, merged with the default rules. A field's rule replaces the default rule for
+ *  that field, rather than being merged with it, so an "allow" list replaces the default list.
+ * @param {Object} options.safeFields Safe fields for strict mode, merged with the defaults.
+ * @param {Boolean} options.strict true to drop fields which have no rule and aren't declared safe.
+ * @param {String} options.salt The salt for hashed values.
+ * @param {String} defaultSalt [optional] The salt to use if options.salt isn't set, from
+ *  windows.metrics.redaction.getInstallSalt. If neither are set, a random salt is used, so hashes can only be
+ *  correlated within a single run.
+ * @return {Object} The redaction configuration.
+ */
+windows.metrics.redaction.create = function (options, defaultSalt) {
+    options = options || {};
+    var salt = options.salt || defaultSalt;
+    if (!salt) {
+        fluid.log(fluid.logLevel.WARN, "No redaction salt, so hashed values will only be stable for this run");
+        salt = crypto.randomBytes(16).toString("hex");
+    }
+    return {
+        rules: windows.metrics.redaction.mergeRules(windows.metrics.redaction.getDefaultRules(), options.rules),
+        safeFields: fluid.extend({}, windows.metrics.redaction.defaultSafeFields, options.safeFields),
+        strict: !!options.strict,
+        salt: salt,
+        // metric name => {rules, safe}
+        cache: {}
+    };
+};
+
+/**
+ * Merges rules into the default rules. A field's rule replaces the default rule for that field.
+ *
+ * @param {Object} defaultRules The default rules, keyed by metric then field. This is modified.
+ * @param {Object} rules [optional] The rules to merge.
+ * @return {Object} The merged rules.
+ */
+windows.metrics.redaction.mergeRules = function (defaultRules, rules) {
+    fluid.each(rules, function (fields, pattern) {
+        defaultRules[pattern] = fluid.extend({}, defaultRules[pattern], fields);
+    });
+    return defaultRules;
+};
+
+/**
+ * Gets a salt which is the same for each run on this machine, so hashed values can be correlated between runs. It's
+ * derived from the machine ID rather than the installation ID, because the installation ID is in every log entry.
+ *
+ * @param {Component} installID [optional] The gpii.installID instance.
+ * @return {String} The salt, or null if the machine ID is unavailable.
+ */
+windows.metrics.redaction.getInstallSalt = function (installID) {
+    var machineID = installID && installID.getMachineID();
+    return machineID
+        ? crypto.createHmac("sha256", String(machineID)).update("gpii.windows.metrics.redaction").digest("hex")
+        : null;
+};
+
+/**
+ * Gets the entries of a table keyed by metric name which apply to the given metric, from the least to the most
+ * specific.
+ *
+ * @param {Object} table The table, keyed by metric name, prefix* or "*".
+ * @param {String} eventName The metric name.
+ * @return {Array<Any>} The matching entries.
+ */
+windows.metrics.redaction.matchMetric = function (table, eventName) {
+    var matches = [];
+    fluid.each(table, function (entry, pattern) {
+        if (pattern.endsWith("*") && eventName.startsWith(pattern.substr(0, pattern.length - 1))) {
+            matches.push({ length: pattern.length - 1, entry: entry });
+        }
+    });
+    matches.sort(function (a, b) {
+        return a.length - b.length;
+    });
+
+    var togo = fluid.transform(matches, function (match) {
+        return match.entry;
+    });
+    if (table[eventName]) {
+        togo.push(table[eventName]);
+    }
+    return togo;
+};
+
+/**
+ * Gets the rules and the safe fields which apply to a metric.
+ *
+ * @param {Object} redaction The redaction configuration.
+ * @param {String} eventName The metric name.
+ * @return {Object} {rules: field => rule, safe: field => true}
+ */
+windows.metrics.redaction.forMetric = function (redaction, eventName) {
+    var togo = redaction.cache[eventName];
+    if (!togo) {
+        togo = { rules: {}, safe: {} };
+        fluid.each(windows.metrics.redaction.matchMetric(redaction.rules, eventName), function (rules) {
+            fluid.extend(togo.rules, rules);
+        });
+        fluid.each(windows.metrics.redaction.matchMetric(redaction.safeFields, eventName), function (fields) {
+            fluid.each(fields, function (field) {
+                togo.safe[field] = true;
+            });
+        });
+        redaction.cache[eventName] = togo;
+    }
+    return togo;
+};
+
+/**
+ * Hashes a value with the salt.
+ *
+ * @param {Object} redaction The redaction configuration.
+ * @param {Any} value The value.
+ * @return {String} The first 16 characters of the hex HMAC-SHA256 of the value.
+ */
+windows.metrics.redaction.hash = function (redaction, value) {
+    return crypto.createHmac("sha256", redaction.salt).update(String(value)).digest("hex").substr(0, 16);
+};
+
+/**
+ * Applies a rule to a value.
+ *
+ * @param {Object} redaction The redaction configuration.
+ * @param {String|Object} rule The rule.
+ * @param {Any} value The value.
+ * @param {Object} pathOptions The options for windows.metrics.genericisePath.
+ * @return {Any} The redacted value, or undefined to drop the field.
+ */
+windows.metrics.redaction.applyRule = function (redaction, rule, value, pathOptions) {
+    var togo;
+    if (value === null || value === undefined) {
+        togo = value;
+    } else if (rule === "keep") {
+        togo = value;
+    } else if (rule === "hash") {
+        togo = windows.metrics.redaction.hash(redaction, value);
+    } else if (rule === "path") {
+        togo = windows.metrics.genericisePath(value, null, pathOptions);
+    } else if (rule && rule.allow) {
+        togo = rule.allow.indexOf(value) > -1 ? value : rule.otherwise;
+    } else {
+        // "drop", or an unknown rule.
+        togo = undefined;
+    }
+    return togo;
+};
+
+/**
+ * Redacts the fields of an object, from the metric's data.
+ *
+ * @param {Object} redaction The redaction configuration.
+ * @param {Object} metric The rules and safe fields for the metric, from windows.metrics.redaction.forMetric.
+ * @param {Object} data The object.
+ * @param {Object} pathOptions [optional] The options for windows.metrics.genericisePath.
+ * @param {Boolean} nested true if the object is within the data, rather than the data itself.
+ * @return {Object} The redacted object.
+ */
+windows.metrics.redaction.redactObject = function (redaction, metric, data, pathOptions, nested) {
+    var togo = {};
+    fluid.each(data, function (value, field) {
+        var rule = metric.rules[field];
+        if (rule) {
+            value = windows.metrics.redaction.applyRule(redaction, rule, value, pathOptions);
+        } else if (redaction.strict && !nested && !metric.safe[field]) {
+            value = undefined;
+        } else {
+            value = windows.metrics.redaction.redactNested(redaction, metric, value, pathOptions);
+        }
+        if (value !== undefined) {
+            togo[field] = value;
+        }
+    });
+    return togo;
+};
+
+/**
+ * Redacts a value within the data of a metric which has no rule of its own: the fields of an object, or of the
+ * objects in an array, are redacted. Other values are unchanged.
+ *
+ * @param {Object} redaction The redaction configuration.
+ * @param {Object} metric The rules and safe fields for the metric, from windows.metrics.redaction.forMetric.
+ * @param {Any} value The value.
+ * @param {Object} pathOptions [optional] The options for windows.metrics.genericisePath.
+ * @return {Any} The redacted value.
+ */
+windows.metrics.redaction.redactNested = function (redaction, metric, value, pathOptions) {
+    var togo = value;
+    if (fluid.isPlainObject(value, true)) {
+        togo = windows.metrics.redaction.redactObject(redaction, metric, value, pathOptions, true);
+    } else if (Array.isArray(value)) {
+        togo = fluid.transform(value, function (item) {
+            return windows.metrics.redaction.redactNested(redaction, metric, item, pathOptions);
+        });
+    }
+    return togo;
+};
+
+/**
+ * Redacts the data of a metric. The data isn't modified.
+ *
+ * @param {Object} redaction The redaction configuration.
+ * @param {String} eventName The metric name.
+ * @param {Object} data The data of the metric.
+ * @param {Object} pathOptions [optional] The options for windows.metrics.genericisePath.
+ * @return {Object} The redacted data.
+ */
+windows.metrics.redaction.apply = function (redaction, eventName, data, pathOptions) {
+    if (!fluid.isPlainObject(data)) {
+        return data;
+    }
+
+    var metric = windows.metrics.redaction.forMetric(redaction, eventName);
+    return windows.metrics.redaction.redactObject(redaction, metric, data, pathOptions, false);
+};
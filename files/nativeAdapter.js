@@ -0,0 +1,792 @@
+/*
+ * The native adapter used by gpii.windowsMetrics - the only place where the metrics touch the Windows API.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.nativeAdapter");
+
+/**
+ * The Windows constants used by the metrics. Those which gpii-windows doesn't define are added to
+ * windows.API_constants (which is created, if WindowsUtilities isn't loaded).
+ */
+windows.metrics.nativeAdapter.constants = {
+    WM_KEYDOWN: 0x100,
+    WM_KEYUP: 0x101,
+    WM_SYSKEYDOWN: 0x104,
+    WM_SYSKEYUP: 0x105,
+    WM_SYSCOLORCHANGE: 0x15,
+    WM_SETTINGCHANGE: 0x1A,
+    WM_INPUTLANGCHANGE: 0x51,
+    WM_DISPLAYCHANGE: 0x7E,
+    WM_INPUT: 0xFF,
+    WM_INPUT_DEVICE_CHANGE: 0xFE,
+    WM_POWERBROADCAST: 0x218,
+    WM_THEMECHANGED: 0x31A,
+    // A registered message in real life (RegisterWindowMessage("SHELLHOOK")).
+    WM_SHELLHOOK: 0xC029,
+
+    PBT_APMSUSPEND: 0x4,
+    PBT_APMRESUMEAUTOMATIC: 0x12,
+
+    HSHELL_WINDOWCREATED: 1,
+    HSHELL_WINDOWDESTROYED: 2,
+    HSHELL_WINDOWACTIVATED: 4,
+    HSHELL_RUDEAPPACTIVATED: 0x8004,
+
+    MAPVK_VK_TO_CHAR: 2,
+
+    RID_INPUT: 0x10000003,
+    RIM_TYPEMOUSE: 0,
+    RIM_TYPEKEYBOARD: 1,
+    RIM_TYPEHID: 2,
+    RIDEV_REMOVE: 0x1,
+    RIDEV_INPUTSINK: 0x100,
+    RIDEV_DEVNOTIFY: 0x2000,
+    GIDC_ARRIVAL: 1,
+    GIDC_REMOVAL: 2,
+
+    MOUSE_MOVE_RELATIVE: 0x0,
+    MOUSE_MOVE_ABSOLUTE: 0x1,
+    MOUSE_VIRTUAL_DESKTOP: 0x2,
+
+    RI_MOUSE_LEFT_BUTTON_DOWN: 0x1,
+    RI_MOUSE_LEFT_BUTTON_UP: 0x2,
+    RI_MOUSE_RIGHT_BUTTON_DOWN: 0x4,
+    RI_MOUSE_RIGHT_BUTTON_UP: 0x8,
+    RI_MOUSE_MIDDLE_BUTTON_DOWN: 0x10,
+    RI_MOUSE_MIDDLE_BUTTON_UP: 0x20,
+    RI_MOUSE_BUTTON_4_DOWN: 0x40,
+    RI_MOUSE_BUTTON_4_UP: 0x80,
+    RI_MOUSE_BUTTON_5_DOWN: 0x100,
+    RI_MOUSE_BUTTON_5_UP: 0x200,
+    RI_MOUSE_WHEEL: 0x400,
+    RI_MOUSE_HWHEEL: 0x800,
+    WHEEL_DELTA: 120,
+    // The signature in the extra information of mouse input that came from a pen or touch.
+    MI_WP_SIGNATURE: 0xFF515700,
+
+    virtualKeyCodes: {
+        VK_BACK: 0x08,
+        VK_TAB: 0x09,
+        VK_RETURN: 0x0D,
+        VK_SHIFT: 0x10,
+        VK_CONTROL: 0x11,
+        VK_MENU: 0x12,
+        VK_ESCAPE: 0x1B,
+        VK_SPACE: 0x20,
+        VK_PAGEUP: 0x21,
+        VK_PAGEDOWN: 0x22,
+        VK_END: 0x23,
+        VK_HOME: 0x24,
+        VK_LEFT: 0x25,
+        VK_UP: 0x26,
+        VK_RIGHT: 0x27,
+        VK_DOWN: 0x28,
+        VK_SELECT: 0x29,
+        VK_PRINT: 0x2A,
+        VK_EXECUTE: 0x2B,
+        VK_SNAPSHOT: 0x2C,
+        VK_INSERT: 0x2D,
+        VK_DELETE: 0x2E,
+        VK_HELP: 0x2F,
+        VK_LWIN: 0x5B,
+        VK_RWIN: 0x5C,
+        VK_NUMLOCK: 0x90,
+        VK_SCROLL: 0x91
+    }
+};
+
+// F1 - F24
+for (var fkey = 1; fkey <= 24; fkey++) {
+    windows.metrics.nativeAdapter.constants.virtualKeyCodes["VK_F" + fkey] = 0x6F + fkey;
+}
+
+windows.API_constants = windows.API_constants || {};
+fluid.each(windows.metrics.nativeAdapter.constants, function (value, name) {
+    if (windows.API_constants[name] === undefined) {
+        windows.API_constants[name] = value;
+    }
+});
+
+/**
+ * The operating system functions used by the metrics. The Windows implementation wraps user32, kernel32, the registry
+ * and the raw input API; the simulated adapter in test/simulatedNative.js provides the same surface without Windows.
+ *
+ * @typedef {Object} NativeAdapter
+ * @property {Boolean} simulated true if this adapter isn't talking to a real Windows desktop.
+ * @property {Function} getMessageTime GetMessageTime - the time of the current message.
+ * @property {Function} getKeyState GetKeyState(vk) - the state of a virtual key.
+ * @property {Function} mapVirtualKey MapVirtualKeyW(code, mapType).
+ * @property {Function} getForegroundWindow GetForegroundWindow - the active top-level window.
+ * @property {Function} getClassName (hwnd) The window class name, or null.
+ * @property {Function} getWindowProcessId (hwnd) The process ID that owns the window.
+ * @property {Function} getProcessPath (pid) The path of the process's executable.
+ * @property {Function} enumerateWindows (parent, callback) Calls callback for each child window of parent, until it
+ *  returns a value.
+ * @property {Function} isProcessRunning (pid) true if the process is running.
+ * @property {Function} openProcess (pid) OpenProcess - a handle to the process, to pass to getProcessTimes, or null.
+ * @property {Function} getProcessTimes (hProcess) GetProcessTimes - returns {creationTime, exitTime} of a process in
+ *  milliseconds since the epoch, where exitTime is null if it's still running; or null if they can't be read.
+ * @property {Function} closeProcess (hProcess) CloseHandle - closes a handle from openProcess.
+ * @property {Function} readRegistryKey (baseKey, path, name, type) Reads a registry value, returning {value}.
+ * @property {Function} getScreenResolution Returns {width, height} of the screen.
+ * @property {Function} getDesktopSize Returns {width, height} of the desktop, in scaled pixels.
+ * @property {Function} getVirtualScreenSize Returns {width, height} of the virtual screen (all monitors).
+ * @property {Function} getCursorPos GetCursorPos - returns {x, y} of the mouse cursor.
+ * @property {Function} isWow64 true if this is a 32-bit process on a 64-bit OS.
+ * @property {Function} registerShellHookWindow (hwnd) RegisterShellHookWindow.
+ * @property {Function} registerRawInputDevices (devices) RegisterRawInputDevices, taking an array of
+ *  {usagePage, usage, flags, hwndTarget}.
+ * @property {Function} getRawInputData (lParam) Promise resolving to the RAWINPUT structure of a WM_INPUT message.
+ * @property {Function} getRawInputDeviceList Returns the handles of the raw input devices.
+ * @property {Function} getRawInputDeviceInfo (hDevice) Returns {name, type, usagePage, usage} of a raw input device,
+ *  or null if it's unknown.
+ * @property {Function} getDigitizerContacts (hDevice, hid) Returns the number of contacts in the HID reports of a
+ *  digitizer's RAWINPUT, or null if it can't be read.
+ * @property {Function} readWideString (lParam) Reads the string pointed to by a message's lParam, or null.
+ * @property {Function} getLocaleName (lcid) LCIDToLocaleName - the name of a locale, like "en-US", or null.
+ * @property {Function} getKeyboardLayoutName GetKeyboardLayoutNameW - the identifier of the active keyboard layout
+ *  (KLID), like "00000409".
+ * @property {Function} querySpi (action, type) SystemParametersInfoW - the value of a system parameter, or null.
+ * @property {Function} getMonitors Returns the monitors: [{name, primary, x, y, width, height, dpi, orientation,
+ *  refreshRate}].
+ * @property {Function} getAppUserModelId (pid) GetApplicationUserModelId - the app id of a packaged (UWP) process,
+ *  like "Microsoft.WindowsCalculator_8wekyb3d8bbwe!App", or null.
+ */
+
+/**
+ * Creates the native adapter which calls the real Windows API.
+ *
+ * The functions are looked up when called, so the adapter can be created on a machine where the Windows modules
+ * aren't loaded.
+ *
+ * @return {NativeAdapter} The Windows native adapter.
+ */
+windows.metrics.nativeAdapter.windows = function () {
+    return {
+        simulated: false,
+        getMessageTime: function () {
+            return windows.user32.GetMessageTime();
+        },
+        getKeyState: function (keycode) {
+            return windows.user32.GetKeyState(keycode);
+        },
+        mapVirtualKey: function (code, mapType) {
+            return windows.user32.MapVirtualKeyW(code, mapType);
+        },
+        getForegroundWindow: function () {
+            return windows.user32.GetForegroundWindow();
+        },
+        getClassName: function (hwnd) {
+            var classBuffer = Buffer.alloc(0xff);
+            var len = windows.user32.GetClassNameW(hwnd, classBuffer, classBuffer.length);
+            return len > 0 ? windows.stringFromWideChar(classBuffer) : null;
+        },
+        getWindowProcessId: function (hwnd) {
+            return windows.getWindowProcessId(hwnd);
+        },
+        getProcessPath: function (pid) {
+            return windows.getProcessPath(pid);
+        },
+        enumerateWindows: function (parent, callback) {
+            return windows.enumerateWindows(parent, callback);
+        },
+        isProcessRunning: function (pid) {
+            try {
+                // Signal 0 only checks if the process exists.
+                process.kill(pid, 0);
+                return true;
+            } catch (err) {
+                // EPERM: it exists, but belongs to someone else.
+                return err.code === "EPERM";
+            }
+        },
+        openProcess: windows.metrics.nativeAdapter.openProcess,
+        getProcessTimes: windows.metrics.nativeAdapter.getProcessTimes,
+        closeProcess: function (hProcess) {
+            windows.metrics.nativeAdapter.getLibrary("kernel32", {
+                "CloseHandle": ["int32", ["pointer"]]
+            }).CloseHandle(hProcess);
+        },
+        readRegistryKey: function (baseKey, path, valueName, dataType) {
+            return windows.readRegistryKey(baseKey, path, valueName, dataType);
+        },
+        getScreenResolution: function () {
+            return windows.display.getScreenResolution();
+        },
+        getDesktopSize: function () {
+            return windows.display.getDesktopSize();
+        },
+        getVirtualScreenSize: function () {
+            return {
+                // SM_CXVIRTUALSCREEN, SM_CYVIRTUALSCREEN
+                width: windows.user32.GetSystemMetrics(78),
+                height: windows.user32.GetSystemMetrics(79)
+            };
+        },
+        getCursorPos: function () {
+            // POINT
+            var point = Buffer.alloc(8);
+            return windows.user32.GetCursorPos(point)
+                ? { x: point.readInt32LE(0), y: point.readInt32LE(4) }
+                : null;
+        },
+        isWow64: function () {
+            return windows.isWow64();
+        },
+        registerShellHookWindow: function (hwnd) {
+            return windows.user32.RegisterShellHookWindow(hwnd);
+        },
+        registerRawInputDevices: windows.metrics.nativeAdapter.registerRawInputDevices,
+        getRawInputData: windows.metrics.nativeAdapter.getRawInputData,
+        getRawInputDeviceList: windows.metrics.nativeAdapter.getRawInputDeviceList,
+        getRawInputDeviceInfo: windows.metrics.nativeAdapter.getRawInputDeviceInfo,
+        getDigitizerContacts: windows.metrics.nativeAdapter.getDigitizerContacts,
+        readWideString: function (lParam) {
+            var ref = require("ref");
+            return (lParam && !ref.isNull(lParam))
+                ? ref.reinterpretUntilZeros(lParam, 2).toString("ucs2")
+                : null;
+        },
+        getLocaleName: function (lcid) {
+            var kernel32 = windows.metrics.nativeAdapter.getLibrary("kernel32", {
+                // Locale, lpName, cchName, dwFlags
+                "LCIDToLocaleName": ["int32", ["uint32", "pointer", "int32", "uint32"]]
+            });
+            // LOCALE_NAME_MAX_LENGTH
+            var nameBuffer = Buffer.alloc(85 * 2);
+            var len = kernel32.LCIDToLocaleName(lcid, nameBuffer, 85, 0);
+            return len > 0 ? windows.stringFromWideChar(nameBuffer) : null;
+        },
+        querySpi: windows.metrics.nativeAdapter.querySpi,
+        getMonitors: windows.metrics.nativeAdapter.getMonitors,
+        getAppUserModelId: windows.metrics.nativeAdapter.getAppUserModelId,
+        getKeyboardLayoutName: function () {
+            var user32 = windows.metrics.nativeAdapter.getLibrary("user32", {
+                "GetKeyboardLayoutNameW": ["int32", ["pointer"]]
+            });
+            // KL_NAMELENGTH
+            var nameBuffer = Buffer.alloc(9 * 2);
+            return user32.GetKeyboardLayoutNameW(nameBuffer) ? windows.stringFromWideChar(nameBuffer) : null;
+        }
+    };
+};
+
+/**
+ * Functions which aren't in the gpii-windows bindings, loaded on first use: library name => {function name => function}
+ */
+windows.metrics.nativeAdapter.libraries = {};
+
+/**
+ * Loads some functions of a library, which aren't in the gpii-windows bindings. Each function is only loaded once.
+ *
+ * @param {String} name The library name, like "kernel32".
+ * @param {Object} functions The ffi function definitions.
+ * @return {Object} The functions of the library which have been loaded.
+ */
+windows.metrics.nativeAdapter.getLibrary = function (name, functions) {
+    var library = windows.metrics.nativeAdapter.libraries[name];
+    if (!library) {
+        library = windows.metrics.nativeAdapter.libraries[name] = {};
+    }
+    var missing = fluid.censorKeys(functions, Object.keys(library));
+    if (Object.keys(missing).length) {
+        var ffi = require("ffi");
+        fluid.extend(library, ffi.Library(name, missing));
+    }
+    return library;
+};
+
+/**
+ * Gets the value of a system parameter, using SystemParametersInfoW.
+ *
+ * @param {Number} action The SPI_GET* action.
+ * @param {String} type The type of value: "int" or "bool", or the structure: "FILTERKEYS", "STICKYKEYS" or
+ *  "HIGHCONTRAST".
+ * @return {Any} The value, or null if it couldn't be read. For FILTERKEYS it's {on, wait, delay, repeat, bounce}, and
+ *  for STICKYKEYS and HIGHCONTRAST it's whether the feature is on.
+ */
+windows.metrics.nativeAdapter.querySpi = function (action, type) {
+    var ref = require("ref");
+    var user32 = windows.metrics.nativeAdapter.getLibrary("user32", {
+        // uiAction, uiParam, pvParam, fWinIni
+        "SystemParametersInfoW": ["int32", ["uint32", "uint32", "pointer", "uint32"]]
+    });
+
+    // The size of the structures; each starts with cbSize, then dwFlags.
+    var sizes = {
+        FILTERKEYS: 24,
+        STICKYKEYS: 8,
+        // cbSize, dwFlags, lpszDefaultScheme
+        HIGHCONTRAST: 8 + ref.sizeof.pointer
+    };
+
+    var size = sizes[type] || 4;
+    var buffer = Buffer.alloc(size);
+    var uiParam = 0;
+    if (sizes[type]) {
+        buffer.writeUInt32LE(size, 0);
+        uiParam = size;
+    }
+
+    var togo = null;
+    if (user32.SystemParametersInfoW(action, uiParam, buffer, 0)) {
+        if (type === "int") {
+            togo = buffer.readInt32LE(0);
+        } else if (type === "bool") {
+            togo = !!buffer.readInt32LE(0);
+        } else if (type === "FILTERKEYS") {
+            togo = {
+                // FKF_FILTERKEYSON
+                on: !!(buffer.readUInt32LE(4) & 0x1),
+                wait: buffer.readUInt32LE(8),
+                delay: buffer.readUInt32LE(12),
+                repeat: buffer.readUInt32LE(16),
+                bounce: buffer.readUInt32LE(20)
+            };
+        } else {
+            // SKF_STICKYKEYSON, HCF_HIGHCONTRASTON
+            togo = !!(buffer.readUInt32LE(4) & 0x1);
+        }
+    }
+    return togo;
+};
+
+/**
+ * Registers (or removes) devices that supply raw input data.
+ *
+ * @param {Array<Object>} devices The devices, each being {usagePage, usage, flags, hwndTarget}.
+ * @return {Boolean} The result of RegisterRawInputDevices.
+ */
+windows.metrics.nativeAdapter.registerRawInputDevices = function (devices) {
+    var size = windows.RAWINPUTDEVICE.size;
+    var buffer = Buffer.alloc(size * devices.length);
+
+    fluid.each(devices, function (device, index) {
+        var rawInputDevice = new windows.RAWINPUTDEVICE();
+        rawInputDevice.dwFlags = device.flags;
+        rawInputDevice.usUsagePage = device.usagePage;
+        rawInputDevice.usUsage = device.usage;
+        rawInputDevice.hwndTarget = device.hwndTarget || 0;
+        rawInputDevice.ref().copy(buffer, index * size, 0, size);
+    });
+
+    return windows.user32.RegisterRawInputDevices(buffer, devices.length, size);
+};
+
+/**
+ * Extracts a RAWINPUTMOUSE or a RAWINPUTKEYBOARD from a received lParam.
+ *
+ * @param {Buffer} lParam A handle to a RAWINPUT structure received from the
+ *  system within a WM_INPUT message.
+ * @return {Promise} Promise holding either a RAWINPUTMOUSE or a RAWINPUTKEYBOARD, depending on the
+ *  contents of the lParam handle. For HID input, it's {header, hid: {dwSizeHid, dwCount, bRawData}}. In case of
+ *  error the promise is rejected with and error of the following kind: {isError:true, returnCode: -1,
+ *  errorCode: GetLastError()}.
+ */
+windows.metrics.nativeAdapter.getRawInputData = function (lParam) {
+    var ref = require("ref");
+    var promise = fluid.promise();
+
+    var dataSz = ref.alloc(windows.types.UINT, 0);
+    var res = windows.user32.GetRawInputData(
+        lParam,
+        windows.API_constants.RID_INPUT,
+        ref.NULL,
+        dataSz,
+        windows.RAWINPUTHEADER.size
+    );
+
+    if (res === 0) {
+        var rawInputBuf = Buffer.alloc(dataSz.deref());
+        res = windows.user32.GetRawInputData(
+            lParam,
+            windows.API_constants.RID_INPUT,
+            rawInputBuf,
+            dataSz,
+            windows.RAWINPUTHEADER.size
+        );
+        var rawInput = ref.get(rawInputBuf, 0, windows.RAWINPUTKEYBOARD);
+
+        if (rawInput.header.dwType === windows.API_constants.RIM_TYPEMOUSE) {
+            var rawMouse = ref.get(rawInputBuf, 0, windows.RAWINPUTMOUSE);
+            promise.resolve(rawMouse);
+        } else if (rawInput.header.dwType === windows.API_constants.RIM_TYPEHID) {
+            // RAWHID: DWORD dwSizeHid, DWORD dwCount, BYTE bRawData[dwSizeHid * dwCount]
+            var offset = windows.RAWINPUTHEADER.size;
+            var sizeHid = rawInputBuf.readUInt32LE(offset);
+            var count = rawInputBuf.readUInt32LE(offset + 4);
+            promise.resolve({
+                header: rawInput.header,
+                hid: {
+                    dwSizeHid: sizeHid,
+                    dwCount: count,
+                    bRawData: rawInputBuf.slice(offset + 8, offset + 8 + sizeHid * count)
+                }
+            });
+        } else {
+            promise.resolve(rawInput);
+        }
+    } else {
+        var errCode = windows.kernel32.GetLastError();
+        promise.reject(windows.win32error("Failed to get GetRawInputData.", -1, errCode));
+    }
+
+    return promise;
+};
+
+/**
+ * Gets the handles of the raw input devices attached to the system (GetRawInputDeviceList).
+ *
+ * @return {Array<Number>} The device handles.
+ */
+windows.metrics.nativeAdapter.getRawInputDeviceList = function () {
+    var ref = require("ref");
+    // RAWINPUTDEVICELIST: HANDLE hDevice, DWORD dwType (padded)
+    var itemSize = ref.sizeof.pointer * 2;
+    var count = ref.alloc(windows.types.UINT, 0);
+
+    windows.user32.GetRawInputDeviceList(ref.NULL, count, itemSize);
+    var buffer = Buffer.alloc(count.deref() * itemSize);
+    var result = windows.user32.GetRawInputDeviceList(buffer, count, itemSize);
+
+    var togo = [];
+    // Returns (UINT)-1 on failure.
+    if (result !== 0xffffffff) {
+        for (var index = 0; index < result; index++) {
+            togo.push(ref.sizeof.pointer === 8
+                ? Number(buffer.readBigUInt64LE(index * itemSize))
+                : buffer.readUInt32LE(index * itemSize));
+        }
+    }
+    return togo;
+};
+
+/**
+ * Gets the name and type of a raw input device (GetRawInputDeviceInfoW).
+ *
+ * @param {Number} hDevice The device handle.
+ * @return {Object} {name, type, usagePage, usage}, or null if the device is unknown.
+ */
+windows.metrics.nativeAdapter.getRawInputDeviceInfo = function (hDevice) {
+    var ref = require("ref");
+    var RIDI_DEVICENAME = 0x20000007,
+        RIDI_DEVICEINFO = 0x2000000b;
+
+    // The size of the name is in characters.
+    var size = ref.alloc(windows.types.UINT, 0);
+    windows.user32.GetRawInputDeviceInfoW(hDevice, RIDI_DEVICENAME, ref.NULL, size);
+    var nameBuffer = Buffer.alloc(size.deref() * 2 + 2);
+    var result = windows.user32.GetRawInputDeviceInfoW(hDevice, RIDI_DEVICENAME, nameBuffer, size);
+    if (result === 0xffffffff || result === 0) {
+        return null;
+    }
+
+    // RID_DEVICE_INFO: cbSize, dwType, then a union of the mouse, keyboard or HID info.
+    var info = Buffer.alloc(32);
+    info.writeUInt32LE(info.length, 0);
+    size = ref.alloc(windows.types.UINT, info.length);
+    result = windows.user32.GetRawInputDeviceInfoW(hDevice, RIDI_DEVICEINFO, info, size);
+    if (result === 0xffffffff || result === 0) {
+        return null;
+    }
+
+    var type = info.readUInt32LE(4);
+    var togo = {
+        name: windows.stringFromWideChar(nameBuffer),
+        type: type,
+        usagePage: 1,
+        usage: 0
+    };
+    if (type === windows.API_constants.RIM_TYPEHID) {
+        // RID_DEVICE_INFO_HID: dwVendorId, dwProductId, dwVersionNumber, usUsagePage, usUsage
+        togo.usagePage = info.readUInt16LE(20);
+        togo.usage = info.readUInt16LE(22);
+    } else {
+        togo.usage = type === windows.API_constants.RIM_TYPEKEYBOARD ? 6 : 2;
+    }
+    return togo;
+};
+
+/**
+ * The preparsed data of the digitizers, for getDigitizerContacts: hDevice => Buffer.
+ */
+windows.metrics.nativeAdapter.preparsedData = {};
+
+/**
+ * Gets the number of contacts (fingers) in the reports of a digitizer (the Contact Count usage), using
+ * HidP_GetUsageValue. In hybrid mode, only the first report of a frame has the count, so the largest is returned.
+ *
+ * @param {Number} hDevice The device handle.
+ * @param {Object} hid The RAWHID of the input: {dwSizeHid, dwCount, bRawData}.
+ * @return {Number} The number of contacts, or null if it's not known.
+ */
+windows.metrics.nativeAdapter.getDigitizerContacts = function (hDevice, hid) {
+    var RIDI_PREPARSEDDATA = 0x20000005,
+        HIDP_STATUS_SUCCESS = 0x00110000,
+        HID_USAGE_PAGE_DIGITIZER = 0x0D,
+        HID_USAGE_DIGITIZER_CONTACT_COUNT = 0x54;
+
+    var hidLib = windows.metrics.nativeAdapter.getLibrary("hid", {
+        // ReportType, UsagePage, LinkCollection, Usage, UsageValue, PreparsedData, Report, ReportLength
+        "HidP_GetUsageValue": [
+            "int32", ["int32", "uint16", "uint16", "uint16", "pointer", "pointer", "pointer", "uint32"]
+        ]
+    });
+
+    var preparsed = windows.metrics.nativeAdapter.preparsedData[hDevice];
+    if (!preparsed) {
+        var ref = require("ref");
+        var size = ref.alloc(windows.types.UINT, 0);
+        windows.user32.GetRawInputDeviceInfoW(hDevice, RIDI_PREPARSEDDATA, ref.NULL, size);
+        preparsed = Buffer.alloc(size.deref());
+        var result = windows.user32.GetRawInputDeviceInfoW(hDevice, RIDI_PREPARSEDDATA, preparsed, size);
+        if (result === 0xffffffff || result === 0) {
+            return null;
+        }
+        windows.metrics.nativeAdapter.preparsedData[hDevice] = preparsed;
+    }
+
+    var contacts = null;
+    // ULONG UsageValue
+    var value = Buffer.alloc(4);
+    for (var index = 0; index < hid.dwCount; index++) {
+        var report = hid.bRawData.slice(index * hid.dwSizeHid, (index + 1) * hid.dwSizeHid);
+        var status = hidLib.HidP_GetUsageValue(0, HID_USAGE_PAGE_DIGITIZER, 0,
+            HID_USAGE_DIGITIZER_CONTACT_COUNT, value, preparsed, report, report.length);
+        if ((status >>> 0) === HIDP_STATUS_SUCCESS) {
+            contacts = Math.max(contacts || 0, value.readUInt32LE(0));
+        }
+    }
+    return contacts;
+};
+
+/**
+ * Gets the monitors which make up the desktop (EnumDisplayMonitors), along with their DPI (GetDpiForMonitor), and
+ * orientation and refresh rate (EnumDisplaySettingsW).
+ *
+ * The DPI is the effective DPI, which is only the real value if this process is per-monitor DPI aware (as Electron
+ * is); otherwise it's 96.
+ *
+ * @return {Array<Object>} The monitors: {name, primary, x, y, width, height, dpi, orientation, refreshRate}. x and y
+ *  are relative to the primary monitor, orientation is in degrees, and refreshRate in Hz.
+ */
+windows.metrics.nativeAdapter.getMonitors = function () {
+    var ffi = require("ffi");
+    var user32 = windows.metrics.nativeAdapter.getLibrary("user32", {
+        // hdc, lprcClip, lpfnEnum, dwData
+        "EnumDisplayMonitors": ["int32", ["pointer", "pointer", "pointer", "int32"]],
+        // hMonitor, lpmi
+        "GetMonitorInfoW": ["int32", ["pointer", "pointer"]],
+        // lpszDeviceName, iModeNum, lpDevMode
+        "EnumDisplaySettingsW": ["int32", ["pointer", "int32", "pointer"]]
+    });
+    var shcore;
+    try {
+        shcore = windows.metrics.nativeAdapter.getLibrary("shcore", {
+            // hmonitor, dpiType, dpiX, dpiY
+            "GetDpiForMonitor": ["int32", ["pointer", "int32", "pointer", "pointer"]]
+        });
+    } catch (e) {
+        // Windows 8.1 and later.
+        shcore = null;
+    }
+
+    var handles = [];
+    // MONITORENUMPROC: hMonitor, hdcMonitor, lprcMonitor, dwData
+    var callback = ffi.Callback("int32", ["pointer", "pointer", "pointer", "int32"], function (hMonitor) {
+        handles.push(hMonitor);
+        return 1;
+    });
+    user32.EnumDisplayMonitors(null, null, callback, 0);
+
+    return fluid.transform(handles, function (hMonitor) {
+        // MONITORINFOEXW: cbSize, RECT rcMonitor, RECT rcWork, dwFlags, WCHAR szDevice[32]
+        var info = Buffer.alloc(104);
+        info.writeUInt32LE(info.length, 0);
+        user32.GetMonitorInfoW(hMonitor, info);
+
+        var monitor = {
+            name: windows.stringFromWideChar(info.slice(40)),
+            // MONITORINFOF_PRIMARY
+            primary: !!(info.readUInt32LE(36) & 0x1),
+            x: info.readInt32LE(4),
+            y: info.readInt32LE(8),
+            width: info.readInt32LE(12) - info.readInt32LE(4),
+            height: info.readInt32LE(16) - info.readInt32LE(8),
+            dpi: null,
+            orientation: null,
+            refreshRate: null
+        };
+
+        if (shcore) {
+            var dpiX = Buffer.alloc(4), dpiY = Buffer.alloc(4);
+            // MDT_EFFECTIVE_DPI
+            if (shcore.GetDpiForMonitor(hMonitor, 0, dpiX, dpiY) === 0) {
+                monitor.dpi = dpiX.readUInt32LE(0);
+            }
+        }
+
+        // DEVMODEW
+        var devMode = Buffer.alloc(220);
+        devMode.writeUInt16LE(devMode.length, 68);
+        // ENUM_CURRENT_SETTINGS
+        if (user32.EnumDisplaySettingsW(info.slice(40), -1, devMode)) {
+            // DMDO_DEFAULT, DMDO_90, DMDO_180, DMDO_270
+            monitor.orientation = devMode.readUInt32LE(84) * 90;
+            monitor.refreshRate = devMode.readUInt32LE(184);
+        }
+
+        return monitor;
+    });
+};
+
+/**
+ * Gets the application user model ID of a packaged process (GetApplicationUserModelId).
+ *
+ * @param {Number} pid The process ID.
+ * @return {String} The app id, like "Microsoft.WindowsCalculator_8wekyb3d8bbwe!App", or null if the process isn't
+ *  packaged (or can't be opened).
+ */
+windows.metrics.nativeAdapter.getAppUserModelId = function (pid) {
+    var ref = require("ref");
+    var kernel32 = windows.metrics.nativeAdapter.getLibrary("kernel32", {
+        // dwDesiredAccess, bInheritHandle, dwProcessId
+        "OpenProcess": ["pointer", ["uint32", "int32", "uint32"]],
+        // hProcess, applicationUserModelIdLength, applicationUserModelId
+        "GetApplicationUserModelId": ["int32", ["pointer", "pointer", "pointer"]],
+        "CloseHandle": ["int32", ["pointer"]]
+    });
+
+    // PROCESS_QUERY_LIMITED_INFORMATION
+    var hProcess = kernel32.OpenProcess(0x1000, 0, pid);
+    if (ref.isNull(hProcess)) {
+        return null;
+    }
+
+    // APPLICATION_USER_MODEL_ID_MAX_LENGTH
+    var length = ref.alloc("uint32", 130);
+    var idBuffer = Buffer.alloc(130 * 2);
+    var result = kernel32.GetApplicationUserModelId(hProcess, length, idBuffer);
+    kernel32.CloseHandle(hProcess);
+
+    // ERROR_SUCCESS; otherwise APPMODEL_ERROR_NO_APPLICATION for a process that isn't packaged.
+    return result === 0 ? windows.stringFromWideChar(idBuffer) : null;
+};
+
+/**
+ * Opens a process, for getProcessTimes. While the handle is open, the pid can't be re-used by another process.
+ *
+ * @param {Number} pid The process ID.
+ * @return {Object} The process handle, or null if the process can't be opened.
+ */
+windows.metrics.nativeAdapter.openProcess = function (pid) {
+    var ref = require("ref");
+    var kernel32 = windows.metrics.nativeAdapter.getLibrary("kernel32", {
+        // dwDesiredAccess, bInheritHandle, dwProcessId
+        "OpenProcess": ["pointer", ["uint32", "int32", "uint32"]]
+    });
+
+    // SYNCHRONIZE | PROCESS_QUERY_LIMITED_INFORMATION
+    var hProcess = kernel32.OpenProcess(0x100000 | 0x1000, 0, pid);
+    return ref.isNull(hProcess) ? null : hProcess;
+};
+
+/**
+ * Converts a FILETIME (100-nanosecond intervals since 1601) to milliseconds since the epoch.
+ *
+ * @param {Buffer} fileTime The FILETIME structure: {dwLowDateTime, dwHighDateTime}.
+ * @return {Number} The time.
+ */
+windows.metrics.nativeAdapter.fileTimeToMs = function (fileTime) {
+    var intervals = fileTime.readUInt32LE(4) * 0x100000000 + fileTime.readUInt32LE(0);
+    // The number of milliseconds between 1601 and 1970.
+    return Math.round(intervals / 10000) - 11644473600000;
+};
+
+/**
+ * Gets the creation and exit times of a process (GetProcessTimes). Whether it has exited is determined with
+ * WaitForSingleObject, because the exit time is undefined while it's running.
+ *
+ * @param {Object} hProcess The process handle, from openProcess.
+ * @return {Object} {creationTime, exitTime} in milliseconds since the epoch, where exitTime is null if the process is
+ *  still running; or null if the times can't be read.
+ */
+windows.metrics.nativeAdapter.getProcessTimes = function (hProcess) {
+    var WAIT_OBJECT_0 = 0;
+    var kernel32 = windows.metrics.nativeAdapter.getLibrary("kernel32", {
+        // hProcess, lpCreationTime, lpExitTime, lpKernelTime, lpUserTime
+        "GetProcessTimes": ["int32", ["pointer", "pointer", "pointer", "pointer", "pointer"]],
+        // hHandle, dwMilliseconds
+        "WaitForSingleObject": ["uint32", ["pointer", "uint32"]]
+    });
+
+    // FILETIME
+    var creationTime = Buffer.alloc(8),
+        exitTime = Buffer.alloc(8),
+        kernelTime = Buffer.alloc(8),
+        userTime = Buffer.alloc(8);
+    if (!kernel32.GetProcessTimes(hProcess, creationTime, exitTime, kernelTime, userTime)) {
+        return null;
+    }
+
+    var exited = kernel32.WaitForSingleObject(hProcess, 0) === WAIT_OBJECT_0;
+    return {
+        creationTime: windows.metrics.nativeAdapter.fileTimeToMs(creationTime),
+        exitTime: exited ? windows.metrics.nativeAdapter.fileTimeToMs(exitTime) : null
+    };
+};
+
+/**
+ * The source of the time and timers used by the metrics. The simulated clock (see test/simulatedNative.js) only moves
+ * when it's told to, so the tests, and the replay of a recording, control when the timers fire.
+ *
+ * @typedef {Object} Clock
+ * @property {Boolean} simulated true if this isn't the system clock.
+ * @property {Function} now Date.now - the current time, in milliseconds since the epoch.
+ * @property {Function} setTimeout (func, delay, args...) setTimeout - returns the timer.
+ * @property {Function} clearTimeout (timer) clearTimeout.
+ * @property {Function} setInterval (func, interval, args...) setInterval - returns the timer.
+ * @property {Function} clearInterval (timer) clearInterval.
+ */
+
+/**
+ * Creates the clock which uses the system time, and node's timers.
+ *
+ * @return {Clock} The system clock.
+ */
+windows.metrics.nativeAdapter.systemClock = function () {
+    return {
+        simulated: false,
+        now: Date.now,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval
+    };
+};
+
+fluid.defaults("gpii.windowsMetrics.windows", {
+    members: {
+        native: "@expand:gpii.windows.metrics.nativeAdapter.windows()",
+        clock: "@expand:gpii.windows.metrics.nativeAdapter.systemClock()"
+    }
+});
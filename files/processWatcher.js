@@ -0,0 +1,255 @@
+/*
+ * Watches the running applications, to detect when they exit.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.processWatcher");
+
+/**
+ * Watches a set of processes with a single polling loop, firing onProcessExit when one of them ends. Processes are
+ * watched until they exit, regardless of their windows.
+ *
+ * A handle is kept open to each watched process, which stops its pid from being re-used, and provides the real exit
+ * time. If the process can't be opened, it's polled with isProcessRunning instead (and its executable compared, if
+ * the path was known), and only the time the exit was detected is known - within pollInterval (or sooner, after
+ * pollSoon is called).
+ */
+fluid.defaults("gpii.windowsMetrics.processWatcher", {
+    gradeNames: ["fluid.component"],
+    // How often to check the processes, in milliseconds.
+    pollInterval: 2000,
+    // The delay of an early check, requested by pollSoon.
+    soonDelay: 500,
+    events: {
+        // pid, {exe, exitTime, detectedTime, lastAlive}
+        onProcessExit: null
+    },
+    members: {
+        // The native adapter and clock (provided by gpii.windowsMetrics).
+        native: null,
+        clock: null,
+        // pid => {exe, handle, pathKnown, lastAlive}
+        watched: {},
+        timer: null,
+        soonTimer: null
+    },
+    invokers: {
+        watch: {
+            funcName: "gpii.windows.metrics.processWatcher.watch",
+            args: ["{that}", "{arguments}.0", "{arguments}.1"] // pid, exe
+        },
+        unwatch: {
+            funcName: "gpii.windows.metrics.processWatcher.unwatch",
+            args: ["{that}", "{arguments}.0"] // pid
+        },
+        isRunning: {
+            funcName: "gpii.windows.metrics.processWatcher.isRunning",
+            args: ["{that}", "{arguments}.0", "{arguments}.1"] // pid, exe
+        },
+        getWatchedPids: {
+            funcName: "gpii.windows.metrics.processWatcher.getWatchedPids",
+            args: ["{that}"]
+        },
+        poll: {
+            funcName: "gpii.windows.metrics.processWatcher.poll",
+            args: ["{that}"]
+        },
+        pollSoon: {
+            funcName: "gpii.windows.metrics.processWatcher.pollSoon",
+            args: ["{that}"]
+        },
+        start: {
+            funcName: "gpii.windows.metrics.processWatcher.start",
+            args: ["{that}"]
+        },
+        stop: {
+            funcName: "gpii.windows.metrics.processWatcher.stop",
+            args: ["{that}"]
+        }
+    },
+    listeners: {
+        "onDestroy.stop": "{that}.stop",
+        "onDestroy.unwatch": {
+            funcName: "gpii.windows.metrics.processWatcher.unwatchAll",
+            args: ["{that}"]
+        }
+    }
+});
+
+/**
+ * Starts watching a process.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ * @param {Number} pid The process ID.
+ * @param {String} exe The executable of the process, to detect the pid being re-used.
+ */
+windows.metrics.processWatcher.watch = function (that, pid, exe) {
+    that.unwatch(pid);
+    that.watched[pid] = {
+        exe: exe,
+        handle: that.native.openProcess(pid),
+        // The executable is only compared if it's the real path, rather than a stand-in for one that couldn't be read.
+        pathKnown: that.native.getProcessPath(pid) === exe,
+        lastAlive: that.clock.now()
+    };
+};
+
+/**
+ * Stops watching a process.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ * @param {Number} pid The process ID.
+ */
+windows.metrics.processWatcher.unwatch = function (that, pid) {
+    var proc = that.watched[pid];
+    if (proc) {
+        if (proc.handle) {
+            that.native.closeProcess(proc.handle);
+        }
+        delete that.watched[pid];
+    }
+};
+
+/**
+ * Stops watching all processes.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ */
+windows.metrics.processWatcher.unwatchAll = function (that) {
+    fluid.each(that.getWatchedPids(), that.unwatch);
+};
+
+/**
+ * Checks if a watched process has ended.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ * @param {Number} pid The process ID.
+ * @return {Object} null if the process is still running, otherwise {exitTime}, where exitTime is null if it's not
+ *  known.
+ */
+windows.metrics.processWatcher.checkExit = function (that, pid) {
+    var proc = that.watched[pid];
+    var native = that.native;
+    if (proc.handle) {
+        var times = native.getProcessTimes(proc.handle);
+        return times && times.exitTime === null ? null : { exitTime: times ? times.exitTime : null };
+    } else {
+        var running = native.isProcessRunning(pid) && (!proc.pathKnown || native.getProcessPath(pid) === proc.exe);
+        return running ? null : { exitTime: null };
+    }
+};
+
+/**
+ * Determines if a process is running. For a watched process, this is the same check as the polling loop. Others are
+ * checked for the pid being alive, and the executable is compared only if the path of the live process can be read.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ * @param {Number} pid The process ID.
+ * @param {String} exe The executable of the process, to detect the pid being re-used.
+ * @return {Boolean} true if the process is running.
+ */
+windows.metrics.processWatcher.isRunning = function (that, pid, exe) {
+    if (that.watched[pid]) {
+        return !windows.metrics.processWatcher.checkExit(that, pid);
+    } else if (that.native.isProcessRunning(pid)) {
+        var path = that.native.getProcessPath(pid);
+        return !path || path === exe;
+    } else {
+        return false;
+    }
+};
+
+/**
+ * Gets the processes being watched.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ * @return {Array<Number>} The process IDs.
+ */
+windows.metrics.processWatcher.getWatchedPids = function (that) {
+    return fluid.transform(Object.keys(that.watched), function (pid) {
+        return parseInt(pid);
+    });
+};
+
+/**
+ * Checks if the watched processes are still running, firing onProcessExit for those which have ended.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ */
+windows.metrics.processWatcher.poll = function (that) {
+    var now = that.clock.now();
+    fluid.each(that.getWatchedPids(), function (pid) {
+        var proc = that.watched[pid];
+        // It may have been unwatched by an onProcessExit listener.
+        var exit = proc && windows.metrics.processWatcher.checkExit(that, pid);
+        if (exit) {
+            that.unwatch(pid);
+            that.events.onProcessExit.fire(pid, {
+                exe: proc.exe,
+                exitTime: exit.exitTime,
+                detectedTime: now,
+                lastAlive: proc.lastAlive
+            });
+        } else if (proc) {
+            proc.lastAlive = now;
+        }
+    });
+};
+
+/**
+ * Performs an early check, because a process is expected to exit (eg, one of its windows has closed).
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ */
+windows.metrics.processWatcher.pollSoon = function (that) {
+    if (that.timer && !that.soonTimer) {
+        that.soonTimer = that.clock.setTimeout(function () {
+            that.soonTimer = null;
+            that.poll();
+        }, that.options.soonDelay);
+    }
+};
+
+/**
+ * Starts the polling loop.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ */
+windows.metrics.processWatcher.start = function (that) {
+    that.stop();
+    that.timer = that.clock.setInterval(that.poll, that.options.pollInterval);
+};
+
+/**
+ * Stops the polling loop. The processes remain watched.
+ *
+ * @param {Component} that The gpii.windowsMetrics.processWatcher instance.
+ */
+windows.metrics.processWatcher.stop = function (that) {
+    if (that.timer) {
+        that.clock.clearInterval(that.timer);
+        that.timer = null;
+    }
+    if (that.soonTimer) {
+        that.clock.clearTimeout(that.soonTimer);
+        that.soonTimer = null;
+    }
+};
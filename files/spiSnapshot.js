@@ -0,0 +1,102 @@
+/*
+ * Keeps the values of the accessibility related system settings, so a change can be logged with the old and new
+ * values.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.spiSnapshot");
+
+/**
+ * The settings which are tracked, keyed by the SPI_SET* action that's sent with WM_SETTINGCHANGE. Each is read with
+ * the SPI_GET* action (see the native adapter's querySpi), or from the registry.
+ */
+windows.metrics.spiSnapshot.settings = fluid.freezeRecursive({
+    SPI_SETMOUSESPEED: { setting: "mouseSpeed", getAction: 0x70, type: "int" },
+    SPI_SETFILTERKEYS: { setting: "filterKeys", getAction: 0x32, type: "FILTERKEYS" },
+    SPI_SETSTICKYKEYS: { setting: "stickyKeys", getAction: 0x3A, type: "STICKYKEYS" },
+    SPI_SETHIGHCONTRAST: { setting: "highContrast", getAction: 0x42, type: "HIGHCONTRAST" },
+    SPI_SETFONTSMOOTHING: { setting: "fontSmoothing", getAction: 0x4A, type: "bool" },
+    SPI_SETCARETWIDTH: { setting: "caretWidth", getAction: 0x2006, type: "int" },
+    // The cursor size isn't a system parameter. SPI_SETCURSORS is sent when the cursors are reloaded after it changes.
+    SPI_SETCURSORS: {
+        setting: "cursorSize",
+        registry: { path: "Control Panel\\Cursors", valueName: "CursorBaseSize", defaultValue: 32 }
+    }
+});
+
+/**
+ * Reads the current value of a setting.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Object} setting The setting, from windows.metrics.spiSnapshot.settings.
+ * @return {Any} The value, or null if it couldn't be read.
+ */
+windows.metrics.spiSnapshot.read = function (that, setting) {
+    var value;
+    if (setting.registry) {
+        value = that.native.readRegistryKey("HKEY_CURRENT_USER", setting.registry.path, setting.registry.valueName,
+            "REG_DWORD").value;
+        if (value === undefined) {
+            value = setting.registry.defaultValue;
+        }
+    } else {
+        value = that.native.querySpi(setting.getAction, setting.type);
+    }
+    return value === undefined ? null : value;
+};
+
+/**
+ * Takes a snapshot of the settings. Called when the metrics start.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.spiSnapshot.take = function (that) {
+    var snapshot = {};
+    fluid.each(windows.metrics.spiSnapshot.settings, function (setting, action) {
+        snapshot[action] = windows.metrics.spiSnapshot.read(that, setting);
+    });
+    that.state.spi = snapshot;
+};
+
+/**
+ * Called when a setting has changed, to get the old value from the snapshot and read the new one.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {String} action The SPI_SET* action, from WM_SETTINGCHANGE.
+ * @return {Object} {setting, from, to} The name of the setting, with its previous and current values; or null if the
+ *  setting isn't tracked.
+ */
+windows.metrics.spiSnapshot.settingChanged = function (that, action) {
+    var setting = windows.metrics.spiSnapshot.settings[action];
+    var togo = null;
+    if (setting) {
+        if (!that.state.spi) {
+            windows.metrics.spiSnapshot.take(that);
+        }
+        togo = {
+            setting: setting.setting,
+            from: that.state.spi[action],
+            to: windows.metrics.spiSnapshot.read(that, setting)
+        };
+        that.state.spi[action] = togo.to;
+    }
+    return togo;
+};
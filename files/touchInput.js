@@ -0,0 +1,200 @@
+/*
+ * Touch and pen input metrics - taps, long presses, multi-finger gestures, and pen strokes.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.touch");
+
+/**
+ * Gets the source of some mouse input. Touch and pen input is promoted to mouse input, which is identified by a
+ * signature in the extra information (see "Distinguishing Pen Input from Mouse and Touch" on MSDN).
+ *
+ * @param {Number} extraInfo The ulExtraInformation field of the RAWMOUSE.
+ * @return {String} "touch", "pen", or null if it's from a mouse.
+ */
+windows.metrics.touch.getSource = function (extraInfo) {
+    var togo = null;
+    if (((extraInfo & 0xFFFFFF00) >>> 0) === windows.API_constants.MI_WP_SIGNATURE) {
+        togo = (extraInfo & 0x80) ? "touch" : "pen";
+    }
+    return togo;
+};
+
+/**
+ * Gets the device of some touch or pen input. The promoted mouse input has no device handle, so the source is used.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} hDevice The device handle, from the RAWINPUTHEADER.
+ * @param {String} source "touch" or "pen".
+ * @return {InputDevice} The device.
+ */
+windows.metrics.touch.getDevice = function (that, hDevice, source) {
+    return (hDevice && windows.metrics.devices.getDevice(that, hDevice, windows.API_constants.RIM_TYPEMOUSE)) || {
+        id: source,
+        type: source === "pen" ? "pen" : "touchscreen"
+    };
+};
+
+/**
+ * Records the mouse input of a WM_INPUT message which came from a touch screen or pen. The left button is the finger
+ * or pen tip touching the screen. For a pen, the right button is the pen's barrel button being held while it touches
+ * the screen; the right button of touch input is a synthesised right-click (from a long press), so it's ignored.
+ *
+ * The movement isn't added to the mouse distance.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {String} source "touch" or "pen".
+ * @param {Object} mouse The RAWMOUSE structure.
+ * @param {Number} timestamp The time of the input (from GetMessageTime).
+ * @param {InputDevice} device The device the input came from.
+ */
+windows.metrics.touch.recordPointer = function (that, source, mouse, timestamp, device) {
+    var constants = windows.API_constants;
+    var state = that.state.input.pointer;
+    var flags = mouse.usButtonFlags;
+
+    var movement = windows.metrics.getMouseMovement(that, mouse);
+    if (state.press && movement) {
+        state.press.distance += Math.sqrt(Math.pow(movement.x, 2) + Math.pow(movement.y, 2));
+    }
+
+    var down = flags & constants.RI_MOUSE_LEFT_BUTTON_DOWN;
+    var up = flags & constants.RI_MOUSE_LEFT_BUTTON_UP;
+    if (source === "pen") {
+        down = down || (flags & constants.RI_MOUSE_RIGHT_BUTTON_DOWN);
+        up = up || (flags & constants.RI_MOUSE_RIGHT_BUTTON_UP);
+    }
+
+    if (down) {
+        state.press = {
+            source: source,
+            time: timestamp,
+            distance: 0,
+            fingers: state.interaction ? state.interaction.maxContacts : 1,
+            barrel: !!(flags & constants.RI_MOUSE_RIGHT_BUTTON_DOWN)
+        };
+    } else if (up && state.press && state.press.source === source) {
+        var press = state.press;
+        state.press = null;
+
+        var config = that.config.input;
+        var duration = timestamp - press.time;
+        var gesture;
+        if (press.distance < config.touchSlop) {
+            gesture = duration >= config.longPressTime ? "long-press" : "tap";
+        } else {
+            gesture = source === "pen" ? "stroke" : "drag";
+        }
+
+        var data = {
+            gesture: gesture,
+            duration: duration,
+            distance: Math.round(press.distance),
+            distanceMm: windows.metrics.pixelsToMm(that, press.distance)
+        };
+        if (source === "touch") {
+            data.fingers = Math.max(press.fingers, state.interaction ? state.interaction.maxContacts : 1);
+        } else if (press.barrel) {
+            data.penButton = true;
+        }
+
+        windows.metrics.touch.recordPointerEvent(that, source, data, device);
+    }
+};
+
+/**
+ * Called when a touch screen reports the number of contacts on the screen. An interaction starts with the first
+ * contact, and ends when there are none (or the reports stop for touchEndTime). Multi-finger interactions are logged
+ * as a "multi-finger" gesture, because they're generally not promoted to mouse input.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} contacts The number of contacts.
+ * @param {Number} timestamp The time of the input (from GetMessageTime).
+ * @param {InputDevice} device The touch screen.
+ */
+windows.metrics.touch.contactsChanged = function (that, contacts, timestamp, device) {
+    var state = that.state.input.pointer;
+    var interaction = state.interaction;
+
+    if (interaction) {
+        that.clock.clearTimeout(interaction.timer);
+        interaction.timer = null;
+    }
+
+    if (contacts > 0) {
+        if (!interaction) {
+            interaction = state.interaction = {
+                start: timestamp,
+                maxContacts: 0,
+                device: device
+            };
+        }
+        interaction.maxContacts = Math.max(interaction.maxContacts, contacts);
+        interaction.last = timestamp;
+        interaction.timer = that.clock.setTimeout(windows.metrics.touch.endInteraction, that.config.input.touchEndTime,
+            that);
+    } else if (interaction) {
+        interaction.last = timestamp;
+        windows.metrics.touch.endInteraction(that);
+    }
+};
+
+/**
+ * Ends the current touch interaction, logging it if more than one finger was used.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.touch.endInteraction = function (that) {
+    var state = that.state.input.pointer;
+    var interaction = state.interaction;
+    state.interaction = null;
+
+    if (interaction) {
+        that.clock.clearTimeout(interaction.timer);
+        if (interaction.maxContacts > 1) {
+            windows.metrics.touch.recordPointerEvent(that, "touch", {
+                gesture: "multi-finger",
+                duration: interaction.last - interaction.start,
+                fingers: interaction.maxContacts
+            }, interaction.device);
+        }
+    }
+};
+
+/**
+ * Records a touch or pen gesture, as a "touch" or "pen" metric (or in the input summary).
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {String} source "touch" or "pen".
+ * @param {Object} data The event: {gesture, duration, distance, distanceMm, fingers, penButton}.
+ * @param {InputDevice} device [optional] The device the input came from.
+ */
+windows.metrics.touch.recordPointerEvent = function (that, source, data, device) {
+    if (device) {
+        data.device = device.id;
+        data.deviceType = device.type;
+    }
+    if (that.state.input.summary) {
+        windows.metrics.summary.addPointer(that.state.input.summary, source, data);
+    } else {
+        that.logMetric(source, data);
+    }
+};
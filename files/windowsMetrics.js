@@ -19,7 +19,6 @@
 
 "use strict";
 
-var ref = require("ref");
 var fluid = require("gpii-universal"),
     path = require("path");
 
@@ -27,9 +26,31 @@ var gpii = fluid.registerNamespace("gpii"),
     windows = fluid.registerNamespace("gpii.windows");
 fluid.registerNamespace("gpii.windows.metrics");
 
-require("../../WindowsUtilities/WindowsUtilities.js");
-require("../../windowMessages");
-require("../../displaySettingsHandler");
+// The native modules only load on Windows. Elsewhere, the tests load test/simulatedNative.js first, which provides the
+// message window and the simulated adapter.
+if (process.platform === "win32") {
+    require("../../WindowsUtilities/WindowsUtilities.js");
+    require("../../windowMessages");
+    require("../../displaySettingsHandler");
+}
+require("./nativeAdapter.js");
+require("./messageRecorder.js");
+require("./metricsPolicy.js");
+require("./inputSummary.js");
+require("./logRotation.js");
+require("./metricSchemas.js");
+require("./metricsRedaction.js");
+require("./appUsage.js");
+require("./applicationTracking.js");
+require("./processWatcher.js");
+require("./keyClassifier.js");
+require("./inputDevices.js");
+require("./touchInput.js");
+require("./configDecoder.js");
+require("./spiSnapshot.js");
+require("./configAttribution.js");
+require("./displayTopology.js");
+require("./appCatalogue.js");
 
 fluid.defaults("gpii.windowsMetrics", {
     gradeNames: ["fluid.modelComponent", "fluid.contextAware", "gpii.metrics"],
@@ -45,9 +66,23 @@ fluid.defaults("gpii.windowsMetrics", {
                     gradeNames: "gpii.windowsMetrics.windows"
                 }
             }
+        },
+        // Note GPII's activity, for attributing the configuration changes, when there's a lifecycle manager.
+        lifecycle: {
+            checks: {
+                lifecycleManager: {
+                    contextValue: "{lifecycleManager}.typeName",
+                    gradeNames: "gpii.windowsMetrics.lifecycle"
+                }
+            }
         }
     },
     listeners: {
+        "onCreate.checkPlatform": {
+            funcName: "gpii.windows.metrics.checkPlatform",
+            args: ["{that}"],
+            priority: "first"
+        },
         "onDestroy.stopMetrics": "{that}.events.onStopMetrics",
         "{gpii.eventLog}.events.onCreate": [{
             func: "{that}.logVersions",
@@ -56,11 +91,28 @@ fluid.defaults("gpii.windowsMetrics", {
         {
             func: "{that}.logSystemInfo",
             priority: "last"
+        },
+        {
+            func: "{that}.checkDisplayTopology",
+            priority: "last"
         }],
+        "onStartMetrics.policy": {
+            func: "{that}.reloadPolicy",
+            priority: "first"
+        },
         "onStartMetrics.application": "{that}.startApplicationMetrics",
+        "onStartMetrics.spi": {
+            funcName: "gpii.windows.metrics.spiSnapshot.take",
+            args: ["{that}"]
+        },
         "onStopMetrics.application": "{that}.stopApplicationMetrics",
         "onStartMetrics.input": "{that}.startInputMetrics",
         "onStopMetrics.input": "{that}.stopInputMetrics",
+        "onStopMetrics.invalidMetrics": {
+            funcName: "gpii.windows.metrics.schemas.reportInvalid",
+            args: ["{that}"],
+            priority: "last"
+        },
         "{gpii.windows.messages}.events.onMessage": {
             funcName: "gpii.windows.metrics.windowMessage",
             // that, hwnd, msg, wParam, lParam
@@ -69,12 +121,77 @@ fluid.defaults("gpii.windowsMetrics", {
         "onInactive.input": {
             funcName: "gpii.windows.metrics.userInactive",
             args: [ "{that}" ]
+        },
+        // Also fired when the computer suspends.
+        "onInactive.typingSession": {
+            funcName: "gpii.windows.metrics.endTypingSession",
+            args: [ "{that}" ]
+        },
+        "onInactive.appUsage": {
+            funcName: "gpii.windows.metrics.appUsage.pause",
+            args: [ "{that}" ]
+        },
+        "onActive.appUsage": {
+            funcName: "gpii.windows.metrics.appUsage.resume",
+            args: [ "{that}" ]
+        },
+        "onInactive.idle": {
+            funcName: "gpii.windows.metrics.idleStarted",
+            args: [ "{that}", "{arguments}.0" ] // {sleep}
+        },
+        "onActive.idle": {
+            funcName: "gpii.windows.metrics.idleEnded",
+            args: [ "{that}" ]
+        }
+    },
+    events: {
+        // Fired for each metric that is logged: eventName, data
+        onMetric: null
+    },
+    components: {
+        messageRecorder: {
+            type: "gpii.windowsMetrics.messageRecorder",
+            options: {
+                file: "{gpii.windowsMetrics}.options.siteConfig.recordMessages"
+            }
+        },
+        logRotation: {
+            type: "gpii.windowsMetrics.logRotation",
+            options: {
+                siteRotation: "{gpii.windowsMetrics}.options.siteConfig.logRotation",
+                members: {
+                    clock: "{gpii.windowsMetrics}.clock"
+                }
+            }
+        },
+        processWatcher: {
+            type: "gpii.windowsMetrics.processWatcher",
+            options: {
+                members: {
+                    native: "{gpii.windowsMetrics}.native",
+                    clock: "{gpii.windowsMetrics}.clock"
+                },
+                listeners: {
+                    "onProcessExit.appClose": {
+                        funcName: "gpii.windows.metrics.tracking.processExited",
+                        args: ["{gpii.windowsMetrics}", "{arguments}.0", "{arguments}.1"] // pid, processInfo
+                    }
+                }
+            }
         }
     },
     invokers: {
         logMetric: {
-            func: "{eventLog}.logEvent",
-            args: ["metrics", "{arguments}.0", "{arguments}.1"]
+            funcName: "gpii.windows.metrics.logMetric",
+            args: ["{that}", "{eventLog}", "{arguments}.0", "{arguments}.1"] // eventName, data
+        },
+        reloadPolicy: {
+            funcName: "gpii.windows.metrics.reloadPolicy",
+            args: ["{that}"]
+        },
+        replayMessages: {
+            funcName: "gpii.windows.metrics.replayMessages",
+            args: ["{that}", "{arguments}.0", "{arguments}.1"] // file, options
         },
         logVersions: {
             funcName: "gpii.windows.metrics.logVersions",
@@ -84,6 +201,10 @@ fluid.defaults("gpii.windowsMetrics", {
             funcName: "gpii.windows.metrics.logSystemInfo",
             args: ["{that}"]
         },
+        checkDisplayTopology: {
+            funcName: "gpii.windows.metrics.displayTopology.check",
+            args: ["{that}"]
+        },
         startApplicationMetrics: {
             funcName: "gpii.windows.metrics.startApplicationMetrics",
             args: ["{that}"]
@@ -114,11 +235,31 @@ fluid.defaults("gpii.windowsMetrics", {
         },
         startMessages: "{gpii.windows.messages}.start({that})",
         stopMessages: "{gpii.windows.messages}.stop({that})",
-        getMessageWindow: "{gpii.windows.messages}.getWindowHandle()"
+        getMessageWindow: "{gpii.windows.messages}.getWindowHandle()",
+        // Notes that GPII is applying settings, so the configuration changes are attributed to it.
+        gpiiActivity: {
+            funcName: "gpii.windows.metrics.attribution.gpiiActivity",
+            args: ["{that}"]
+        }
     },
     members: {
         config: {
-            application: {},
+            application: {
+                // Options for genericisePath, set when the application metrics start.
+                paths: {
+                    // Additional path prefixes to genericise [{prefix, name}]
+                    prefixes: [],
+                    // The user name to hide.
+                    username: null
+                },
+                // How often to log the app-usage metrics, in milliseconds.
+                usageInterval: 3600000,
+                // The maximum number of entries in knownWindows and runningApplications.
+                maxKnownWindows: 2000,
+                maxRunningApplications: 500,
+                // How often to reconcile the known windows and applications with the live ones, in milliseconds.
+                reconcileInterval: 600000
+            },
             input: {
                 // Minimum typing session time, in milliseconds.
                 minSession: 30000,
@@ -127,7 +268,34 @@ fluid.defaults("gpii.windowsMetrics", {
                 // Minimum number of keys in a typing session time.
                 minSessionKeys: 10,
                 // Milliseconds of no input to assume inactive
-                inactiveTime: 300000
+                inactiveTime: 300000,
+                // "events" to log each key and click, or "summary" to periodically log an input-summary.
+                mode: "events",
+                // How often to log the input-summary, in milliseconds.
+                summaryInterval: 900000,
+                // The longest gap between inputs that's counted as active time in the summary, in milliseconds.
+                activeGap: 5000,
+                // The maximum time, and movement in pixels, between the clicks of a double-click. Read from the user's
+                // mouse settings when the input metrics start.
+                doubleClickTime: 500,
+                doubleClickWidth: 4,
+                doubleClickHeight: 4,
+                // The movement, in pixels, while a button is held that counts as a drag.
+                dragThreshold: 4,
+                // Mouse movements larger than this, in pixels, are discarded. Defaults to the diagonal of the virtual
+                // screen.
+                maxMouseDelta: null,
+                // A touch or pen press that moves less than this, in pixels, is a tap (or long press).
+                touchSlop: 10,
+                // A touch or pen press held for this long, in milliseconds, is a long press.
+                longPressTime: 1000,
+                // A touch interaction ends when the touch screen stops reporting contacts for this long.
+                touchEndTime: 200
+            },
+            attribution: {
+                // How long after GPII or user activity that a configuration change is attributed to it, in
+                // milliseconds.
+                window: 10000
             }
         },
         state: {
@@ -135,7 +303,17 @@ fluid.defaults("gpii.windowsMetrics", {
                 // List of windows that are known to exist.
                 knownWindows: {},
                 // The running applications
-                runningApplications: {}
+                runningApplications: {},
+                // Foreground time accounting (see gpii.windows.metrics.appUsage).
+                usage: null,
+                // Reconciliation of knownWindows and runningApplications (see gpii.windows.metrics.tracking).
+                reconcileTimer: null,
+                // The running assistive technology, pid => session (see gpii.windows.metrics.appCatalogue).
+                atSessions: {},
+                trackingStats: {
+                    // Entries evicted since the last tracking-stats metric.
+                    evicted: 0
+                }
             },
             input: {
                 lastKeyTime: 0,
@@ -145,19 +323,121 @@ fluid.defaults("gpii.windowsMetrics", {
                 keyCount: 0,
                 // Number of special keys
                 specialCount: 0,
-                // Mouse position
-                lastPos: null,
-                distance: 0
-            }
+                // The keys of the typing session, by category and shortcut (see windows.metrics.keys.createBreakdown).
+                keyBreakdown: null,
+                // The keys of the typing session, per device (see windows.metrics.devices.addToBreakdown).
+                sessionDevices: null,
+                // The input devices (see gpii.windows.metrics.devices).
+                devices: {
+                    // hDevice => InputDevice
+                    known: {},
+                    // The info of all attached devices.
+                    allInfo: null,
+                    // If an on-screen keyboard is open, and when that was checked.
+                    oskOpen: false,
+                    oskChecked: 0
+                },
+                // Ends the typing session after sessionTimeout.
+                sessionTimer: null,
+                // Mouse distance since the last click.
+                distance: 0,
+                mouse: {
+                    // button => {time, drag, doubleClick}, for the buttons being held down.
+                    pressed: {},
+                    // The last button press {button, time}, to detect double-clicks.
+                    lastDown: null,
+                    // The movement since the last button press.
+                    moved: {x: 0, y: 0},
+                    // The cursor position after the last mouse input, and the last position of an absolute device.
+                    lastCursor: null,
+                    lastAbsolute: null,
+                    // Number of implausible movements discarded since the last click.
+                    discarded: 0,
+                    // The device of the current mouse input.
+                    device: null
+                },
+                // Touch and pen input (see gpii.windows.metrics.touch).
+                pointer: {
+                    // The touch or pen press in progress: {source, time, distance, fingers, barrel}
+                    press: null,
+                    // The touch screen interaction in progress: {start, last, maxContacts, device, timer}
+                    interaction: null
+                },
+                // When the last input was received (ms since epoch).
+                lastInputTime: null,
+                // When the current idle period started, and if the computer slept during it.
+                idleStart: null,
+                idleSleep: false
+            },
+            power: {
+                // When the computer was suspended.
+                suspendTime: null
+            },
+            // Who made the configuration changes (see gpii.windows.metrics.attribution).
+            attribution: {
+                // When GPII was last active.
+                lastGpii: 0,
+                // The settings GPII has applied: SPI_SET* action => {from, time}
+                applied: {}
+            },
+            // The screen sizes and scale (see windows.metrics.getDisplayInfo).
+            display: null,
+            // The monitors, as last logged (see gpii.windows.metrics.displayTopology).
+            displayTopology: null,
+            // The values of the accessibility settings (see gpii.windows.metrics.spiSnapshot).
+            spi: null,
+            // The metrics which didn't match their schema, by metric and problem (see gpii.windows.metrics.schemas).
+            invalidMetrics: {}
         },
         keyboardHookHandle: null,
-        mouseHookHandle: null
+        mouseHookHandle: null,
+        // The rules for which metrics are logged (see gpii.windows.metrics.policy).
+        metricsPolicy: "@expand:gpii.windows.metrics.policy.load({that}.options.siteConfig)",
+        // The privacy rules applied to each metric (see gpii.windows.metrics.redaction), with a salt for this machine
+        // unless one is configured.
+        redaction: {
+            expander: {
+                funcName: "gpii.windows.metrics.redaction.create",
+                args: [
+                    "{that}.options.siteConfig.redaction",
+                    "@expand:gpii.windows.metrics.redaction.getInstallSalt({that}.installID)"
+                ]
+            }
+        },
+        // The known applications (see gpii.windows.metrics.appCatalogue).
+        appCatalogue: {
+            expander: {
+                funcName: "gpii.windows.metrics.appCatalogue.create",
+                args: ["{that}.options.siteConfig.applicationCatalogue"]
+            }
+        },
+        // The interface to the operating system (see gpii.windows.metrics.nativeAdapter), and the time and timers.
+        // These are provided by the platform's grade (gpii.windowsMetrics.windows or gpii.windowsMetrics.test), and
+        // not defaulted here, because a member's value is merged with the one it overrides. The component fails to
+        // start without them (see windows.metrics.checkPlatform).
+        native: null,
+        clock: null
     },
+    // What to do with a metric that doesn't match its schema: "report" to log "metric-invalid", or "throw".
+    metricValidation: "report",
     durationEvents: {
         "app-active": "app-inactive"
     }
 });
 
+/**
+ * Checks the component has a native adapter and clock, which come from the platform's grade. Without them, the first
+ * call to the operating system would fail on something unrelated.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.checkPlatform = function (that) {
+    if (!that.native || !that.clock) {
+        fluid.fail("gpii.windowsMetrics has no native adapter or clock: it needs the gpii.contexts.windows context, "
+            + "or test/simulatedNative.js to be loaded for the gpii.contexts.test context");
+    }
+};
+
 fluid.defaults("gpii.installID.windows", {
     invokers: {
         getMachineID: "gpii.windows.getMachineID"
@@ -178,6 +458,38 @@ windows.getMachineID = function () {
     return machineID;
 };
 
+/**
+ * Logs a metric to the event log, if the metrics policy allows it. The data is checked against the metric's schema
+ * (see gpii.windows.metrics.schemas), and passed through the redaction rules.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Component} eventLog The gpii.eventLog instance.
+ * @param {String} eventName The name of the metric.
+ * @param {Object} data [optional] The metric's data.
+ */
+windows.metrics.logMetric = function (that, eventLog, eventName, data) {
+    var problems = windows.metrics.schemas.validate(windows.metrics.schemas.registry, eventName, data);
+    if (problems.length) {
+        windows.metrics.schemas.invalidMetric(that, eventName, problems);
+    }
+
+    var rule = windows.metrics.policy.getRule(that.metricsPolicy, eventName);
+    if (windows.metrics.policy.shouldLog(rule)) {
+        data = windows.metrics.redaction.apply(that.redaction, eventName, data, that.config.application.paths);
+        that.events.onMetric.fire(eventName, data);
+        eventLog.logEvent("metrics", eventName, data, rule.level === "debug" ? fluid.logLevel.DEBUG : undefined);
+    }
+};
+
+/**
+ * Re-reads the metrics policy, so changes to the policy file are applied without restarting.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.reloadPolicy = function (that) {
+    that.metricsPolicy = windows.metrics.policy.load(that.options.siteConfig);
+};
+
 /**
  * Logs the version of this, the gpii-app, gpii-windows, and gpii-universal modules.
  *
@@ -216,13 +528,14 @@ windows.metrics.logVersions = function (that) {
  */
 windows.metrics.logSystemInfo = function (that) {
     var os = require("os");
+    var native = that.native;
 
     var oneGB = 0x40000000;
 
     var cpus = os.cpus();
-    var resolution = windows.display.getScreenResolution();
-    var desktop = windows.display.getDesktopSize();
-    var scale = (resolution.width / desktop.width).toPrecision(3);
+    var display = windows.metrics.getDisplayInfo(that);
+    var resolution = display.resolution;
+    var scale = display.scale.toPrecision(3);
 
     var data = {
         cpu: cpus[0].model,
@@ -231,21 +544,57 @@ windows.metrics.logSystemInfo = function (that) {
 
         resolution: resolution.width + "x" + resolution.height,
         scale: scale,
+        // The details are in the display-topology metric.
+        monitors: native.getMonitors().length,
 
         osRelease: os.release(),
-        osEdition: windows.readRegistryKey("HKEY_LOCAL_MACHINE",
+        osEdition: native.readRegistryKey("HKEY_LOCAL_MACHINE",
             "64:SOFTWARE\\Microsoft\\Windows NT\\CurrentVersion", "ProductName", "REG_SZ").value,
-        osBits: windows.isWow64() || os.arch() === "x64" ? "64" : "32",
+        osBits: native.isWow64() || os.arch() === "x64" ? "64" : "32",
 
-        systemMfr: windows.readRegistryKey("HKEY_LOCAL_MACHINE",
+        systemMfr: native.readRegistryKey("HKEY_LOCAL_MACHINE",
             "64:SYSTEM\\CurrentControlSet\\Control\\SystemInformation", "SystemManufacturer", "REG_SZ").value,
-        systemName: windows.readRegistryKey("HKEY_LOCAL_MACHINE",
+        systemName: native.readRegistryKey("HKEY_LOCAL_MACHINE",
             "64:SYSTEM\\CurrentControlSet\\Control\\SystemInformation", "SystemProductName", "REG_SZ").value
     };
 
     that.logMetric("system-info", data);
 };
 
+/**
+ * Gets the sizes of the screen and the scale, used to normalise mouse movement. This is cached until the display
+ * changes.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {Object} {resolution, virtualScreen, scale} The primary screen and virtual screen sizes, in pixels, and the
+ *  display scale (eg, 1.25 for 120dpi).
+ */
+windows.metrics.getDisplayInfo = function (that) {
+    if (!that.state.display) {
+        var resolution = that.native.getScreenResolution();
+        var desktop = that.native.getDesktopSize();
+        that.state.display = {
+            resolution: resolution,
+            virtualScreen: that.native.getVirtualScreenSize(),
+            scale: resolution.width / desktop.width
+        };
+    }
+    return that.state.display;
+};
+
+/**
+ * Converts a distance in screen pixels to (approximately) millimetres, assuming the display's scale reflects its pixel
+ * density (96 scaled pixels to the inch).
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} pixels The distance, in pixels.
+ * @return {Number} The distance, in millimetres.
+ */
+windows.metrics.pixelsToMm = function (that, pixels) {
+    var scale = windows.metrics.getDisplayInfo(that).scale || 1;
+    return Math.round(pixels / scale / 96 * 25.4);
+};
+
 /**
  * Check if the currently active pid+exe has been seen before. If not, log it as an application launch.
  * Called when a window has been activated.
@@ -261,15 +610,27 @@ windows.metrics.checkNewApplication = function (that, windowInfo) {
     var isNew = !oldApp || oldApp.exe !== windowInfo.exe;
 
     if (isNew) {
-        var data = {
-            exe: windows.metrics.genericisePath(windowInfo.exe),
+        if (oldApp) {
+            // The pid has been re-used, so the old application has gone.
+            windows.metrics.appCatalogue.endSession(that, windowInfo.pid, true);
+        }
+        var classification = windows.metrics.appCatalogue.classify(that.appCatalogue, windowInfo.exe,
+            windowInfo.appId);
+        var data = windows.metrics.appCatalogue.addFields({
+            exe: windows.metrics.genericisePath(windowInfo.exe, null, that.config.application.paths),
             pid: windowInfo.pid,
             windowClass: windowInfo.className
-        };
+        }, classification);
 
         that.logMetric("app-launch", data);
 
-        runningApplications[windowInfo.pid] = { exe: windowInfo.exe };
+        that.state.application.trackingStats.evicted += windows.metrics.tracking.add(runningApplications,
+            windowInfo.pid, { exe: windowInfo.exe, windowClass: windowInfo.className, classification: classification },
+            that.config.application.maxRunningApplications, that.clock.now());
+        that.processWatcher.watch(windowInfo.pid, windowInfo.exe);
+        windows.metrics.appCatalogue.startSession(that, windowInfo.pid, classification);
+    } else {
+        windows.metrics.tracking.touch(oldApp, that.clock.now());
     }
 };
 
@@ -279,10 +640,15 @@ windows.metrics.checkNewApplication = function (that, windowInfo) {
  * @param {Component} that The gpii.windowsMetrics instance.
  */
 windows.metrics.startApplicationMetrics = function (that) {
+    windows.metrics.initPathOptions(that);
+    windows.metrics.appUsage.start(that);
+    windows.metrics.tracking.start(that);
+    that.processWatcher.start();
     that.startMessages();
+    windows.metrics.appCatalogue.findRunningAT(that);
 
     // Tell Windows to send WM_SHELLHOOKMESSAGE.
-    gpii.windows.user32.RegisterShellHookWindow(that.getMessageWindow());
+    that.native.registerShellHookWindow(that.getMessageWindow());
 };
 
 /**
@@ -292,6 +658,13 @@ windows.metrics.startApplicationMetrics = function (that) {
  */
 windows.metrics.stopApplicationMetrics = function (that) {
     that.stopMessages();
+    windows.metrics.tracking.stop(that);
+    // When the component is being destroyed, the process watcher has already stopped itself (from its own onDestroy).
+    if (!fluid.isDestroyed(that.processWatcher)) {
+        that.processWatcher.stop();
+    }
+    windows.metrics.appUsage.stop(that);
+    windows.metrics.appCatalogue.endSessions(that);
 };
 
 /**
@@ -305,59 +678,15 @@ windows.metrics.stopApplicationMetrics = function (that) {
  */
 windows.metrics.logAppActivate = function (that, windowInfo, activated) {
     var data = {
-        exe: windows.metrics.genericisePath(windowInfo.exe),
+        exe: windows.metrics.genericisePath(windowInfo.exe, null, that.config.application.paths),
         window: windowInfo.pid.toString(36) + "-" + windowInfo.hwnd.toString(36),
         windowClass: windowInfo.className
     };
+    var app = that.state.application.runningApplications[windowInfo.pid];
+    windows.metrics.appCatalogue.addFields(data, app && app.classification);
     that.logMetric(activated ? "app-active" : "app-inactive", data);
 };
 
-/**
- * Extracts a RAWINPUTMOUSE or a RAWINPUTKEYBOARD from a received lParam.
- *
- * @param {Buffer} lParam A handle to a RAWINPUT structure received from the
- *  system within a WM_INPUT message.
- * @return {Promise} Promise holding either a RAWINPUTMOUSE or a RAWINPUTKEYBOARD, depending on the
- *  contents of the lParam handle. In case of error the promise is rejected with and error of the
- *  following kind: {isError:true, returnCode: -1, errorCode: GetLastError()}.
- */
-windows.metrics.getRawInputData = function (lParam) {
-    var promise = fluid.promise();
-
-    var dataSz = ref.alloc(windows.types.UINT, 0);
-    var res = windows.user32.GetRawInputData(
-        lParam,
-        windows.API_constants.RID_INPUT,
-        ref.NULL,
-        dataSz,
-        windows.RAWINPUTHEADER.size
-    );
-
-    if (res === 0) {
-        var rawInputBuf = Buffer.alloc(dataSz.deref());
-        res = windows.user32.GetRawInputData(
-            lParam,
-            windows.API_constants.RID_INPUT,
-            rawInputBuf,
-            dataSz,
-            windows.RAWINPUTHEADER.size
-        );
-        var rawInput = ref.get(rawInputBuf, 0, windows.RAWINPUTKEYBOARD);
-
-        if (rawInput.header.dwType === windows.API_constants.RIM_TYPEMOUSE) {
-            var rawMouse = ref.get(rawInputBuf, 0, windows.RAWINPUTMOUSE);
-            promise.resolve(rawMouse);
-        } else {
-            promise.resolve(rawInput);
-        }
-    } else {
-        var errCode = windows.kernel32.GetLastError();
-        promise.reject(windows.win32error("Failed to get GetRawInputData.", -1, errCode));
-    }
-
-    return promise;
-};
-
 /**
  * Function that handles the WM_INPUT message received with event information
  * from the registered devices.
@@ -368,63 +697,45 @@ windows.metrics.getRawInputData = function (lParam) {
 windows.metrics.handleWMINPUT = function (that, lParam) {
     windows.metrics.userInput(that);
 
-    var pRawInput = windows.metrics.getRawInputData(lParam);
+    var pRawInput = that.native.getRawInputData(lParam);
 
     pRawInput.then(function (rawInput) {
         if (rawInput.header.dwType === windows.API_constants.RIM_TYPEKEYBOARD) {
-            // Ignore injected keys
-            if (rawInput.header.hDevice !== 0 && rawInput.keyboard.Message === windows.API_constants.WM_KEYUP) {
-                var keyValue = windows.user32.MapVirtualKeyW(rawInput.keyboard.VKey, windows.API_constants.MAPVK_VK_TO_CHAR);
+            // Injected keys are ignored, unless they're from an on-screen keyboard.
+            var keyboard = windows.metrics.keys.isKeyUp(rawInput.keyboard.Message) &&
+                windows.metrics.devices.getDevice(that, rawInput.header.hDevice, rawInput.header.dwType);
+            if (keyboard) {
+                var keyValue = that.native.mapVirtualKey(rawInput.keyboard.VKey,
+                    windows.API_constants.MAPVK_VK_TO_CHAR);
                 var specialKey = windows.metrics.specialKeys[rawInput.keyboard.VKey];
 
                 if (specialKey || keyValue) {
-                    var timestamp = windows.user32.GetMessageTime();
-                    windows.metrics.recordKeyTiming(that, timestamp, specialKey, String.fromCharCode(keyValue));
+                    var timestamp = that.native.getMessageTime();
+                    windows.metrics.recordKeyTiming(that, timestamp, specialKey, rawInput.keyboard.VKey, keyboard);
                 }
             }
         } else if (rawInput.header.dwType === windows.API_constants.RIM_TYPEMOUSE) {
-            var relevantMouseEvent =
-                // Is a relevant event
-                ( ( rawInput.mouse.usButtonFlags & (
-                        windows.API_constants.RI_MOUSE_WHEEL |
-                        windows.API_constants.RI_MOUSE_LEFT_BUTTON_UP |
-                        windows.API_constants.RI_MOUSE_RIGHT_BUTTON_UP
-                    )
-                ) !== 0) ||
-                // Mouse just moved
-                rawInput.mouse.usButtonFlags === 0;
-
-            if (relevantMouseEvent && rawInput.header.hDevice !== 0) {
-                var wheelDistance = rawInput.mouse.usButtonData;
-                var wheelDirection = 0;
-                var button = 0;
-
-                if ((rawInput.mouse.usButtonFlags & windows.API_constants.RI_MOUSE_WHEEL) !== 0) {
-                    // Unsigned to signed
-                    if (wheelDistance >= 0x8000) {
-                        wheelDistance -= 0x10000;
-                    }
-                    if (wheelDistance >= 0) {
-                        wheelDirection = 1;
-                    } else {
-                        wheelDirection = -1;
-                    }
-                    button = "W";
-                } else if ((rawInput.mouse.usButtonFlags & windows.API_constants.RI_MOUSE_LEFT_BUTTON_UP) !== 0) {
-                    button = 1;
-                } else if ((rawInput.mouse.usButtonFlags & windows.API_constants.RI_MOUSE_RIGHT_BUTTON_UP) !== 0) {
-                    button = 2;
+            var source = windows.metrics.touch.getSource(rawInput.mouse.ulExtraInformation);
+            if (source) {
+                // Touch and pen input, promoted to mouse input.
+                windows.metrics.touch.recordPointer(that, source, rawInput.mouse, that.native.getMessageTime(),
+                    windows.metrics.touch.getDevice(that, rawInput.header.hDevice, source));
+            } else {
+                // Ignore injected input
+                var mouse = windows.metrics.devices.getDevice(that, rawInput.header.hDevice, rawInput.header.dwType);
+                if (mouse) {
+                    windows.metrics.recordRawMouse(that, rawInput.mouse, that.native.getMessageTime(), mouse);
+                } else {
+                    windows.metrics.skipMouseMovement(that);
+                }
+            }
+        } else if (rawInput.header.dwType === windows.API_constants.RIM_TYPEHID) {
+            var digitizer = windows.metrics.devices.getDevice(that, rawInput.header.hDevice, rawInput.header.dwType);
+            if (digitizer && digitizer.type === "touchscreen") {
+                var contacts = that.native.getDigitizerContacts(rawInput.header.hDevice, rawInput.hid);
+                if (contacts !== null) {
+                    windows.metrics.touch.contactsChanged(that, contacts, that.native.getMessageTime(), digitizer);
                 }
-
-                windows.metrics.recordMouseEvent(
-                    that,
-                    button,
-                    {
-                        x: rawInput.mouse.lLastX,
-                        y: rawInput.mouse.lLastY,
-                        wheel: wheelDirection
-                    }
-                );
             }
         }
     }, function (err) {
@@ -443,12 +754,19 @@ windows.metrics.handleWMINPUT = function (that, lParam) {
  */
 windows.metrics.windowMessage = function (that, hwnd, msg, wParam, lParam) {
     var lParamNumber = (lParam && lParam.address) ? lParam.address() : lParam || 0;
+    if (that.messageRecorder.recording) {
+        windows.metrics.messageRecorder.traceMessage(that, msg, wParam, lParam);
+    }
     switch (msg) {
     case windows.API_constants.WM_INPUT:
         // Handle the WM_INPUT message holding devices input information
         windows.metrics.handleWMINPUT(that, lParam);
         break;
 
+    case windows.API_constants.WM_INPUT_DEVICE_CHANGE:
+        process.nextTick(windows.metrics.devices.deviceChanged, that, wParam, lParamNumber);
+        break;
+
     case windows.API_constants.WM_SHELLHOOK:
         // Run the code in the next tick so this function can return soon, as it's a window procedure.
         process.nextTick(windows.metrics.shellMessage, that, wParam, lParamNumber);
@@ -458,16 +776,21 @@ windows.metrics.windowMessage = function (that, hwnd, msg, wParam, lParam) {
         if (wParam === windows.API_constants.PBT_APMSUSPEND) {
             // About to suspend
             that.logMetric("power-suspend");
+            that.state.power.suspendTime = that.clock.now();
             that.events.onInactive.fire({sleep: true});
         } else if (wParam === windows.API_constants.PBT_APMRESUMEAUTOMATIC) {
             // Woke up. (onActive will be fired when there's input)
             that.logMetric("power-resume");
+            windows.metrics.logPeriod(that, "system-sleep", that.state.power.suspendTime, that.clock.now());
+            that.state.power.suspendTime = null;
         }
         break;
 
     default:
         if (windows.metrics.settingsMessages.indexOf(msg) > -1) {
-            process.nextTick(windows.metrics.configMessage, that, hwnd, msg, wParam, lParamNumber);
+            // The section name of WM_SETTINGCHANGE is only valid during the message.
+            var section = msg === windows.API_constants.WM_SETTINGCHANGE ? that.native.readWideString(lParam) : null;
+            process.nextTick(windows.metrics.configMessage, that, hwnd, msg, wParam, lParamNumber, section);
         }
         break;
     }
@@ -516,8 +839,9 @@ windows.metrics.settingsMessages = [
  * @param {Number} msg The message identifier.
  * @param {Number} wParam Message specific data.
  * @param {Number} lParam Additional message specific data.
+ * @param {String} section [optional] For WM_SETTINGCHANGE, the section name that lParam pointed to.
  */
-windows.metrics.configMessage = function (that, hwnd, msg, wParam, lParam) {
+windows.metrics.configMessage = function (that, hwnd, msg, wParam, lParam, section) {
     var eventData = {
         wp: wParam,
         lp: lParam,
@@ -537,11 +861,28 @@ windows.metrics.configMessage = function (that, hwnd, msg, wParam, lParam) {
     case windows.API_constants.WM_SETTINGCHANGE:
         // "when the SystemParametersInfo function changes a system-wide setting or when policy settings have changed"
         // https://docs.microsoft.com/en-us/windows/desktop/winmsg/wm-settingchange
-        var spiAction = gpii.windows.spi.actionsLookup[wParam];
-        if (spiAction) {
-            eventName = "spi";
-            eventData.action = spiAction;
-        }
+        var setting = windows.metrics.configDecoder.settingChange(that, wParam, section);
+        eventName = setting.eventName;
+        fluid.extend(eventData, setting.data);
+        break;
+
+    case windows.API_constants.WM_INPUTLANGCHANGE:
+        // "when an application's input language has been changed"
+        // https://docs.microsoft.com/en-us/windows/win32/winmsg/wm-inputlangchange
+        eventName = "language";
+        fluid.extend(eventData, windows.metrics.configDecoder.inputLanguageChange(that, lParam));
+        break;
+
+    case windows.API_constants.WM_SYSCOLORCHANGE:
+        // "when a change is made to a system color setting", which includes switching high-contrast.
+        eventName = "colors";
+        fluid.extend(eventData, windows.metrics.configDecoder.themeChange(that, false));
+        break;
+
+    case windows.API_constants.WM_THEMECHANGED:
+        // "following the activation of a theme, the deactivation of a theme, or a transition from one theme to another"
+        eventName = "theme";
+        fluid.extend(eventData, windows.metrics.configDecoder.themeChange(that, true));
         break;
 
     case windows.API_constants.WM_DISPLAYCHANGE:
@@ -560,8 +901,17 @@ windows.metrics.configMessage = function (that, hwnd, msg, wParam, lParam) {
         break;
     }
 
+    eventData.source = windows.metrics.attribution.getSource(that);
+
     eventName = eventName ? "config." + eventName : "config";
     that.logMetric(eventName, eventData);
+    windows.metrics.attribution.settingChanged(that, eventData);
+
+    if (msg === windows.API_constants.WM_DISPLAYCHANGE || (msg === windows.API_constants.WM_SETTINGCHANGE &&
+        wParam === windows.metrics.displayTopology.SPI_SETLOGICALDPIOVERRIDE)) {
+        that.state.display = null;
+        windows.metrics.displayTopology.check(that);
+    }
 };
 
 
@@ -580,8 +930,11 @@ windows.metrics.windowCreated = function (that, hwnd) {
     var windowInfo = state.knownWindows[hwnd];
 
     if (!windowInfo) {
-        windowInfo = windows.metrics.getWindowInfo(hwnd);
-        state.knownWindows[hwnd] = windowInfo;
+        windowInfo = windows.metrics.getWindowInfo(that.native, hwnd);
+        state.trackingStats.evicted += windows.metrics.tracking.add(state.knownWindows, hwnd, windowInfo,
+            that.config.application.maxKnownWindows, that.clock.now());
+    } else {
+        windows.metrics.tracking.touch(windowInfo, that.clock.now());
     }
 
     windows.metrics.checkNewApplication(that, windowInfo);
@@ -590,7 +943,8 @@ windows.metrics.windowCreated = function (that, hwnd) {
 /**
  * Called when a window has been destroyed.
  *
- * Logs the app-close event, if the process terminates soon.
+ * The app-close metric is logged by the process watcher, when the process ends. This prompts it to check soon, if it
+ * was the last known window of the process.
  *
  * @param {Component} that The gpii.windowsMetrics component.
  * @param {Number} hwnd The window handle (no longer valid).
@@ -602,26 +956,13 @@ windows.metrics.windowDestroyed = function (that, hwnd) {
     var windowInfo = state.knownWindows[hwnd];
 
     if (windowInfo) {
-        var runningApp = state.runningApplications[windowInfo.pid];
-        if (runningApp && !runningApp.closing) {
-            // Wait a bit for the process to close.
-            windows.waitForProcessTermination(windowInfo.pid, {pollDelay: 1000, timeout: 20000}).then(function () {
-                var data = {
-                    exe: windows.metrics.genericisePath(windowInfo.exe),
-                    pid: windowInfo.pid,
-                    windowClass: windowInfo.className
-                };
-                that.logMetric("app-close", data);
-                delete state.runningApplications[windowInfo.pid];
-            }, function () {
-                // timeout - the process isn't closing after all.
-                runningApp.closing = false;
-            });
-
-            // Don't log the close again, for multi-window processes.
-            runningApp.closing = true;
-        }
         delete state.knownWindows[hwnd];
+        var hasWindows = fluid.find(state.knownWindows, function (info) {
+            return info.pid === windowInfo.pid || undefined;
+        });
+        if (!hasWindows && state.runningApplications[windowInfo.pid]) {
+            that.processWatcher.pollSoon();
+        }
     }
 };
 
@@ -635,7 +976,7 @@ windows.metrics.windowActivated = function (that, eventLog, hwnd) {
     var state = that.state.application;
 
     if (!hwnd) {
-        hwnd = windows.user32.GetForegroundWindow();
+        hwnd = that.native.getForegroundWindow();
     }
 
     if (hwnd !== state.activeWindow) {
@@ -655,15 +996,18 @@ windows.metrics.windowActivated = function (that, eventLog, hwnd) {
             }
 
             if (windowInfo) {
+                windows.metrics.tracking.touch(windowInfo, that.clock.now());
                 that.state.application.currentProcess = {
                     pid: windowInfo.pid,
-                    exe: windows.metrics.genericisePath(windowInfo.exe)
+                    exe: windows.metrics.genericisePath(windowInfo.exe, null, that.config.application.paths)
                 };
 
                 eventLog.setState("app", windowInfo.pid === process.pid ? "active" : null);
                 windows.metrics.logAppActivate(that, windowInfo, true);
             }
         }
+        windows.metrics.appUsage.activate(that, windowInfo ? that.state.application.currentProcess.exe : null);
+        windows.metrics.appCatalogue.activate(that, windowInfo ? windowInfo.pid : null);
     }
     state.activeWindow = hwnd;
 };
@@ -675,51 +1019,47 @@ windows.metrics.windowActivated = function (that, eventLog, hwnd) {
  * @property {String} className The name of the window class.
  * @property {Number} pid The process ID.
  * @property {String} exe The executable name (lower-cased, without the directory)
+ * @property {String} appId The app id, if it's a packaged (UWP) application.
  */
 
 /**
  * Gets some pieces of information about a window.
  *
+ * @param {NativeAdapter} native The native adapter.
  * @param {Number} hwnd The window handle.
  * @return {WindowInfo} Information about the window.
  */
-windows.metrics.getWindowInfo = function (hwnd) {
+windows.metrics.getWindowInfo = function (native, hwnd) {
     var windowInfo = {
         hwnd: hwnd,
-        pid: windows.getWindowProcessId(hwnd),
+        pid: native.getWindowProcessId(hwnd),
         exe: null,
         className: null
     };
 
     if (windowInfo.pid) {
-        windowInfo.exe = windows.getProcessPath(windowInfo.pid);
+        windowInfo.exe = native.getProcessPath(windowInfo.pid);
     } else {
         windowInfo.pid = 0;
     }
 
     if (!windowInfo.exe) {
         windowInfo.exe = "unknown-" + windowInfo.pid.toString(16);
+    } else if (/\\(WindowsApps|SystemApps)\\/i.test(windowInfo.exe)) {
+        windowInfo.appId = native.getAppUserModelId(windowInfo.pid);
     }
 
-    var classBuffer = Buffer.alloc(0xff);
-    var len = windows.user32.GetClassNameW(hwnd, classBuffer, classBuffer.length);
-    if (len > 0) {
-        windowInfo.className = windows.stringFromWideChar(classBuffer);
-    }
+    windowInfo.className = native.getClassName(hwnd);
 
     // For UWP apps, the main window doesn't belong to the real process; the application window is a child.
     var isAppFrame = windowInfo.className === "ApplicationFrameWindow";
     if (isAppFrame && windowInfo.exe && windowInfo.exe.toLowerCase().endsWith("applicationframehost.exe")) {
-        classBuffer = Buffer.alloc(0xff);
-        var child = windows.enumerateWindows(hwnd, function (hwndChild) {
-            if (windows.user32.GetClassNameW(hwndChild, classBuffer, classBuffer.length)) {
-                var cls = windows.stringFromWideChar(classBuffer);
-                return cls === "Windows.UI.Core.CoreWindow" ? hwndChild : undefined;
-            }
+        var child = native.enumerateWindows(hwnd, function (hwndChild) {
+            return native.getClassName(hwndChild) === "Windows.UI.Core.CoreWindow" ? hwndChild : undefined;
         });
         if (child) {
             // Use the info from the child window.
-            windowInfo = windows.metrics.getWindowInfo(child);
+            windowInfo = windows.metrics.getWindowInfo(native, child);
             windowInfo.hwnd = hwnd;
         }
     }
@@ -741,6 +1081,9 @@ windows.metrics.pathEnvironmentNames = [
     "APPDATA",                 // C:\Users\vagrant\AppData\Roaming
     "TEMP",                    // C:\Users\vagrant\AppData\Local\Temp
     "LOCALAPPDATA",            // C:\Users\vagrant\AppData\Local
+    "OneDriveCommercial",      // C:\Users\vagrant\OneDrive - Company
+    "OneDriveConsumer",        // C:\Users\vagrant\OneDrive
+    "OneDrive",                // C:\Users\vagrant\OneDrive
     "HOME",                    // C:\Users\vagrant
     "USERPROFILE",             // C:\Users\vagrant
     "PUBLIC",                  // C:\Users\Public
@@ -748,6 +1091,102 @@ windows.metrics.pathEnvironmentNames = [
     "ALLUSERSPROFILE"          // C:\ProgramData
 ];
 
+/**
+ * The known folders (from HKCU\...\Explorer\Shell Folders) which are added to the path prefixes, because they can be
+ * redirected away from the user's profile. Value name => name used in the genericised path.
+ */
+windows.metrics.knownFolders = {
+    "Personal": "DOCUMENTS",
+    "Desktop": "DESKTOP",
+    "My Pictures": "PICTURES",
+    "My Music": "MUSIC",
+    "My Video": "VIDEOS",
+    "{374DE290-123F-4565-9164-39C4925E467B}": "DOWNLOADS"
+};
+
+/**
+ * Sets the options used by genericisePath: the prefixes from the site config (pathPrefixes, an array of
+ * {prefix, name}), the locations of the known folders, and the user name.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.initPathOptions = function (that) {
+    var paths = that.config.application.paths;
+    paths.prefixes = fluid.makeArray(that.options.siteConfig.pathPrefixes);
+
+    fluid.each(windows.metrics.knownFolders, function (name, valueName) {
+        var folder = that.native.readRegistryKey("HKEY_CURRENT_USER",
+            "Software\\Microsoft\\Windows\\CurrentVersion\\Explorer\\Shell Folders", valueName, "REG_SZ").value;
+        if (folder) {
+            paths.prefixes.push({ prefix: folder, name: name });
+        }
+    });
+
+    paths.username = process.env.USERNAME || null;
+};
+
+/**
+ * Normalises a Windows path: removes the "\\?\" prefix, resolves "." and "..", and upper-cases the drive letter.
+ *
+ * @param {String} rawPath The path.
+ * @return {String} The normalised path.
+ */
+windows.metrics.normalisePath = function (rawPath) {
+    var togo = rawPath.replace(/^\\\\\?\\UNC\\/i, "\\\\").replace(/^\\\\\?\\/, "");
+    togo = path.win32.normalize(togo);
+    return togo.replace(/^[a-z]:/, function (drive) {
+        return drive.toUpperCase();
+    });
+};
+
+/**
+ * Escapes the characters in a string that have a special meaning in a regular expression.
+ *
+ * @param {String} text The text to escape.
+ * @return {String} The escaped text.
+ */
+windows.metrics.escapeRegExp = function (text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
+
+/**
+ * Replaces the user name, and its 8.3 short form, wherever they appear in a path.
+ *
+ * Names shorter than 3 characters are only replaced when they're an entire directory name, otherwise all sorts of
+ * paths would be mangled.
+ *
+ * @param {String} pathIn The path.
+ * @param {String} username The user name.
+ * @return {String} The path, with the user name replaced by "%USERNAME%".
+ */
+windows.metrics.hideUsername = function (pathIn, username) {
+    if (!username) {
+        return pathIn;
+    }
+
+    var patterns = [windows.metrics.escapeRegExp(username)];
+
+    // The 8.3 form is the first 6 valid characters, then "~n".
+    var shortBase = username.replace(/[^A-Za-z0-9_\-!#$%&'@^`{}~]/g, "").toUpperCase();
+    if (shortBase.length > 0 && (username.length > 8 || shortBase !== username.toUpperCase())) {
+        patterns.unshift(windows.metrics.escapeRegExp(shortBase.substr(0, 6)) + "~\\d+");
+    }
+
+    var togo = pathIn;
+    fluid.each(patterns, function (pattern) {
+        var regex = username.length < 3
+            ? new RegExp("(^|\\\\)" + pattern + "(?=\\\\|$)", "gi")
+            : new RegExp("()" + pattern, "gi");
+        // Leave the %VARIABLE% parts alone, in case the path is already genericised.
+        var parts = togo.split(/(%[^%\\]+%)/);
+        togo = fluid.transform(parts, function (part, index) {
+            return index % 2 ? part : part.replace(regex, "$1%USERNAME%");
+        }).join("");
+    });
+
+    return togo;
+};
+
 /**
  * Takes a real path, and attempts to produce a generic looking path which is prefixed with a well-known environment
  * variable instead of the real path.
@@ -757,39 +1196,55 @@ windows.metrics.pathEnvironmentNames = [
  * This is mostly to stop the user name being leaked (eg, `c:\Users\<username>\`), but also makes certain paths look the
  * same when from other systems with different names (such as `C:\Archivos de programa` and `C:\Program Files`)
  *
+ * Paths are matched against the environment variables in pathEnvironmentNames, then the prefixes in options. If
+ * neither match, the server name of a UNC path is replaced with "%SERVER%". Finally, any remaining occurrence of the
+ * user name (eg, "D:\Users\yourname" or "C:\Tools\yourname") is replaced with "%USERNAME%".
+ *
  * @param {String} rawPath The path.
  * @param {Object} env [optional] The environment map (default: process.env)
+ * @param {Object} options [optional] Options:
+ * @param {Array<Object>} options.prefixes Additional prefixes, [{prefix: "C:\\Tools", name: "TOOLS"}].
+ * @param {String} options.username The user name to hide (default: env.USERNAME).
  * @return {String} The path, either as-is or with a matching environment variable name replacing its value.
  */
-windows.metrics.genericisePath = function (rawPath, env) {
+windows.metrics.genericisePath = function (rawPath, env, options) {
     env = env || process.env;
+    options = options || {};
     if (!rawPath) {
         return "";
     }
 
-    var pathMatch = path.normalize(rawPath).toLowerCase();
+    var normalised = windows.metrics.normalisePath(rawPath);
+    var pathMatch = normalised.toLowerCase();
+
+    var matchPrefix = function (prefix, name) {
+        var value = windows.metrics.normalisePath(prefix).replace(/\\+$/, "");
+        var lower = value.toLowerCase();
+        // Match whole directory names only.
+        if (pathMatch.startsWith(lower) && (pathMatch.length === lower.length || pathMatch[lower.length] === "\\")) {
+            return {
+                name: name,
+                value: value
+            };
+        }
+    };
 
     var envFound = fluid.find(windows.metrics.pathEnvironmentNames, function (envName) {
-        if (env[envName]) {
-            var envValue = path.normalize(env[envName]).replace(/\\+$/, "");
-            if (pathMatch.startsWith(envValue.toLowerCase())) {
-                return {
-                    name: envName,
-                    value: envValue
-                };
-            }
-        }
+        return env[envName] ? matchPrefix(env[envName], envName) : undefined;
+    }) || fluid.find(options.prefixes, function (mapping) {
+        return mapping.prefix ? matchPrefix(mapping.prefix, mapping.name) : undefined;
     });
 
     var pathTogo;
     if (envFound) {
-        var ending = path.normalize(rawPath).substr(envFound.value.length);
-        pathTogo = path.join("%" + envFound.name + "%", ending);
+        var ending = normalised.substr(envFound.value.length);
+        pathTogo = path.win32.join("%" + envFound.name + "%", ending);
     } else {
-        pathTogo = rawPath;
+        // \\server\share\... => \\%SERVER%\share\...
+        pathTogo = normalised.replace(/^\\\\[^\\]+\\/, "\\\\%SERVER%\\");
     }
 
-    return pathTogo;
+    return windows.metrics.hideUsername(pathTogo, options.username || env.USERNAME);
 };
 
 /**
@@ -818,32 +1273,47 @@ windows.metrics.startInputMetrics = function (that) {
         disable = "siteConfig";
     };
 
+    // The input mode is chosen per deployment.
+    var config = that.config.input;
+    config.mode = that.options.siteConfig.inputMode || config.mode;
+    config.summaryInterval = that.options.siteConfig.summaryInterval || config.summaryInterval;
+    windows.metrics.readMouseSettings(that);
+
     if (disable) {
         fluid.log(fluid.logLevel.WARN, "Input metrics disabled by " + disable);
-        that.logMetrics("input-disabled", { reason: disable } );
+        that.logMetric("input-disabled", { reason: disable } );
     } else if (process.versions.electron || that.options.forceInputMetrics) {
         var messageWindow = that.getMessageWindow();
-        var keyboard = new windows.RAWINPUTDEVICE();
-
-        keyboard.dwFlags = windows.API_constants.RIDEV_INPUTSINK;
-        keyboard.usUsagePage = 1;
-        // Keyboard code
-        keyboard.usUsage = 6;
-        keyboard.hwndTarget = messageWindow;
-
-        var mouse = new windows.RAWINPUTDEVICE();
-
-        mouse.dwFlags = windows.API_constants.RIDEV_INPUTSINK;
-        mouse.usUsagePage = 1;
-        // Mouse code
-        mouse.usUsage = 2;
-        mouse.hwndTarget = messageWindow;
-
-        var devices = Buffer.alloc(windows.RAWINPUTDEVICE.size * 2);
-        mouse.ref().copy(devices, 0, 0, windows.RAWINPUTDEVICE.size);
-        keyboard.ref().copy(devices, windows.RAWINPUTDEVICE.size, 0, windows.RAWINPUTDEVICE.size);
+        // Also receive WM_INPUT_DEVICE_CHANGE.
+        var flags = windows.API_constants.RIDEV_INPUTSINK | windows.API_constants.RIDEV_DEVNOTIFY;
+
+        that.native.registerRawInputDevices([
+            {
+                flags: flags,
+                usagePage: 1,
+                // Mouse code
+                usage: 2,
+                hwndTarget: messageWindow
+            },
+            {
+                flags: flags,
+                usagePage: 1,
+                // Keyboard code
+                usage: 6,
+                hwndTarget: messageWindow
+            },
+            {
+                flags: flags,
+                // Digitizer: touch screen, for the number of fingers
+                usagePage: 0x0D,
+                usage: 4,
+                hwndTarget: messageWindow
+            }
+        ]);
 
-        windows.user32.RegisterRawInputDevices(devices, 2, windows.RAWINPUTDEVICE.size);
+        if (config.mode === "summary") {
+            windows.metrics.summary.start(that);
+        }
     } else {
         // The keyboard hook's ability to work is a side-effect of running with electron.
         fluid.log(fluid.logLevel.WARN, "Input metrics not available without Electron.");
@@ -853,45 +1323,32 @@ windows.metrics.startInputMetrics = function (that) {
 /**
  * Disables the key stroke metrics.
  *
- * Removes the low-level keyboard hook from the system, and sends the last timings to the log.
+ * Unregisters the raw input devices, and logs the current typing session.
  *
  * @param {Component} that The gpii.windowsMetrics instance.
  */
 windows.metrics.stopInputMetrics = function (that) {
     var state = that.state.input;
     if (state) {
+        windows.metrics.endTypingSession(that);
+        windows.metrics.touch.endInteraction(that);
+        windows.metrics.summary.stop(that);
         if (state.inactivityTimer) {
-            clearTimeout(state.inactivityTimer);
+            that.clock.clearTimeout(state.inactivityTimer);
             state.inactivityTimer = null;
         }
     }
 
     // Unregister RAWINPUT devices
-    var keyboard = new windows.RAWINPUTDEVICE();
-
-    // Flags for removing the keyboard device
-    keyboard.dwFlags =
+    var removeFlags =
         windows.API_constants.RIDEV_INPUTSINK |
         windows.API_constants.RIDEV_REMOVE;
-    keyboard.usUsagePage = 1;
-    keyboard.usUsage = 6;
-    keyboard.hwndTarget = 0;
 
-    var mouse = new windows.RAWINPUTDEVICE();
-
-    // Flags for removing the mouse device
-    mouse.dwFlags =
-        windows.API_constants.RIDEV_INPUTSINK |
-        windows.API_constants.RIDEV_REMOVE;
-    mouse.usUsagePage = 1;
-    mouse.usUsage = 2;
-    mouse.hwndTarget = 0;
-
-    var devices = Buffer.alloc(windows.RAWINPUTDEVICE.size * 2);
-    mouse.ref().copy(devices, 0, 0, windows.RAWINPUTDEVICE.size);
-    keyboard.ref().copy(devices, windows.RAWINPUTDEVICE.size, 0, windows.RAWINPUTDEVICE.size);
-
-    windows.user32.RegisterRawInputDevices(devices, 2, windows.RAWINPUTDEVICE.size);
+    that.native.registerRawInputDevices([
+        { flags: removeFlags, usagePage: 1, usage: 2, hwndTarget: 0 },
+        { flags: removeFlags, usagePage: 1, usage: 6, hwndTarget: 0 },
+        { flags: removeFlags, usagePage: 0x0D, usage: 4, hwndTarget: 0 }
+    ]);
 
     that.keyboardHookHandle = null;
     that.mouseHookHandle = null;
@@ -926,17 +1383,24 @@ windows.metrics.specialKeys = fluid.freezeRecursive((function () {
 
 /**
  * Records the timing of a key press. This only logs the time between two keys being pressed, and not the actual
- * value of the key (unless it's a special key). Characters aren't being recorded.
+ * value of the key (unless it's a special key). Characters aren't being recorded; shortcuts are only identified by
+ * their name in the catalogue (windows.metrics.keys.shortcuts).
  *
  * @param {Component} that The gpii.windowsMetrics instance.
  * @param {Number} timestamp Milliseconds since a fixed point in time.
  * @param {String} specialKey The value key, if it's a special key.
- * @param {String} keyValue Character value of the key.
+ * @param {Number} vkey The virtual key code, used to classify the key (but not logged).
+ * @param {InputDevice} device [optional] The device the key came from.
  */
-windows.metrics.recordKeyTiming = function (that, timestamp, specialKey, keyValue) {
+windows.metrics.recordKeyTiming = function (that, timestamp, specialKey, vkey, device) {
     var state = that.state.input;
     var config = that.config.input;
 
+    var modifiers = windows.metrics.getModifierKeys(that.native);
+    var classification = windows.metrics.keys.classify(vkey, modifiers);
+    // Shortcuts aren't typing.
+    var isSpecial = specialKey || classification.shortcut;
+
     // The time since the last key press
     var keyTime = state.lastKeyTime ? timestamp - state.lastKeyTime : 0;
     if (keyTime > config.sessionTimeout) {
@@ -948,128 +1412,405 @@ windows.metrics.recordKeyTiming = function (that, timestamp, specialKey, keyValu
         keyTime = 0;
     }
 
-    /* "A recordable typing session would be determined only once a threshold of thirty seconds of typing has been
-     * reached and ending after a period of not typing for 60 seconds. (the recorded typing time for calculation would
-     * include the 30 seconds for threshold and exclude the 60 seconds inactivity session end threshold)"
-     */
-    if ((state.keyCount > 1) && !keyTime) {
-        var duration = state.lastKeyTime - state.sessionStart;
-        if (duration > config.minSession && state.keyCount >= config.minSessionKeys) {
-            // Record the typing rate for the last typing session.
-            var data = {
-                duration: duration,
-                count: state.keyCount,
-                corrections: state.specialCount
-            };
-            // Keys per minute.
-            data.rate = Math.round(60000 / data.duration * data.count);
-            that.logMetric("typing-session", data);
-        }
-        state.keyCount = 0;
+    if (state.keyCount && !keyTime) {
+        // The session timer should have already ended it, but the timestamp may have wrapped.
+        windows.metrics.endTypingSession(that);
     }
 
     if (!state.keyCount) {
-        if (!specialKey) {
+        if (!isSpecial) {
             // New typing session.
             state.keyCount = 1;
             state.specialCount = 0;
+            state.keyBreakdown = windows.metrics.keys.createBreakdown();
+            state.sessionDevices = {};
             state.sessionStart = timestamp;
+            windows.metrics.devices.addToBreakdown(state.sessionDevices, device, "keys");
         }
-    } else if (specialKey) {
-        state.specialCount++;
     } else {
-        state.keyCount++;
+        if (isSpecial) {
+            state.specialCount++;
+        } else {
+            state.keyCount++;
+        }
+        windows.metrics.keys.addToBreakdown(state.keyBreakdown, classification);
+        windows.metrics.devices.addToBreakdown(state.sessionDevices, device, "keys");
     }
 
     state.lastKeyTime = timestamp;
 
+    if (state.sessionTimer) {
+        that.clock.clearTimeout(state.sessionTimer);
+        state.sessionTimer = null;
+    }
+    if (state.keyCount) {
+        // End the session if there's no more typing.
+        state.sessionTimer = that.clock.setTimeout(windows.metrics.endTypingSession, config.sessionTimeout, that);
+    }
+
     var record = {
         keyTime: keyTime
     };
 
-    var modifiers = windows.metrics.getModifierKeys();
-    var ctrl = false;
     if (modifiers.length > 0) {
         record.modifierKeys = modifiers;
-        ctrl = modifiers.indexOf("CTRL") > -1;
     }
 
+    var specialName;
     if (specialKey) {
         // Double-check that only certain keys are being recorded (it would be a serious blunder).
         var keycode = parseInt(fluid.keyForValue(windows.metrics.specialKeys, specialKey));
         if (!!keycode && typeof(specialKey) === "string" && specialKey.length > 1) {
             // Not logging the value of specialKey directly.
-            record.key = windows.metrics.specialKeys[keycode];
+            specialName = windows.metrics.specialKeys[keycode];
+            record.key = specialName;
         }
     }
-    if (ctrl) {
-        record.key = keyValue;
+    if (classification.shortcut) {
+        record.shortcut = classification.shortcut;
+    }
+    if (device) {
+        record.device = device.id;
+        record.deviceType = device.type;
     }
 
-    that.logMetric("key-time", record);
+    if (state.summary) {
+        windows.metrics.summary.addKey(state.summary, keyTime, specialName, classification, device);
+    } else {
+        that.logMetric("key-time", record);
+    }
 };
 
 /**
- * Records a mouse event. Movement isn't logged, but the distance is accumulated.
+ * Ends the current typing session, logging it as "typing-session" if it was long enough. Called when the
+ * sessionTimeout has passed since the last key, when the user becomes inactive (or the computer suspends), and when
+ * the metrics stop.
  *
  * @param {Component} that The gpii.windowsMetrics instance.
- * @param {Number} button Mouse button: 0 movement only, 1 for primary (left), 2 for secondary, W for wheel.
- * @param {Object} pos Mouse cursor coordinates, and wheel distance (if applicable) {x, y, wheel}.
  */
-windows.metrics.recordMouseEvent = function (that, button, pos) {
+windows.metrics.endTypingSession = function (that) {
     var state = that.state.input;
+    var config = that.config.input;
+
+    if (state.sessionTimer) {
+        that.clock.clearTimeout(state.sessionTimer);
+        state.sessionTimer = null;
+    }
 
-    if (state.lastPos) {
-        state.distance += Math.sqrt(Math.pow(pos.x, 2) + Math.pow(pos.y, 2));
-        // There have been some very large mouse distances captured (billions of pixels). The cause is unknown, so let's
-        // just ignore anything that's larger than expected [GPII-3878].
-        if (state.distance > 0xffff) {
-            //fluid.log("Dropping large mouse distance");
-            state.distance = 0;
+    /* "A recordable typing session would be determined only once a threshold of thirty seconds of typing has been
+     * reached and ending after a period of not typing for 60 seconds. (the recorded typing time for calculation would
+     * include the 30 seconds for threshold and exclude the 60 seconds inactivity session end threshold)"
+     */
+    if (state.keyCount > 1) {
+        // Ends at the last key, so the idle time before the session ended isn't included.
+        var duration = state.lastKeyTime - state.sessionStart;
+        if (duration > config.minSession && state.keyCount >= config.minSessionKeys) {
+            // Record the typing rate for the last typing session.
+            var breakdown = state.keyBreakdown;
+            var data = {
+                duration: duration,
+                count: state.keyCount,
+                corrections: breakdown.deletion,
+                specialKeys: state.specialCount,
+                navigation: breakdown.navigation,
+                functionKeys: breakdown["function"],
+                shortcuts: breakdown.shortcuts,
+                devices: state.sessionDevices
+            };
+            // Keys per minute.
+            data.rate = Math.round(60000 / data.duration * data.count);
+            that.logMetric("typing-session", data);
         }
     }
+    state.keyCount = 0;
+};
+
+/**
+ * The mouse buttons, and their RAWMOUSE button flags.
+ *
+ * @return {Array<Object>} The buttons: {button, down, up}. button is 1 for primary (left), 2 for secondary, 3 for
+ *  middle, and 4 and 5 for XBUTTON1 and XBUTTON2.
+ */
+windows.metrics.getMouseButtons = function () {
+    var constants = windows.API_constants;
+    return [
+        { button: 1, down: constants.RI_MOUSE_LEFT_BUTTON_DOWN, up: constants.RI_MOUSE_LEFT_BUTTON_UP },
+        { button: 2, down: constants.RI_MOUSE_RIGHT_BUTTON_DOWN, up: constants.RI_MOUSE_RIGHT_BUTTON_UP },
+        { button: 3, down: constants.RI_MOUSE_MIDDLE_BUTTON_DOWN, up: constants.RI_MOUSE_MIDDLE_BUTTON_UP },
+        { button: 4, down: constants.RI_MOUSE_BUTTON_4_DOWN, up: constants.RI_MOUSE_BUTTON_4_UP },
+        { button: 5, down: constants.RI_MOUSE_BUTTON_5_DOWN, up: constants.RI_MOUSE_BUTTON_5_UP }
+    ];
+};
+
+/**
+ * Reads the double-click and drag settings of the user, from the registry.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.readMouseSettings = function (that) {
+    var config = that.config.input;
+    var read = function (path, valueName, current) {
+        var value = parseInt(that.native.readRegistryKey("HKEY_CURRENT_USER", path, valueName, "REG_SZ").value);
+        return isNaN(value) ? current : value;
+    };
 
-    state.lastPos = pos;
+    config.doubleClickTime = read("Control Panel\\Mouse", "DoubleClickSpeed", config.doubleClickTime);
+    config.doubleClickWidth = read("Control Panel\\Mouse", "DoubleClickWidth", config.doubleClickWidth);
+    config.doubleClickHeight = read("Control Panel\\Mouse", "DoubleClickHeight", config.doubleClickHeight);
+    config.dragThreshold = read("Control Panel\\Desktop", "DragWidth", config.dragThreshold);
+};
+
+/**
+ * Converts the wheel data of a RAWMOUSE into the number of notches the wheel has turned. This may be fractional for
+ * high-resolution wheels.
+ *
+ * @param {Number} buttonData The usButtonData field.
+ * @return {Number} The number of notches, negative for backwards (or left).
+ */
+windows.metrics.getWheelNotches = function (buttonData) {
+    // Unsigned to signed
+    var delta = buttonData >= 0x8000 ? buttonData - 0x10000 : buttonData;
+    return Math.round(delta * 100 / windows.API_constants.WHEEL_DELTA) / 100;
+};
+
+/**
+ * Records the mouse input of a WM_INPUT message.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Object} mouse The RAWMOUSE structure.
+ * @param {Number} timestamp The time of the input (from GetMessageTime).
+ * @param {InputDevice} device [optional] The device the input came from.
+ */
+windows.metrics.recordRawMouse = function (that, mouse, timestamp, device) {
+    var constants = windows.API_constants;
+    var flags = mouse.usButtonFlags;
+
+    that.state.input.mouse.device = device;
+
+    var movement = windows.metrics.getMouseMovement(that, mouse);
+    if (movement && (movement.x || movement.y)) {
+        windows.metrics.mouseMoved(that, movement.x, movement.y);
+    }
+
+    fluid.each(windows.metrics.getMouseButtons(), function (button) {
+        if (flags & button.down) {
+            windows.metrics.mouseButtonDown(that, button.button, timestamp);
+        }
+        if (flags & button.up) {
+            windows.metrics.mouseButtonUp(that, button.button, timestamp);
+        }
+    });
+
+    if (flags & constants.RI_MOUSE_WHEEL) {
+        windows.metrics.recordMouseEvent(that, {wheel: windows.metrics.getWheelNotches(mouse.usButtonData)});
+    }
+    if (flags & constants.RI_MOUSE_HWHEEL) {
+        windows.metrics.recordMouseEvent(that, {hwheel: windows.metrics.getWheelNotches(mouse.usButtonData)});
+    }
+};
 
-    // log click or wheel events
-    var data;
-    if (pos.wheel) {
-        data = {wheel: pos.wheel};
-    } else if (button) {
-        data = {
-            button: button,
-            distance: Math.round(state.distance)
+/**
+ * Gets the movement, in screen pixels, of a mouse input.
+ *
+ * For relative devices, the raw values are in device units (mickeys) which don't account for the pointer speed or
+ * acceleration, so the movement of the cursor is used instead (falling back to the raw values). Absolute devices
+ * (tablets, touch screens, remote desktop) report a position normalised to 0-65535 across the primary or virtual
+ * screen, which is converted to pixels and compared with the previous position.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Object} mouse The RAWMOUSE structure.
+ * @return {Object} {x, y} The movement, or null if it's unknown.
+ */
+windows.metrics.getMouseMovement = function (that, mouse) {
+    var constants = windows.API_constants;
+    var state = that.state.input.mouse;
+    var movement = null;
+
+    var cursor = that.native.getCursorPos();
+
+    if (mouse.usFlags & constants.MOUSE_MOVE_ABSOLUTE) {
+        var display = windows.metrics.getDisplayInfo(that);
+        var size = (mouse.usFlags & constants.MOUSE_VIRTUAL_DESKTOP) ? display.virtualScreen : display.resolution;
+        var position = {
+            x: mouse.lLastX * (size.width - 1) / 0xffff,
+            y: mouse.lLastY * (size.height - 1) / 0xffff
         };
-        // reset the distance accumulator
-        state.distance = 0;
+        if (state.lastAbsolute) {
+            movement = {
+                x: position.x - state.lastAbsolute.x,
+                y: position.y - state.lastAbsolute.y
+            };
+        }
+        state.lastAbsolute = position;
+    } else {
+        state.lastAbsolute = null;
+        if (mouse.lLastX || mouse.lLastY) {
+            movement = (cursor && state.lastCursor)
+                ? { x: cursor.x - state.lastCursor.x, y: cursor.y - state.lastCursor.y }
+                : { x: mouse.lLastX, y: mouse.lLastY };
+        }
+    }
+
+    state.lastCursor = cursor;
+    return movement;
+};
+
+/**
+ * Takes the current cursor position as the starting point of the next mouse movement, after input that moved the
+ * cursor but isn't recorded (injected input). Otherwise, the next mouse input would count the jump. (Touch and pen
+ * input are measured with getMouseMovement, which also does this.)
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.skipMouseMovement = function (that) {
+    that.state.input.mouse.lastCursor = that.native.getCursorPos();
+};
+
+/**
+ * Accumulates the mouse movement. Movement isn't logged, but the distance is reported with the next click.
+ *
+ * There have been some very large mouse distances captured (billions of pixels) [GPII-3878], so a movement that's
+ * larger than the screen is discarded and counted.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} x The horizontal movement, in pixels.
+ * @param {Number} y The vertical movement, in pixels.
+ */
+windows.metrics.mouseMoved = function (that, x, y) {
+    var state = that.state.input;
+    var distance = Math.sqrt(Math.pow(x, 2) + Math.pow(y, 2));
+
+    var maxDelta = that.config.input.maxMouseDelta;
+    if (!maxDelta) {
+        var virtualScreen = windows.metrics.getDisplayInfo(that).virtualScreen;
+        maxDelta = Math.sqrt(Math.pow(virtualScreen.width, 2) + Math.pow(virtualScreen.height, 2));
     }
+    if (distance > maxDelta) {
+        state.mouse.discarded++;
+        return;
+    }
+
+    state.distance += distance;
+
+    state.mouse.moved.x += x;
+    state.mouse.moved.y += y;
+    fluid.each(state.mouse.pressed, function (press) {
+        press.drag += distance;
+    });
+};
 
-    if (data) {
-        // Add on the modifier keys.
-        var modifiers = windows.metrics.getModifierKeys();
-        if (modifiers.length > 0) {
-            data.modifierKeys = modifiers;
+/**
+ * Called when a mouse button is pressed. Detects if it's the second click of a double-click: the same button, within
+ * the double-click time, and not having moved out of the double-click area.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} button The button.
+ * @param {Number} timestamp The time of the input.
+ */
+windows.metrics.mouseButtonDown = function (that, button, timestamp) {
+    var mouse = that.state.input.mouse;
+    var config = that.config.input;
+    var last = mouse.lastDown;
+
+    var doubleClick = !!last && last.button === button && (timestamp - last.time) <= config.doubleClickTime &&
+        Math.abs(mouse.moved.x) <= config.doubleClickWidth / 2 &&
+        Math.abs(mouse.moved.y) <= config.doubleClickHeight / 2;
+
+    mouse.pressed[button] = {
+        time: timestamp,
+        drag: 0,
+        doubleClick: doubleClick
+    };
+    // A third click starts another double-click.
+    mouse.lastDown = doubleClick ? null : { button: button, time: timestamp };
+    mouse.moved = {x: 0, y: 0};
+};
+
+/**
+ * Called when a mouse button is released, recording the click along with how long it was held, and the distance it
+ * was dragged.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Number} button The button.
+ * @param {Number} timestamp The time of the input.
+ */
+windows.metrics.mouseButtonUp = function (that, button, timestamp) {
+    var state = that.state.input;
+    var press = state.mouse.pressed[button];
+    delete state.mouse.pressed[button];
+
+    var data = {
+        button: button,
+        distance: Math.round(state.distance),
+        distanceMm: windows.metrics.pixelsToMm(that, state.distance)
+    };
+    if (state.mouse.discarded) {
+        data.discarded = state.mouse.discarded;
+    }
+    // reset the distance accumulator
+    state.distance = 0;
+    state.mouse.discarded = 0;
+
+    // The press may have been before the metrics started.
+    if (press) {
+        data.hold = timestamp - press.time;
+        if (press.drag >= that.config.input.dragThreshold) {
+            data.drag = Math.round(press.drag);
+        }
+        if (press.doubleClick) {
+            data.doubleClick = true;
         }
+    }
+
+    windows.metrics.recordMouseEvent(that, data);
+};
+
+/**
+ * Records a mouse click or wheel event, as a "mouse" metric (or in the input summary).
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Object} data The event: {button, distance, distanceMm, discarded, hold, drag, doubleClick}, {wheel} or
+ *  {hwheel}.
+ */
+windows.metrics.recordMouseEvent = function (that, data) {
+    // Add on the modifier keys.
+    var modifiers = windows.metrics.getModifierKeys(that.native);
+    if (modifiers.length > 0) {
+        data.modifierKeys = modifiers;
+    }
+    var device = that.state.input.mouse.device;
+    if (device) {
+        data.device = device.id;
+        data.deviceType = device.type;
+    }
+    if (that.state.input.summary) {
+        windows.metrics.summary.addMouse(that.state.input.summary, data);
+    } else {
         that.logMetric("mouse", data);
     }
 };
 
 /**
  * Gets the modifier keys that are currently held down.
- * @return {Array<String>} May contain a combination of "CTRL", "ALT", and "SHIFT", identifying which keys are pressed.
+ * @param {NativeAdapter} native The native adapter.
+ * @return {Array<String>} May contain a combination of "SHIFT", "CTRL", "ALT" and "WIN", identifying which keys are
+ *  pressed.
  */
-windows.metrics.getModifierKeys = function ()
+windows.metrics.getModifierKeys = function (native)
 {
     var modifiers = {
         "SHIFT": gpii.windows.API_constants.virtualKeyCodes.VK_SHIFT,
         "CTRL": gpii.windows.API_constants.virtualKeyCodes.VK_CONTROL,
-        "ALT": gpii.windows.API_constants.virtualKeyCodes.VK_MENU
+        "ALT": gpii.windows.API_constants.virtualKeyCodes.VK_MENU,
+        "WIN": [gpii.windows.API_constants.virtualKeyCodes.VK_LWIN, gpii.windows.API_constants.virtualKeyCodes.VK_RWIN]
     };
 
     var togo = [];
 
-    fluid.each(modifiers, function (keycode, name) {
-        var down = windows.user32.GetKeyState(keycode) & 0x8000;
+    fluid.each(modifiers, function (keycodes, name) {
+        var down = fluid.find(fluid.makeArray(keycodes), function (keycode) {
+            return (native.getKeyState(keycode) & 0x8000) ? true : undefined;
+        });
         if (down) {
             togo.push(name);
         }
@@ -1086,17 +1827,23 @@ windows.metrics.getModifierKeys = function ()
 windows.metrics.userInput = function (that) {
     var state = that.state.input;
 
+    state.lastInputTime = that.clock.now();
+
     if (state.inactive) {
         // First input from being inactive.
         state.inactive = false;
         that.events.onActive.fire();
     }
     if (state.inactivityTimer) {
-        clearTimeout(state.inactivityTimer);
+        that.clock.clearTimeout(state.inactivityTimer);
         state.inactivityTimer = null;
     }
 
-    state.inactivityTimer = setTimeout(windows.metrics.userInactive, that.config.input.inactiveTime, that,
+    if (state.summary) {
+        windows.metrics.summary.noteInput(state.summary, that.clock.now(), that.config.input.activeGap);
+    }
+
+    state.inactivityTimer = that.clock.setTimeout(windows.metrics.userInactive, that.config.input.inactiveTime, that,
         that.events.onInactive);
 };
 
@@ -1112,3 +1859,56 @@ windows.metrics.userInactive = function (that, inactiveEvent) {
         inactiveEvent.fire();
     }
 };
+
+/**
+ * Called when the user has become inactive, or the computer is being suspended. The idle period is taken as starting
+ * from the last input, rather than when it was detected.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Object} inactiveInfo [optional] {sleep: true} if the computer is being suspended.
+ */
+windows.metrics.idleStarted = function (that, inactiveInfo) {
+    var state = that.state.input;
+    if (!state.idleStart) {
+        state.idleStart = state.lastInputTime || that.clock.now();
+        state.idleSleep = false;
+    }
+    if (inactiveInfo && inactiveInfo.sleep) {
+        state.idleSleep = true;
+    }
+};
+
+/**
+ * Called when the user is active again, logging the "user-idle" metric for the period of inactivity.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ */
+windows.metrics.idleEnded = function (that) {
+    var state = that.state.input;
+    if (state.idleStart) {
+        windows.metrics.logPeriod(that, "user-idle", state.idleStart, that.clock.now(),
+            state.idleSleep ? {sleep: true} : null);
+        state.idleStart = null;
+        state.idleSleep = false;
+    }
+};
+
+/**
+ * Logs a metric describing a period of time.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {String} eventName The name of the metric.
+ * @param {Number} start The start of the period (ms since epoch). Nothing is logged if this is not set.
+ * @param {Number} end The end of the period.
+ * @param {Object} extra [optional] Additional fields for the metric.
+ */
+windows.metrics.logPeriod = function (that, eventName, start, end, extra) {
+    if (start) {
+        var data = fluid.extend({
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            duration: end - start
+        }, extra);
+        that.logMetric(eventName, data);
+    }
+};
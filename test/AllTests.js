@@ -0,0 +1,30 @@
+/*
+ * Runs all the windowsMetrics patch tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+require("./NativeAdapterTests.js");
+require("./ProcessWatcherTests.js");
+require("./WindowsMetricsTests.js");
+require("./ConfigAttributionTests.js");
+require("./MessageRecorderTests.js");
+require("./MetricsPolicyTests.js");
+require("./LogRotationTests.js");
+require("./MetricsRedactionTests.js");
+require("./MetricsReportTests.js");
+require("./ApplyPatchTests.js");
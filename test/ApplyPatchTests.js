@@ -0,0 +1,292 @@
+/*
+ * Patch applier tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    crypto = require("crypto");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.applyPatch");
+
+var applyPatch = require("../files/applyPatch.js");
+
+jqUnit.module("gpii.tests.metrics.applyPatch");
+
+/**
+ * Gets the SHA-256 of some text.
+ *
+ * @param {String} text The text.
+ * @return {String} The hex hash.
+ */
+gpii.tests.metrics.applyPatch.hash = function (text) {
+    return crypto.createHash("sha256").update(text).digest("hex");
+};
+
+/**
+ * Creates an installed application and a patch for it in a new directory. The patch replaces "lib/a.js", and adds
+ * "lib/b.js".
+ *
+ * @param {Object} files [optional] More files to write, relative to the directory: {path: content}.
+ * @return {Object} The test directories and the manifest: {dir, appRoot, state, manifest, options}.
+ */
+gpii.tests.metrics.applyPatch.setup = function (files) {
+    var hash = gpii.tests.metrics.applyPatch.hash;
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "gpii-applypatch-"));
+    var appRoot = path.join(dir, "app");
+
+    files = Object.assign({
+        "app/package.json": JSON.stringify({ version: "1.0.0" }),
+        "app/lib/a.js": "original a",
+        "patch/a.js": "patched a",
+        "patch/b.js": "patched b",
+        "patch/manifest.json": JSON.stringify({
+            name: "test-patch",
+            version: "1",
+            appVersion: "1.0.0",
+            appRoot: appRoot,
+            files: [{
+                source: "a.js",
+                target: "lib/a.js",
+                hash: hash("patched a"),
+                original: [hash("original a")]
+            }, {
+                source: "b.js",
+                target: "lib/b.js",
+                hash: hash("patched b"),
+                original: [null]
+            }]
+        })
+    }, files);
+
+    fluid.each(files, function (content, file) {
+        applyPatch.makeDir(path.dirname(path.join(dir, file)));
+        fs.writeFileSync(path.join(dir, file), content);
+    });
+
+    var togo = {
+        dir: dir,
+        appRoot: appRoot,
+        state: path.join(dir, "state"),
+        manifest: applyPatch.readManifest(path.join(dir, "patch/manifest.json"))
+    };
+    togo.options = {
+        root: appRoot,
+        state: togo.state
+    };
+    return togo;
+};
+
+/**
+ * Reads a file of the application.
+ *
+ * @param {Object} test The result of gpii.tests.metrics.applyPatch.setup.
+ * @param {String} file The file, relative to the application directory.
+ * @return {String} The content, or null if it doesn't exist.
+ */
+gpii.tests.metrics.applyPatch.readAppFile = function (test, file) {
+    var fullPath = path.join(test.appRoot, file);
+    return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf8") : null;
+};
+
+/**
+ * Reads the results of the ledger entries.
+ *
+ * @param {Object} test The result of gpii.tests.metrics.applyPatch.setup.
+ * @return {Array<String>} The action and result of each entry, like "apply: applied".
+ */
+gpii.tests.metrics.applyPatch.readLedger = function (test) {
+    var file = path.join(test.state, "ledger.json");
+    return fs.existsSync(file)
+        ? fs.readFileSync(file, "utf8").trim().split("\n").map(function (line) {
+            var entry = JSON.parse(line);
+            return entry.action + ": " + entry.result;
+        })
+        : [];
+};
+
+/**
+ * Applies the patch, expecting it to fail.
+ *
+ * @param {Object} test The result of gpii.tests.metrics.applyPatch.setup.
+ * @return {Error} The error.
+ */
+gpii.tests.metrics.applyPatch.applyFails = function (test) {
+    var error;
+    try {
+        applyPatch.apply(test.manifest, test.options);
+    } catch (e) {
+        error = e;
+    }
+    jqUnit.assertValue("Applying the patch should fail", error);
+    return error;
+};
+
+/**
+ * Runs a test on a new directory, removing it afterwards.
+ *
+ * @param {String} name The test name.
+ * @param {Object} files [optional] More files for gpii.tests.metrics.applyPatch.setup.
+ * @param {Function} testFn Called with the result of gpii.tests.metrics.applyPatch.setup.
+ */
+gpii.tests.metrics.applyPatch.test = function (name, files, testFn) {
+    jqUnit.test(name, function () {
+        var test = gpii.tests.metrics.applyPatch.setup(files);
+        try {
+            testFn(test);
+        } finally {
+            applyPatch.removeDir(test.dir);
+        }
+    });
+};
+
+gpii.tests.metrics.applyPatch.test("Testing apply and rollback", null, function (test) {
+    var read = gpii.tests.metrics.applyPatch.readAppFile;
+
+    jqUnit.assertEquals("The patch should be applied", "applied", applyPatch.apply(test.manifest, test.options));
+    jqUnit.assertEquals("The file should be replaced", "patched a", read(test, "lib/a.js"));
+    jqUnit.assertEquals("The file should be added", "patched b", read(test, "lib/b.js"));
+    jqUnit.assertEquals("The original should be backed up", "original a",
+        fs.readFileSync(path.join(test.state, "test-patch/files/lib/a.js"), "utf8"));
+    jqUnit.assertEquals("The status should show the files are patched", [
+        "test-patch 1 for 1.0.0 (installed: 1.0.0)",
+        "  patched: lib/a.js",
+        "  patched: lib/b.js",
+        "  (backup present)"
+    ].join("\n"), applyPatch.status(test.manifest, test.options));
+
+    jqUnit.assertEquals("Applying the patch again should do nothing", "already applied",
+        applyPatch.apply(test.manifest, test.options));
+    jqUnit.assertEquals("The original should still be backed up", "original a",
+        fs.readFileSync(path.join(test.state, "test-patch/files/lib/a.js"), "utf8"));
+
+    jqUnit.assertEquals("The patch should be rolled back", "rolled back",
+        applyPatch.rollback(test.manifest, test.options));
+    jqUnit.assertEquals("The file should be restored", "original a", read(test, "lib/a.js"));
+    jqUnit.assertNull("The added file should be removed", read(test, "lib/b.js"));
+    jqUnit.assertFalse("The backup should be removed", fs.existsSync(path.join(test.state, "test-patch")));
+    jqUnit.assertEquals("Rolling back again should do nothing", "not applied",
+        applyPatch.rollback(test.manifest, test.options));
+
+    jqUnit.assertDeepEq("Each action should be in the ledger",
+        ["apply: applied", "apply: already applied", "rollback: rolled back"],
+        gpii.tests.metrics.applyPatch.readLedger(test));
+});
+
+gpii.tests.metrics.applyPatch.test("Testing a different application version is refused", {
+    "app/package.json": JSON.stringify({ version: "1.1.0" })
+}, function (test) {
+    var error = gpii.tests.metrics.applyPatch.applyFails(test);
+    jqUnit.assertTrue("The patch should be refused", error.refused);
+    jqUnit.assertEquals("The reason should be the version",
+        "The patch is for version 1.0.0, but " + test.appRoot + " is 1.1.0", error.message);
+    jqUnit.assertEquals("The file should be unchanged", "original a",
+        gpii.tests.metrics.applyPatch.readAppFile(test, "lib/a.js"));
+    jqUnit.assertDeepEq("The refusal should be in the ledger", ["apply: refused"],
+        gpii.tests.metrics.applyPatch.readLedger(test));
+});
+
+gpii.tests.metrics.applyPatch.test("Testing a patch file that doesn't match its hash is refused", {
+    "patch/b.js": "tampered b"
+}, function (test) {
+    var error = gpii.tests.metrics.applyPatch.applyFails(test);
+    jqUnit.assertTrue("The patch should be refused", error.refused);
+    jqUnit.assertEquals("The reason should be the patch file",
+        "The patch file b.js is missing or doesn't match the manifest", error.message);
+    jqUnit.assertEquals("The file should be unchanged", "original a",
+        gpii.tests.metrics.applyPatch.readAppFile(test, "lib/a.js"));
+    jqUnit.assertNull("The file should not be added", gpii.tests.metrics.applyPatch.readAppFile(test, "lib/b.js"));
+    jqUnit.assertFalse("Nothing should be backed up", fs.existsSync(path.join(test.state, "test-patch")));
+});
+
+gpii.tests.metrics.applyPatch.test("Testing an unexpected original is refused", {
+    "app/lib/a.js": "modified a"
+}, function (test) {
+    var error = gpii.tests.metrics.applyPatch.applyFails(test);
+    jqUnit.assertTrue("The patch should be refused", error.refused);
+    jqUnit.assertEquals("The file should be unchanged", "modified a",
+        gpii.tests.metrics.applyPatch.readAppFile(test, "lib/a.js"));
+});
+
+gpii.tests.metrics.applyPatch.test("Testing the original moved aside by an earlier fix", {
+    // The earlier fix moved the original to a.js.old, and copied its own file over it.
+    "app/lib/a.js": "earlier fix of a",
+    "app/lib/a.js.old": "original a"
+}, function (test) {
+    var read = gpii.tests.metrics.applyPatch.readAppFile;
+
+    jqUnit.assertEquals("The status should show the earlier fix", [
+        "test-patch 1 for 1.0.0 (installed: 1.0.0)",
+        "  replaced by an earlier fix: lib/a.js",
+        "  absent: lib/b.js"
+    ].join("\n"), applyPatch.status(test.manifest, test.options));
+
+    jqUnit.assertEquals("The patch should be applied", "applied", applyPatch.apply(test.manifest, test.options));
+    jqUnit.assertEquals("The file should be replaced", "patched a", read(test, "lib/a.js"));
+    jqUnit.assertEquals("The moved original should be backed up", "original a",
+        fs.readFileSync(path.join(test.state, "test-patch/files/lib/a.js"), "utf8"));
+
+    jqUnit.assertEquals("The patch should be rolled back", "rolled back",
+        applyPatch.rollback(test.manifest, test.options));
+    jqUnit.assertEquals("The original should be restored, rather than the earlier fix", "original a",
+        read(test, "lib/a.js"));
+});
+
+gpii.tests.metrics.applyPatch.test("Testing a failure while replacing the files", null, function (test) {
+    var hash = gpii.tests.metrics.applyPatch.hash;
+    // A file whose directory doesn't exist can't be written, after lib/a.js has been replaced.
+    test.manifest.files.push({
+        source: "b.js",
+        target: "missing/c.js",
+        hash: hash("patched b"),
+        original: [null]
+    });
+
+    var error = gpii.tests.metrics.applyPatch.applyFails(test);
+    jqUnit.assertFalse("The patch should fail, rather than be refused", error.refused);
+    jqUnit.assertTrue("The failure should be writing the file", error.message.includes("c.js.patch-tmp"));
+    jqUnit.assertEquals("The replaced file should be restored", "original a",
+        gpii.tests.metrics.applyPatch.readAppFile(test, "lib/a.js"));
+    jqUnit.assertNull("The added file should be removed", gpii.tests.metrics.applyPatch.readAppFile(test, "lib/b.js"));
+    jqUnit.assertDeepEq("The failure should be in the ledger", ["apply: failed"],
+        gpii.tests.metrics.applyPatch.readLedger(test));
+});
+
+gpii.tests.metrics.applyPatch.test("Testing rollback of files changed since the patch", null, function (test) {
+    jqUnit.assertEquals("The patch should be applied", "applied", applyPatch.apply(test.manifest, test.options));
+
+    // An update of the application replaces one of the patched files.
+    fs.writeFileSync(path.join(test.appRoot, "lib/b.js"), "updated b");
+
+    jqUnit.assertEquals("The patch should be rolled back", "rolled back",
+        applyPatch.rollback(test.manifest, test.options));
+    jqUnit.assertEquals("The unchanged file should be restored", "original a",
+        gpii.tests.metrics.applyPatch.readAppFile(test, "lib/a.js"));
+    jqUnit.assertEquals("The changed file should be left alone", "updated b",
+        gpii.tests.metrics.applyPatch.readAppFile(test, "lib/b.js"));
+
+    var ledger = fs.readFileSync(path.join(test.state, "ledger.json"), "utf8").trim().split("\n");
+    jqUnit.assertDeepEq("The ledger should record what was done to each file", [
+        { target: "lib/a.js", result: "restored" },
+        { target: "lib/b.js", result: "skipped" }
+    ], JSON.parse(ledger[ledger.length - 1]).files);
+});
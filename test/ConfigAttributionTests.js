@@ -0,0 +1,177 @@
+/*
+ * Configuration change attribution tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.attribution");
+
+require("./simulatedNative.js");
+require("../files/windowsMetrics.js");
+
+// Use the simulated native adapter (gpii.windowsMetrics.test).
+fluid.contextAware.makeChecks({
+    "gpii.contexts.test": {
+        value: true
+    }
+});
+
+jqUnit.module("gpii.tests.metrics.attribution");
+
+// The metrics, alongside a lifecycle manager, like they are in the flow manager.
+fluid.defaults("gpii.tests.metrics.attribution.gpii", {
+    gradeNames: ["fluid.component"],
+    components: {
+        lifecycleManager: {
+            type: "fluid.component",
+            options: {
+                gradeNames: ["gpii.tests.metrics.attribution.lifecycleManager"]
+            }
+        },
+        eventLog: {
+            type: "fluid.component",
+            options: {
+                gradeNames: ["gpii.windowsMetrics", "gpii.eventLog"],
+                members: {
+                    metrics: []
+                },
+                listeners: {
+                    "onMetric.record": {
+                        funcName: "gpii.tests.metrics.attribution.recordMetric",
+                        args: ["{that}", "{arguments}.0", "{arguments}.1"]
+                    }
+                }
+            }
+        }
+    }
+});
+
+// Stands in for gpii.lifecycleManager, with the events the metrics listen to.
+fluid.defaults("gpii.tests.metrics.attribution.lifecycleManager", {
+    gradeNames: ["fluid.component"],
+    events: {
+        onSessionStart: null,
+        onSessionSnapshotUpdate: null,
+        onSessionStop: null
+    }
+});
+
+gpii.tests.metrics.attribution.recordMetric = function (that, eventName, data) {
+    that.metrics.push({ eventName: eventName, data: data });
+};
+
+/**
+ * Gets the "config.*" metric logged for the last configuration change, and clears the recorded metrics.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @return {Object} The data of the metric.
+ */
+gpii.tests.metrics.attribution.takeConfigMetric = function (that) {
+    var metric = fluid.find(that.metrics, function (metric) {
+        return metric.eventName === "config.spi" ? metric.data : undefined;
+    });
+    that.metrics.length = 0;
+    return metric;
+};
+
+/**
+ * Runs each step in turn, allowing the configuration messages (which are handled on the next tick) to be processed
+ * between them.
+ *
+ * @param {Array<Function>} steps The steps.
+ */
+gpii.tests.metrics.attribution.runSteps = function (steps) {
+    var step = steps.shift();
+    if (step) {
+        step();
+        setTimeout(gpii.tests.metrics.attribution.runSteps, 10, steps);
+    }
+};
+
+jqUnit.asyncTest("Testing configuration change attribution", function () {
+    var gpiiComponent = gpii.tests.metrics.attribution.gpii();
+    var lifecycleManager = gpiiComponent.lifecycleManager;
+    var that = gpiiComponent.eventLog;
+    var sim = that.native;
+
+    that.events.onStartMetrics.fire();
+
+    var expectSource = function (expected) {
+        var metric = gpii.tests.metrics.attribution.takeConfigMetric(that);
+        jqUnit.assertValue("The configuration change should be logged", metric);
+        jqUnit.assertEquals("The change should be attributed to " + expected, expected, metric.source);
+    };
+
+    // SPI_SETMOUSESPEED
+    var mouseSpeed = 0x71;
+
+    gpii.tests.metrics.attribution.runSteps([
+        function () {
+            // No recent activity.
+            sim.systemParametersInfo(mouseSpeed, 11);
+        },
+        function () {
+            expectSource("unknown");
+
+            // A key-in.
+            lifecycleManager.events.onSessionStart.fire("gpii.lifecycleManager.userSession", "testKey");
+            jqUnit.assertEquals("GPII's activity should be noted when the session starts", that.clock.now(),
+                that.state.attribution.lastGpii);
+            sim.systemParametersInfo(mouseSpeed, 20);
+        },
+        function () {
+            expectSource("gpii");
+
+            // The attribution window passes, and the user changes it back.
+            that.clock.advance(that.config.attribution.window + 1);
+            sim.sendKey(0x41, { up: false });
+            sim.sendKey(0x41);
+        },
+        function () {
+            that.metrics.length = 0;
+            sim.systemParametersInfo(mouseSpeed, 11);
+        },
+        function () {
+            var reverted = fluid.find(that.metrics, function (metric) {
+                return metric.eventName === "config.reverted" ? metric.data : undefined;
+            });
+            expectSource("user");
+
+            jqUnit.assertValue("The setting should be logged as reverted", reverted);
+            jqUnit.assertEquals("The revert should be attributed to the user", "user", reverted.source);
+            jqUnit.assertEquals("The reverted setting should be logged", "mouseSpeed", reverted.setting);
+            jqUnit.assertEquals("The reverted value should be logged", 11, reverted.value);
+
+            that.clock.advance(1000);
+            lifecycleManager.events.onSessionSnapshotUpdate.fire(lifecycleManager, {}, {});
+            jqUnit.assertEquals("GPII's activity should be noted when settings are applied", that.clock.now(),
+                that.state.attribution.lastGpii);
+
+            that.clock.advance(1000);
+            lifecycleManager.events.onSessionStop.fire(lifecycleManager, {});
+            jqUnit.assertEquals("GPII's activity should be noted when the session stops", that.clock.now(),
+                that.state.attribution.lastGpii);
+
+            gpiiComponent.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
@@ -0,0 +1,269 @@
+/*
+ * Log rotation tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    zlib = require("zlib");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.logRotation");
+
+require("./simulatedNative.js");
+require("../files/windowsMetrics.js");
+
+// Use the simulated native adapter (gpii.windowsMetrics.test).
+fluid.contextAware.makeChecks({
+    "gpii.contexts.test": {
+        value: true
+    }
+});
+
+jqUnit.module("gpii.tests.metrics.logRotation");
+
+// The metrics component, with the event log written to a file.
+fluid.defaults("gpii.tests.metrics.logRotation.metrics", {
+    gradeNames: ["fluid.component", "gpii.windowsMetrics", "gpii.eventLog"],
+    siteConfig: {
+        logRotation: {
+            maxSize: 1000,
+            maxAge: 86400000,
+            maxFiles: 4,
+            compress: false,
+            checkInterval: 60000
+        }
+    }
+});
+
+/**
+ * Creates the metrics component, logging to "log-current.txt" in a new directory.
+ *
+ * @param {Object} logRotation [optional] More log rotation options.
+ * @return {Component} The gpii.tests.metrics.logRotation.metrics instance, with `dir` and `logFile` members.
+ */
+gpii.tests.metrics.logRotation.createMetrics = function (logRotation) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "gpii-logrotation-"));
+    var logFile = path.join(dir, "log-current.txt");
+    var that = gpii.tests.metrics.logRotation.metrics({
+        logDestination: logFile,
+        siteConfig: {
+            logRotation: logRotation
+        },
+        members: {
+            dir: dir,
+            logFile: logFile
+        }
+    });
+    // Start with an empty log.
+    fs.writeFileSync(logFile, "");
+    return that;
+};
+
+/**
+ * Writes a log file, with a modification time in the past (according to the component's clock).
+ *
+ * @param {Component} that The gpii.tests.metrics.logRotation.metrics instance.
+ * @param {String} name The file name.
+ * @param {String} content The content.
+ * @param {Number} age How old the file is, in milliseconds.
+ */
+gpii.tests.metrics.logRotation.writeFile = function (that, name, content, age) {
+    var file = path.join(that.dir, name);
+    fs.writeFileSync(file, content);
+    var mtime = (that.clock.now() - age) / 1000;
+    fs.utimesSync(file, mtime, mtime);
+};
+
+/**
+ * Removes the component and its directory.
+ *
+ * @param {Component} that The gpii.tests.metrics.logRotation.metrics instance.
+ */
+gpii.tests.metrics.logRotation.cleanUp = function (that) {
+    var dir = that.dir;
+    that.destroy();
+    fluid.each(fs.readdirSync(dir), function (name) {
+        fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+};
+
+/**
+ * Lists the files in the component's directory.
+ *
+ * @param {Component} that The gpii.tests.metrics.logRotation.metrics instance.
+ * @return {Array<String>} The file names, sorted.
+ */
+gpii.tests.metrics.logRotation.listFiles = function (that) {
+    return fs.readdirSync(that.dir).sort();
+};
+
+jqUnit.asyncTest("Testing rotation by size", function () {
+    var that = gpii.tests.metrics.logRotation.createMetrics();
+    var content = "x".repeat(999) + "\n";
+    fs.writeFileSync(that.logFile, content);
+
+    that.logRotation.check().then(function (result) {
+        var rotated = path.join(that.dir, result.rotated);
+        jqUnit.assertTrue("The rotated file should be named after the current one",
+            /^log-current-rotated-\d{8}T\d{6}Z\.txt$/.test(result.rotated));
+        jqUnit.assertEquals("The rotated file should have the log's content", content,
+            fs.readFileSync(rotated, "utf8"));
+        jqUnit.assertEquals("The size should be logged", 1000, result.size);
+        jqUnit.assertFalse("The current log should have been truncated, before the rotation metric was written",
+            fs.readFileSync(that.logFile, "utf8").indexOf("xxx") > -1);
+        jqUnit.assertTrue("The current log should keep being written to", fs.existsSync(that.logFile));
+
+        fs.writeFileSync(that.logFile, "small\n");
+        that.logRotation.check().then(function (result) {
+            jqUnit.assertNull("A log under the size limit shouldn't be rotated", result.rotated);
+            gpii.tests.metrics.logRotation.cleanUp(that);
+            jqUnit.start();
+        });
+    }, function (err) {
+        jqUnit.fail(err.message);
+    });
+});
+
+jqUnit.asyncTest("Testing rotation with gzip", function () {
+    var that = gpii.tests.metrics.logRotation.createMetrics({ compress: true });
+    var content = "y".repeat(2000) + "\n";
+    fs.writeFileSync(that.logFile, content);
+
+    that.logRotation.check().then(function (result) {
+        jqUnit.assertTrue("The rotated file should be compressed", /-rotated-.*\.txt\.gz$/.test(result.rotated));
+        var compressed = fs.readFileSync(path.join(that.dir, result.rotated));
+        jqUnit.assertEquals("The compressed file should have the log's content", content,
+            zlib.gunzipSync(compressed).toString("utf8"));
+        jqUnit.assertEquals("The compressed size should be logged", compressed.length, result.compressedSize);
+        jqUnit.assertDeepEq("Only the compressed copy should remain", [result.rotated, "log-current.txt"],
+            gpii.tests.metrics.logRotation.listFiles(that));
+
+        gpii.tests.metrics.logRotation.cleanUp(that);
+        jqUnit.start();
+    }, function (err) {
+        jqUnit.fail(err.message);
+    });
+});
+
+jqUnit.asyncTest("Testing removal by age", function () {
+    var that = gpii.tests.metrics.logRotation.createMetrics();
+    var day = 86400000;
+    gpii.tests.metrics.logRotation.writeFile(that, "log-old.txt", "old\n", day * 2);
+    gpii.tests.metrics.logRotation.writeFile(that, "log-current-rotated-20200101T000000Z.txt.gz", "old\n", day + 1);
+    gpii.tests.metrics.logRotation.writeFile(that, "log-recent.txt", "recent\n", day - 1000);
+    gpii.tests.metrics.logRotation.writeFile(that, "other.txt", "not a log\n", day * 10);
+
+    that.logRotation.check().then(function (result) {
+        jqUnit.assertDeepEq("The old log files should be removed",
+            ["log-current-rotated-20200101T000000Z.txt.gz", "log-old.txt"], result.pruned.sort());
+        jqUnit.assertEquals("The freed space should be logged", 8, result.freed);
+        jqUnit.assertDeepEq("The recent log, and other files, should remain",
+            ["log-current.txt", "log-recent.txt", "other.txt"], gpii.tests.metrics.logRotation.listFiles(that));
+
+        gpii.tests.metrics.logRotation.cleanUp(that);
+        jqUnit.start();
+    }, function (err) {
+        jqUnit.fail(err.message);
+    });
+});
+
+jqUnit.asyncTest("Testing the number of files kept", function () {
+    var that = gpii.tests.metrics.logRotation.createMetrics();
+    for (var n = 1; n <= 5; n++) {
+        // log-1.txt is the newest.
+        gpii.tests.metrics.logRotation.writeFile(that, "log-" + n + ".txt", "log\n", n * 1000);
+    }
+
+    that.logRotation.check().then(function (result) {
+        jqUnit.assertDeepEq("The oldest files beyond the limit should be removed", ["log-4.txt", "log-5.txt"],
+            result.pruned.sort());
+        jqUnit.assertDeepEq("The current log and the newest should be kept",
+            ["log-1.txt", "log-2.txt", "log-3.txt", "log-current.txt"], gpii.tests.metrics.logRotation.listFiles(that));
+
+        gpii.tests.metrics.logRotation.cleanUp(that);
+        jqUnit.start();
+    }, function (err) {
+        jqUnit.fail(err.message);
+    });
+});
+
+jqUnit.asyncTest("Testing the current log is never removed", function () {
+    var that = gpii.tests.metrics.logRotation.createMetrics({ maxFiles: 1 });
+    // Older than the others, and older than the maximum age.
+    fs.writeFileSync(that.logFile, "current\n");
+    var mtime = (that.clock.now() - 86400000 * 100) / 1000;
+    fs.utimesSync(that.logFile, mtime, mtime);
+    gpii.tests.metrics.logRotation.writeFile(that, "log-newer.txt", "newer\n", 1000);
+
+    that.logRotation.check().then(function (result) {
+        jqUnit.assertDeepEq("Only the other log should be removed", ["log-newer.txt"], result.pruned);
+        jqUnit.assertTrue("The current log should remain", fs.readFileSync(that.logFile, "utf8").startsWith("current"));
+
+        gpii.tests.metrics.logRotation.cleanUp(that);
+        jqUnit.start();
+    }, function (err) {
+        jqUnit.fail(err.message);
+    });
+});
+
+jqUnit.test("Testing the timer is driven by the clock", function () {
+    var that = gpii.tests.metrics.logRotation.createMetrics();
+    var checks = 0;
+    that.logRotation.check = function () {
+        checks++;
+    };
+
+    that.events.onStartMetrics.fire();
+    jqUnit.assertEquals("The logs should be checked when the metrics start", 1, checks);
+    that.clock.advance(59999);
+    jqUnit.assertEquals("The logs shouldn't be checked before the interval", 1, checks);
+    that.clock.advance(1);
+    jqUnit.assertEquals("The logs should be checked after the interval", 2, checks);
+
+    that.events.onStopMetrics.fire();
+    that.clock.advance(60000);
+    jqUnit.assertEquals("The logs shouldn't be checked once the metrics stop", 2, checks);
+
+    gpii.tests.metrics.logRotation.cleanUp(that);
+});
+
+jqUnit.asyncTest("Testing there's no rotation without a log file", function () {
+    var that = gpii.tests.metrics.logRotation.metrics();
+    jqUnit.assertNull("The event log shouldn't be written to a file", that.logPath);
+
+    that.logRotation.check().then(function () {
+        jqUnit.fail("The check should reject without a log file");
+    }, function (err) {
+        jqUnit.assertTrue("The check should reject with an error", err.isError);
+
+        that.logPath = "gpii";
+        that.logRotation.check().then(function () {
+            jqUnit.fail("The check should reject with a relative path");
+        }, function (err) {
+            jqUnit.assertTrue("The check should reject a relative path", err.message.indexOf("isn't absolute") > -1);
+            that.logPath = null;
+            that.destroy();
+            jqUnit.start();
+        });
+    });
+});
@@ -0,0 +1,273 @@
+/*
+ * Message recorder tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.messageRecorder");
+
+require("./simulatedNative.js");
+require("../files/windowsMetrics.js");
+
+// Use the simulated native adapter (gpii.windowsMetrics.test).
+fluid.contextAware.makeChecks({
+    "gpii.contexts.test": {
+        value: true
+    }
+});
+
+jqUnit.module("gpii.tests.metrics.messageRecorder");
+
+// The recording of a session, and the metrics it produces.
+gpii.tests.metrics.messageRecorder.recording = path.join(__dirname, "data", "session.jsonl");
+gpii.tests.metrics.messageRecorder.golden = path.join(__dirname, "data", "session.golden.jsonl");
+
+// The metrics component, with a fixed salt so the hashed fields match the golden output.
+fluid.defaults("gpii.tests.metrics.messageRecorder.metrics", {
+    gradeNames: ["fluid.component", "gpii.windowsMetrics", "gpii.eventLog"],
+    siteConfig: {
+        redaction: {
+            salt: "gpii.tests.metrics.messageRecorder"
+        }
+    }
+});
+
+/**
+ * Reads a JSONL file.
+ *
+ * @param {String} file The file.
+ * @return {Array<Object>} The parsed lines.
+ */
+gpii.tests.metrics.messageRecorder.readLines = function (file) {
+    return fs.readFileSync(file, "utf8").split("\n").filter(function (line) {
+        return line.trim();
+    }).map(function (line) {
+        return JSON.parse(line);
+    });
+};
+
+/**
+ * Drives a session in the simulated Windows: an application is launched, some typing and clicking, a setting
+ * changed, and the application closed. Time moves on between each step, so the typing session ends by its timeout.
+ *
+ * @param {Component} that The gpii.windowsMetrics instance.
+ * @param {Function} callback Called when the session is over.
+ */
+gpii.tests.metrics.messageRecorder.playSession = function (that, callback) {
+    var sim = that.native;
+    var constants = gpii.windows.API_constants;
+    var steps = [
+        function () {
+            sim.startProcess(500, "C:\\Windows\\notepad.exe");
+            sim.activateWindow(sim.createWindow({ pid: 500, className: "Notepad" }));
+        }
+    ];
+
+    for (var n = 0; n < 12; n++) {
+        steps.push(function () {
+            sim.advanceTime(4000);
+            sim.sendKey(0x41, { up: false });
+            sim.sendKey(0x41);
+        });
+    }
+
+    steps.push(function () {
+        sim.advanceTime(2000);
+        sim.sendMouse({ usButtonFlags: constants.RI_MOUSE_LEFT_BUTTON_DOWN });
+        sim.sendMouse({ usButtonFlags: constants.RI_MOUSE_LEFT_BUTTON_UP });
+    }, function () {
+        // SPI_SETMOUSESPEED
+        sim.systemParametersInfo(0x71, 15);
+    }, function () {
+        // The typing session times out.
+        sim.advanceTime(70000);
+        sim.exitProcess(500);
+        sim.advanceTime(that.processWatcher.options.pollInterval);
+    });
+
+    var playNext = function () {
+        var step = steps.shift();
+        if (step) {
+            step();
+            setImmediate(playNext);
+        } else {
+            callback();
+        }
+    };
+    playNext();
+};
+
+/**
+ * Creates the metrics component, starting the metrics at the given time.
+ *
+ * @param {Number} startTime The time of the simulated clock.
+ * @param {Object} siteConfig [optional] More site config.
+ * @return {Component} The gpii.tests.metrics.messageRecorder.metrics instance.
+ */
+gpii.tests.metrics.messageRecorder.createMetrics = function (startTime, siteConfig) {
+    var that = gpii.tests.metrics.messageRecorder.metrics({
+        simulation: {
+            clockTime: startTime
+        },
+        siteConfig: siteConfig
+    });
+    that.events.onStartMetrics.fire();
+    return that;
+};
+
+jqUnit.asyncTest("Testing replaying a recording: golden output", function () {
+    var entries = gpii.tests.metrics.messageRecorder.readLines(gpii.tests.metrics.messageRecorder.recording);
+    var expected = gpii.tests.metrics.messageRecorder.readLines(gpii.tests.metrics.messageRecorder.golden);
+
+    var that = gpii.tests.metrics.messageRecorder.createMetrics(entries[0].t);
+    var output = path.join(os.tmpdir(), "gpii-metrics-replay-" + process.pid + ".jsonl");
+
+    that.replayMessages(gpii.tests.metrics.messageRecorder.recording, { output: output }).then(function (metrics) {
+        jqUnit.assertDeepEq("The metrics should match the golden output", expected, metrics);
+        jqUnit.assertDeepEq("The metrics should be written to the output", expected,
+            gpii.tests.metrics.messageRecorder.readLines(output));
+
+        var sessions = metrics.filter(function (metric) {
+            return metric.event === "typing-session";
+        });
+        jqUnit.assertEquals("The typing session should end by its timeout, during the replay", 1, sessions.length);
+
+        fs.unlinkSync(output);
+        that.destroy();
+        jqUnit.start();
+    }, function (err) {
+        jqUnit.fail(err.message);
+    });
+});
+
+jqUnit.asyncTest("Testing replaying a recording at a speed, with the simulated clock", function () {
+    var entries = gpii.tests.metrics.messageRecorder.readLines(gpii.tests.metrics.messageRecorder.recording);
+    var expected = gpii.tests.metrics.messageRecorder.readLines(gpii.tests.metrics.messageRecorder.golden);
+    var speed = 2000;
+    var duration = (entries[entries.length - 1].t - entries[0].t) / speed;
+
+    var that = gpii.tests.metrics.messageRecorder.createMetrics(entries[0].t);
+    var started = Date.now();
+
+    that.replayMessages(gpii.tests.metrics.messageRecorder.recording, { speed: speed }).then(function (metrics) {
+        jqUnit.assertTrue("The recording should take its duration, at the speed", Date.now() - started >= duration);
+        jqUnit.assertDeepEq("The metrics should match the golden output", expected, metrics);
+
+        that.destroy();
+        jqUnit.start();
+    }, function (err) {
+        jqUnit.fail(err.message);
+    });
+});
+
+jqUnit.asyncTest("Testing replaying a recording with the system clock", function () {
+    var entries = gpii.tests.metrics.messageRecorder.readLines(gpii.tests.metrics.messageRecorder.recording);
+    var speed = 1000;
+    var duration = (entries[entries.length - 1].t - entries[0].t) / speed;
+
+    // The clock given directly, as the platform's grade is applied after any in the defaults.
+    var that = gpii.tests.metrics.messageRecorder.metrics({
+        members: {
+            clock: "@expand:gpii.windows.metrics.nativeAdapter.systemClock()"
+        }
+    });
+    jqUnit.assertFalse("The system clock should be used", that.clock.simulated);
+    that.events.onStartMetrics.fire();
+    var started = Date.now();
+
+    that.replayMessages(gpii.tests.metrics.messageRecorder.recording, { speed: speed }).then(function (metrics) {
+        jqUnit.assertTrue("The recording should take its duration, at the speed", Date.now() - started >= duration);
+
+        var keys = metrics.filter(function (metric) {
+            return metric.event === "key-time";
+        });
+        jqUnit.assertEquals("Each key should be logged", 12, keys.length);
+        jqUnit.assertTrue("The application should be logged", metrics.some(function (metric) {
+            return metric.event === "app-launch" && metric.data.exe === "C:\\Windows\\notepad.exe";
+        }));
+
+        that.destroy();
+        jqUnit.start();
+    }, function (err) {
+        jqUnit.fail(err.message);
+    });
+});
+
+jqUnit.asyncTest("Testing recording and replaying a session", function () {
+    var recording = path.join(os.tmpdir(), "gpii-metrics-recording-" + process.pid + ".jsonl");
+    var startTime = Date.UTC(2020, 5, 1, 9, 0, 0);
+
+    var recorded = [];
+    var that = gpii.tests.metrics.messageRecorder.createMetrics(startTime, { recordMessages: recording });
+    that.events.onMetric.addListener(function (eventName, data) {
+        recorded.push({ event: eventName, data: fluid.copy(data) });
+    }, "record");
+
+    gpii.tests.metrics.messageRecorder.playSession(that, function () {
+        var stream = that.messageRecorder.stream;
+        stream.on("finish", function () {
+            var replayer = gpii.tests.metrics.messageRecorder.createMetrics(startTime);
+            replayer.replayMessages(recording).then(function (metrics) {
+                jqUnit.assertTrue("Metrics should be logged", metrics.length > 0);
+                jqUnit.assertDeepEq("The replay should log the same metrics as the session", recorded, metrics);
+
+                fs.unlinkSync(recording);
+                replayer.destroy();
+                jqUnit.start();
+            }, function (err) {
+                jqUnit.fail(err.message);
+            });
+        });
+        // Metrics logged while shutting down aren't in the recording.
+        that.events.onMetric.removeListener("record");
+        that.messageRecorder.stop();
+        that.destroy();
+    });
+});
+
+jqUnit.asyncTest("Testing replaying a recording that can't be read", function () {
+    var that = gpii.tests.metrics.messageRecorder.createMetrics(0);
+    var invalid = path.join(os.tmpdir(), "gpii-metrics-invalid-" + process.pid + ".jsonl");
+    fs.writeFileSync(invalid, "{\"t\": 1, \"msg\": \"WM_INPUT\"}\nnot json\n");
+
+    var missing = that.replayMessages(path.join(os.tmpdir(), "gpii-metrics-missing.jsonl"));
+    jqUnit.assertValue("A missing recording should return a promise", missing);
+
+    missing.then(function () {
+        jqUnit.fail("A missing recording should reject");
+    }, function (err) {
+        jqUnit.assertTrue("A missing recording should reject with an error", err.isError);
+
+        that.replayMessages(invalid).then(function () {
+            jqUnit.fail("An invalid recording should reject");
+        }, function (err) {
+            jqUnit.assertTrue("An invalid recording should reject with an error", err.isError);
+            jqUnit.assertTrue("The error should identify the line", err.message.indexOf(invalid + ":2") >= 0);
+
+            fs.unlinkSync(invalid);
+            that.destroy();
+            jqUnit.start();
+        });
+    });
+});
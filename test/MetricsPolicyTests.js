@@ -0,0 +1,70 @@
+/*
+ * Metrics policy tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    os = require("os"),
+    path = require("path");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+
+require("../files/metricsPolicy.js");
+
+jqUnit.module("gpii.tests.metrics.policy");
+
+jqUnit.test("Testing normaliseRule", function () {
+    var normaliseRule = gpii.windows.metrics.policy.normaliseRule;
+    var enabled = { enabled: true, level: "info" };
+    var disabled = { enabled: false, level: "info" };
+
+    jqUnit.assertDeepEq("An enabled rule", enabled, normaliseRule("enabled", "a"));
+    jqUnit.assertDeepEq("A disabled rule", disabled, normaliseRule("disabled", "a"));
+    jqUnit.assertDeepEq("A debug rule", { enabled: true, level: "debug" }, normaliseRule("debug", "a"));
+    jqUnit.assertDeepEq("A sampled rule", { enabled: true, level: "info", sample: 0.5 },
+        normaliseRule({ sample: 0.5 }, "a"));
+    jqUnit.assertDeepEq("true should enable the metric", enabled, normaliseRule(true, "a"));
+    jqUnit.assertDeepEq("false should disable the metric", disabled, normaliseRule(false, "a"));
+
+    fluid.each([null, 0, 1, "disable", "Disabled", "off", ""], function (rule) {
+        jqUnit.assertDeepEq("An invalid rule should disable the metric: " + JSON.stringify(rule), disabled,
+            normaliseRule(rule, "a"));
+    });
+});
+
+jqUnit.test("Testing load with invalid rules", function () {
+    var policy = gpii.windows.metrics.policy.load({
+        metricsPolicyFile: path.join(os.tmpdir(), "gpii-metrics-policy-missing.json"),
+        metricsPolicy: {
+            metrics: {
+                "key-time": false,
+                "app-*": null,
+                "config.spi": "Disabled",
+                "mouse": "enabled"
+            }
+        }
+    });
+    var getRule = gpii.windows.metrics.policy.getRule;
+
+    jqUnit.assertFalse("false should disable the metric", getRule(policy, "key-time").enabled);
+    jqUnit.assertFalse("An invalid wildcard rule should disable the metrics", getRule(policy, "app-launch").enabled);
+    jqUnit.assertFalse("A misspelt rule should disable the metric", getRule(policy, "config.spi").enabled);
+    jqUnit.assertTrue("A valid rule should still apply", getRule(policy, "mouse").enabled);
+    jqUnit.assertTrue("A metric without a rule should be enabled", getRule(policy, "typing-session").enabled);
+});
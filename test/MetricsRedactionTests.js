@@ -0,0 +1,152 @@
+/*
+ * Metrics redaction tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.redaction");
+
+require("./simulatedNative.js");
+require("../files/windowsMetrics.js");
+
+jqUnit.module("gpii.tests.metrics.redaction");
+
+var redaction = gpii.windows.metrics.redaction;
+
+jqUnit.test("Testing allowed values", function () {
+    var config = redaction.create({ salt: "test" });
+
+    jqUnit.assertDeepEq("A known section should be kept", { section: "intl" },
+        redaction.apply(config, "config.setting", { section: "intl" }));
+    jqUnit.assertDeepEq("An unknown section should be replaced", { section: "other" },
+        redaction.apply(config, "config.setting", { section: "MyApp secret" }));
+    jqUnit.assertDeepEq("A special key should be kept", { key: "BACK" },
+        redaction.apply(config, "key-time", { key: "BACK" }));
+    jqUnit.assertDeepEq("A character should be dropped", {},
+        redaction.apply(config, "key-time", { key: "q" }));
+});
+
+jqUnit.test("Testing the rules", function () {
+    var config = redaction.create({
+        salt: "test",
+        rules: {
+            "app-*": { pid: "drop", windowClass: "keep" },
+            "app-launch": { windowClass: "hash" }
+        }
+    });
+
+    var launch = redaction.apply(config, "app-launch", { pid: 10, windowClass: "Notepad", count: 1 });
+    jqUnit.assertDeepEq("The most specific rule should win, and unruled fields kept", {
+        windowClass: redaction.hash(config, "Notepad"),
+        count: 1
+    }, launch);
+    jqUnit.assertNotEquals("The hashed value shouldn't be the value", "Notepad", launch.windowClass);
+
+    jqUnit.assertDeepEq("A less specific rule should apply", { windowClass: "Notepad" },
+        redaction.apply(config, "app-active", { pid: 10, windowClass: "Notepad" }));
+});
+
+jqUnit.test("Testing a user-supplied allow list", function () {
+    var config = redaction.create({
+        rules: {
+            "key-time": {
+                key: { allow: ["RETURN"] }
+            }
+        }
+    });
+
+    jqUnit.assertDeepEq("The allowed key should be kept", { key: "RETURN" },
+        redaction.apply(config, "key-time", { key: "RETURN" }));
+    jqUnit.assertDeepEq("A key in the default list, but not the given one, should be dropped", {},
+        redaction.apply(config, "key-time", { key: "BACK" }));
+    jqUnit.assertDeepEq("The metric's other default rules should remain", { shortcut: "copy" },
+        redaction.apply(config, "key-time", { shortcut: "copy" }));
+    jqUnit.assertDeepEq("The default list should be unchanged", { key: "BACK" },
+        redaction.apply(redaction.create(), "key-time", { key: "BACK" }));
+});
+
+// Genericise paths against a fixed prefix, rather than this machine's environment.
+gpii.tests.metrics.redaction.pathOptions = {
+    prefixes: [{ prefix: "C:\\Program Files", name: "ProgramFiles" }]
+};
+
+jqUnit.test("Testing strict mode", function () {
+    var config = redaction.create({
+        strict: true,
+        rules: {
+            "test-metric": { secret: "drop" }
+        },
+        safeFields: {
+            "test-metric": ["count", "details"]
+        }
+    });
+
+    jqUnit.assertDeepEq("Only the safe fields, and those with a rule, should be kept", {
+        count: 2,
+        exe: "%ProgramFiles%\\app.exe"
+    }, redaction.apply(config, "test-metric", {
+        count: 2,
+        secret: "x",
+        undeclared: "y",
+        exe: "C:\\Program Files\\app.exe"
+    }, gpii.tests.metrics.redaction.pathOptions));
+
+    jqUnit.assertDeepEq("A declared safe field should be kept", { duration: 5 },
+        redaction.apply(config, "typing-session", { duration: 5, undeclared: 1 }));
+
+    jqUnit.assertDeepEq("Without strict mode, the undeclared field should be kept", { count: 2, undeclared: "y" },
+        redaction.apply(redaction.create(), "test-metric", { count: 2, undeclared: "y" }));
+});
+
+jqUnit.test("Testing nested data", function () {
+    var config = redaction.create({
+        salt: "test",
+        strict: true,
+        rules: {
+            "test-metric": { secret: "drop" }
+        },
+        safeFields: {
+            "test-metric": ["details", "list"]
+        }
+    });
+
+    var redacted = redaction.apply(config, "test-metric", {
+        details: {
+            secret: "x",
+            count: 1,
+            inner: {
+                windowClass: "Notepad",
+                secret: "y"
+            }
+        },
+        list: [{ exe: "C:\\Program Files\\app.exe", secret: "z" }, "item"]
+    }, gpii.tests.metrics.redaction.pathOptions);
+
+    jqUnit.assertDeepEq("The rules should apply within objects and arrays", {
+        details: {
+            count: 1,
+            inner: {
+                windowClass: redaction.hash(config, "Notepad")
+            }
+        },
+        list: [{ exe: "%ProgramFiles%\\app.exe" }, "item"]
+    }, redacted);
+});
@@ -0,0 +1,327 @@
+/*
+ * Metrics report tool tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    zlib = require("zlib");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.report");
+
+var metricsReport = require("../tools/metricsReport.js");
+
+jqUnit.module("gpii.tests.metrics.report");
+
+// Two sessions of one installation, with a line that isn't a log entry.
+gpii.tests.metrics.report.logFile = path.join(__dirname, "data/log-report.txt");
+
+/**
+ * Gets a report of the fixture log.
+ *
+ * @param {String} name The report name.
+ * @param {Object} options [optional] The command line options.
+ * @return {Report} The report.
+ */
+gpii.tests.metrics.report.getReport = function (name, options) {
+    var logs = metricsReport.readLogs([gpii.tests.metrics.report.logFile]);
+    return metricsReport.reports[name](metricsReport.getSessions(logs.entries), options || { interval: "day" });
+};
+
+/**
+ * Runs the tool on the fixture log.
+ *
+ * @param {Array<String>} args The command line arguments, without the log file.
+ * @return {Object} The result of metricsReport.run: {output, invalidLines}.
+ */
+gpii.tests.metrics.report.run = function (args) {
+    var options = metricsReport.parseArgs(args.concat(gpii.tests.metrics.report.logFile));
+    return metricsReport.run(metricsReport.listFiles(options.inputs), options);
+};
+
+jqUnit.test("Testing the log files", function () {
+    var content = fs.readFileSync(gpii.tests.metrics.report.logFile, "utf8");
+    var lines = content.split("\n");
+    var secondSession = lines.findIndex(function (line) {
+        return line.includes("\"sessionID\":\"s2\"");
+    });
+
+    // The second session in a plain file, and the first gzipped in a file that's listed after it.
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "gpii-metricsreport-"));
+    fs.writeFileSync(path.join(dir, "log-a.txt"), lines.slice(secondSession).join("\n"));
+    fs.writeFileSync(path.join(dir, "log-b.txt.gz"), zlib.gzipSync(lines.slice(0, secondSession).join("\n") + "\n"));
+    fs.writeFileSync(path.join(dir, "notes.txt"), "not a log file\n");
+
+    try {
+        var files = metricsReport.listFiles([dir]);
+        jqUnit.assertDeepEq("Only the log files in the directory should be listed",
+            [path.join(dir, "log-a.txt"), path.join(dir, "log-b.txt.gz")], files);
+
+        var stats = { invalidLines: 0 };
+        var entries = metricsReport.readFile(path.join(dir, "log-b.txt.gz"), stats);
+        jqUnit.assertEquals("The gzipped file should be read", secondSession, entries.length);
+        jqUnit.assertEquals("Each entry should have its time", Date.parse("2020-01-01T09:00:00.000Z"), entries[0].time);
+        jqUnit.assertEquals("The gzipped file should have no invalid lines", 0, stats.invalidLines);
+
+        var options = metricsReport.parseArgs(["--format", "json", dir]);
+        var expected = gpii.tests.metrics.report.run(["--format", "json"]);
+        jqUnit.assertDeepEq("The files should be read in the order they were logged", expected,
+            metricsReport.run(files, options));
+        jqUnit.assertEquals("The line which isn't a log entry should be counted", 1, expected.invalidLines);
+    } finally {
+        fluid.each(fs.readdirSync(dir), function (name) {
+            fs.unlinkSync(path.join(dir, name));
+        });
+        fs.rmdirSync(dir);
+    }
+});
+
+jqUnit.test("Testing the sessions report", function () {
+    var report = gpii.tests.metrics.report.getReport("sessions");
+    jqUnit.assertDeepEq("The sessions should be reported, including the entries that aren't metrics", [{
+        installID: "install-1",
+        sessionID: "s1",
+        start: "2020-01-01T09:00:00.000Z",
+        end: "2020-01-01T09:30:00.000Z",
+        seconds: 1800,
+        entries: 11
+    }, {
+        installID: "install-1",
+        sessionID: "s2",
+        start: "2020-01-02T10:00:00.000Z",
+        end: "2020-01-02T10:22:00.000Z",
+        seconds: 1320,
+        entries: 7
+    }], report.rows);
+});
+
+jqUnit.test("Testing the typing report", function () {
+    var report = gpii.tests.metrics.report.getReport("typing");
+    jqUnit.assertDeepEq("The typing sessions should be totalled for each day", [{
+        installID: "install-1",
+        period: "2020-01-01",
+        typingSessions: 2,
+        keys: 330,
+        minutes: 3,
+        rate: 110,
+        corrections: 12,
+        correctionRatio: 0.036
+    }, {
+        installID: "install-1",
+        period: "2020-01-02",
+        typingSessions: 1,
+        keys: 50,
+        minutes: 0.5,
+        rate: 100,
+        corrections: 5,
+        correctionRatio: 0.1
+    }], report.rows);
+
+    var byHour = gpii.tests.metrics.report.getReport("typing", { interval: "hour" });
+    jqUnit.assertDeepEq("The typing sessions should be totalled for each hour",
+        ["2020-01-01T09:00", "2020-01-02T10:00"], fluid.getMembers(byHour.rows, "period"));
+
+    var bySession = gpii.tests.metrics.report.getReport("typing", { interval: "session" });
+    jqUnit.assertDeepEq("The typing sessions should be totalled for each session",
+        ["s1", "s2"], fluid.getMembers(bySession.rows, "period"));
+});
+
+jqUnit.test("Testing the apps report", function () {
+    var report = gpii.tests.metrics.report.getReport("apps");
+    jqUnit.assertDeepEq("The foreground time should be reported for each application, longest first", [{
+        // Active until the end of the session.
+        exe: "%ProgramFiles%\\Microsoft Office\\WINWORD.EXE",
+        product: "Word",
+        category: "office",
+        activations: 1,
+        seconds: 1680
+    }, {
+        // No app-inactive; active until the next app-active.
+        exe: "%SystemRoot%\\notepad.exe",
+        product: undefined,
+        category: undefined,
+        activations: 1,
+        seconds: 60
+    }, {
+        exe: "C:\\Tools\\Odd, \"Name\"\\odd.exe",
+        product: undefined,
+        category: undefined,
+        activations: 1,
+        seconds: 60
+    }, {
+        exe: "%SystemRoot%\\System32\\calc.exe",
+        product: undefined,
+        category: undefined,
+        activations: 1,
+        seconds: 30
+    }], report.rows);
+});
+
+jqUnit.test("Testing the idle report", function () {
+    var report = gpii.tests.metrics.report.getReport("idle");
+    jqUnit.assertDeepEq("The idle and sleep periods should be reported", [{
+        installID: "install-1",
+        sessionID: "s1",
+        event: "user-idle",
+        start: "2020-01-01T09:05:00.000Z",
+        end: "2020-01-01T09:10:00.000Z",
+        seconds: 300,
+        sleep: false
+    }, {
+        installID: "install-1",
+        sessionID: "s2",
+        event: "system-sleep",
+        start: "2020-01-02T10:05:00.000Z",
+        end: "2020-01-02T10:15:00.000Z",
+        seconds: 600,
+        sleep: true
+    }], report.rows);
+});
+
+jqUnit.test("Testing the config report", function () {
+    var report = gpii.tests.metrics.report.getReport("config");
+    jqUnit.assertDeepEq("The configuration changes should be reported", [{
+        time: "2020-01-01T09:20:00.000Z",
+        installID: "install-1",
+        event: "config.spi",
+        source: "user",
+        action: "SPI_SETMOUSESPEED",
+        setting: "mouseSpeed",
+        from: 10,
+        to: 15
+    }, {
+        // A reverted setting has the value it was reverted to.
+        time: "2020-01-02T10:15:30.000Z",
+        installID: "install-1",
+        event: "config.reverted",
+        source: "user",
+        action: undefined,
+        setting: "mouseSpeed",
+        from: undefined,
+        to: 10
+    }], report.rows);
+});
+
+jqUnit.test("Testing the system report", function () {
+    var report = gpii.tests.metrics.report.getReport("system");
+    jqUnit.assertDeepEq("The latest system information should be reported for each installation", [{
+        installID: "install-1",
+        sessions: 2,
+        time: "2020-01-02T10:00:00.000Z",
+        version: "1.3.0",
+        cpu: "Simulated CPU",
+        cores: 4,
+        memory: "16GB",
+        resolution: "1920x1080",
+        scale: "1",
+        monitors: 1,
+        osRelease: "10.0.18363",
+        osEdition: "Windows 10 Pro",
+        osBits: "64",
+        systemMfr: "GPII",
+        systemName: "Simulator"
+    }], report.rows);
+});
+
+jqUnit.test("Testing the JSON format", function () {
+    var result = gpii.tests.metrics.report.run(["--format", "json", "--report", "idle,config"]);
+    var expected = {
+        idle: gpii.tests.metrics.report.getReport("idle").rows,
+        config: gpii.tests.metrics.report.getReport("config").rows
+    };
+    jqUnit.assertDeepEq("The output should be the rows of each report", JSON.parse(JSON.stringify(expected)),
+        JSON.parse(result.output));
+    jqUnit.assertEquals("The output should be indented, and end with a new line",
+        JSON.stringify(expected, null, 2) + "\n", result.output);
+});
+
+jqUnit.test("Testing the CSV format", function () {
+    jqUnit.assertEquals("A single report should have no name line", [
+        "exe,product,category,activations,seconds",
+        "%ProgramFiles%\\Microsoft Office\\WINWORD.EXE,Word,office,1,1680",
+        "%SystemRoot%\\notepad.exe,,,1,60",
+        "\"C:\\Tools\\Odd, \"\"Name\"\"\\odd.exe\",,,1,60",
+        "%SystemRoot%\\System32\\calc.exe,,,1,30",
+        ""
+    ].join("\n"), gpii.tests.metrics.report.run(["--format", "csv", "--report", "apps"]).output);
+
+    jqUnit.assertEquals("Each report should be preceded by its name", [
+        "# typing",
+        "installID,period,typingSessions,keys,minutes,rate,corrections,correctionRatio",
+        "install-1,2020-01-01,2,330,3,110,12,0.036",
+        "install-1,2020-01-02,1,50,0.5,100,5,0.1",
+        "",
+        "# config",
+        "time,installID,event,source,action,setting,from,to",
+        "2020-01-01T09:20:00.000Z,install-1,config.spi,user,SPI_SETMOUSESPEED,mouseSpeed,10,15",
+        "2020-01-02T10:15:30.000Z,install-1,config.reverted,user,,mouseSpeed,,10",
+        ""
+    ].join("\n"), gpii.tests.metrics.report.run(["--format", "csv", "--report", "typing,config"]).output);
+});
+
+jqUnit.test("Testing the table format", function () {
+    jqUnit.assertEquals("Each report should be a table, under its title", [
+        "Idle periods (2)",
+        "",
+        "installID  sessionID  event         start                     end                       seconds  sleep",
+        "---------  ---------  ------------  ------------------------  ------------------------  -------  -----",
+        "install-1  s1         user-idle     2020-01-01T09:05:00.000Z  2020-01-01T09:10:00.000Z  300      false",
+        "install-1  s2         system-sleep  2020-01-02T10:05:00.000Z  2020-01-02T10:15:00.000Z  600      true",
+        "",
+        "Systems (1)",
+        "",
+        "installID  sessions  time                      version  osEdition       osRelease   osBits  cpu            " +
+            "cores  memory  resolution  scale  monitors  systemMfr  systemName",
+        "---------  --------  ------------------------  -------  --------------  ----------  ------  -------------  " +
+            "-----  ------  ----------  -----  --------  ---------  ----------",
+        "install-1  2         2020-01-02T10:00:00.000Z  1.3.0    Windows 10 Pro  10.0.18363  64      Simulated CPU  " +
+            "4      16GB    1920x1080   1      1         GPII       Simulator",
+        ""
+    ].join("\n"), gpii.tests.metrics.report.run(["--report", "idle,system"]).output);
+});
+
+jqUnit.test("Testing the command line", function () {
+    jqUnit.assertDeepEq("The defaults should be every report, as tables, by day", {
+        reports: ["sessions", "typing", "apps", "idle", "config", "system"],
+        format: "table",
+        interval: "day",
+        inputs: ["log.txt"],
+        help: false
+    }, metricsReport.parseArgs(["log.txt"]));
+
+    fluid.each({
+        "Unknown option --colour": ["--colour", "log.txt"],
+        "Unknown report keys": ["--report", "typing,keys", "log.txt"],
+        "Unknown format xml": ["--format", "xml", "log.txt"],
+        "Unknown interval week": ["--interval", "week", "log.txt"],
+        "Missing value for --format": ["log.txt", "--format"],
+        "No log files given": ["--report", "apps"]
+    }, function (args, message) {
+        var error;
+        try {
+            metricsReport.parseArgs(args);
+        } catch (e) {
+            error = e;
+        }
+        jqUnit.assertEquals("The arguments should be refused: " + args.join(" "), message, error && error.message);
+    });
+});
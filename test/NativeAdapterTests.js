@@ -0,0 +1,98 @@
+/*
+ * Native adapter tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.nativeAdapter");
+
+require("../files/nativeAdapter.js");
+
+jqUnit.module("gpii.tests.metrics.nativeAdapter");
+
+/**
+ * A stand-in for hid.dll's HidP_GetUsageValue, for reports where the second byte is the contact count, and the
+ * first is the report id (only reports with id 1 have the count).
+ *
+ * @param {Array} calls Receives the arguments of each call.
+ * @return {Function} The HidP_GetUsageValue function.
+ */
+gpii.tests.metrics.nativeAdapter.getUsageValue = function (calls) {
+    return function (reportType, usagePage, linkCollection, usage, usageValue, preparsed, report, reportLength) {
+        calls.push({
+            reportType: reportType,
+            usagePage: usagePage,
+            usage: usage,
+            preparsed: preparsed,
+            report: Array.from(report),
+            reportLength: reportLength
+        });
+        if (report[0] !== 1) {
+            // HIDP_STATUS_USAGE_NOT_FOUND
+            return 0xC0110004 | 0;
+        }
+        usageValue.writeUInt32LE(report[1], 0);
+        // HIDP_STATUS_SUCCESS
+        return 0x00110000;
+    };
+};
+
+jqUnit.test("Testing getDigitizerContacts", function () {
+    var adapter = gpii.windows.metrics.nativeAdapter;
+    var calls = [];
+    var hDevice = 0x1234;
+    var preparsed = Buffer.from("preparsed");
+
+    var originalLibrary = adapter.libraries.hid;
+    adapter.libraries.hid = {
+        HidP_GetUsageValue: gpii.tests.metrics.nativeAdapter.getUsageValue(calls)
+    };
+    adapter.preparsedData[hDevice] = preparsed;
+
+    try {
+        // Two reports, in hybrid mode: the first has the contact count of the frame, the second has none.
+        var contacts = adapter.getDigitizerContacts(hDevice, {
+            dwSizeHid: 4,
+            dwCount: 2,
+            bRawData: Buffer.from([1, 2, 0x10, 0x20, 2, 0, 0x30, 0x40])
+        });
+        jqUnit.assertEquals("Two contacts should be returned", 2, contacts);
+
+        jqUnit.assertEquals("Each report should be read", 2, calls.length);
+        jqUnit.assertDeepEq("The first report should be read", [1, 2, 0x10, 0x20], calls[0].report);
+        jqUnit.assertDeepEq("The second report should be read", [2, 0, 0x30, 0x40], calls[1].report);
+        jqUnit.assertEquals("The report length should be passed", 4, calls[0].reportLength);
+        jqUnit.assertEquals("The input report should be read", 0, calls[0].reportType);
+        jqUnit.assertEquals("The digitizer usage page should be read", 0x0D, calls[0].usagePage);
+        jqUnit.assertEquals("The contact count usage should be read", 0x54, calls[0].usage);
+        jqUnit.assertEquals("The preparsed data should be passed", preparsed, calls[0].preparsed);
+
+        var none = adapter.getDigitizerContacts(hDevice, {
+            dwSizeHid: 4,
+            dwCount: 1,
+            bRawData: Buffer.from([2, 5, 0, 0])
+        });
+        jqUnit.assertNull("No count should be returned if no report has one", none);
+    } finally {
+        adapter.libraries.hid = originalLibrary;
+        delete adapter.preparsedData[hDevice];
+    }
+});
@@ -0,0 +1,190 @@
+/*
+ * Process watcher tests.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.processWatcher");
+
+require("./simulatedNative.js");
+require("../files/windowsMetrics.js");
+
+jqUnit.module("gpii.tests.metrics.processWatcher");
+
+// A process watcher on its own, using the simulated adapter, recording the exits.
+fluid.defaults("gpii.tests.metrics.processWatcher.watcher", {
+    gradeNames: ["gpii.windowsMetrics.processWatcher"],
+    members: {
+        native: "@expand:gpii.windows.metrics.nativeAdapter.simulated()",
+        clock: "{that}.native.clock",
+        exits: []
+    },
+    listeners: {
+        "onProcessExit.record": {
+            funcName: "gpii.tests.metrics.processWatcher.recordExit",
+            args: ["{that}", "{arguments}.0", "{arguments}.1"]
+        }
+    }
+});
+
+gpii.tests.metrics.processWatcher.recordExit = function (that, pid, processInfo) {
+    that.exits.push({ pid: pid, processInfo: processInfo });
+};
+
+/**
+ * Creates a process watcher using the simulated adapter.
+ *
+ * @return {Component} The gpii.tests.metrics.processWatcher.watcher instance, with the adapter as `sim`.
+ */
+gpii.tests.metrics.processWatcher.create = function () {
+    var watcher = gpii.tests.metrics.processWatcher.watcher();
+    watcher.sim = watcher.native;
+    return watcher;
+};
+
+jqUnit.test("Testing the process watcher: real exit time", function () {
+    var watcher = gpii.tests.metrics.processWatcher.create();
+    var sim = watcher.sim;
+
+    sim.startProcess(100, "C:\\test\\app.exe");
+    watcher.watch(100, "C:\\test\\app.exe");
+    jqUnit.assertEquals("A handle should be open to the process", 1, Object.keys(sim.processHandles).length);
+
+    watcher.poll();
+    jqUnit.assertEquals("A running process shouldn't exit", 0, watcher.exits.length);
+
+    sim.exitProcess(100);
+    sim.processes[100].exitTime = 12345;
+    watcher.poll();
+
+    jqUnit.assertEquals("The exit should be seen", 1, watcher.exits.length);
+    jqUnit.assertEquals("The exit should be for the process", 100, watcher.exits[0].pid);
+    jqUnit.assertEquals("The exit time should be the time the process ended", 12345,
+        watcher.exits[0].processInfo.exitTime);
+    jqUnit.assertEquals("The detected time should be the time of the poll", "number",
+        typeof(watcher.exits[0].processInfo.detectedTime));
+    jqUnit.assertDeepEq("The process should no longer be watched", [], watcher.getWatchedPids());
+    jqUnit.assertDeepEq("The handle should be closed", {}, sim.processHandles);
+
+    watcher.destroy();
+});
+
+jqUnit.test("Testing the process watcher: re-used pid", function () {
+    var watcher = gpii.tests.metrics.processWatcher.create();
+    var sim = watcher.sim;
+
+    sim.startProcess(100, "C:\\test\\app.exe");
+    watcher.watch(100, "C:\\test\\app.exe");
+
+    // The same pid, same executable, but a different process.
+    sim.exitProcess(100);
+    sim.startProcess(100, "C:\\test\\app.exe");
+    watcher.poll();
+
+    jqUnit.assertEquals("The exit of the first process should be seen", 1, watcher.exits.length);
+
+    watcher.destroy();
+});
+
+jqUnit.test("Testing the process watcher: process that can't be opened", function () {
+    var watcher = gpii.tests.metrics.processWatcher.create();
+    var sim = watcher.sim;
+
+    // The path can't be read, so the window tracking gave it a stand-in name.
+    sim.startProcess(200, null);
+    sim.processes[200].restricted = true;
+    watcher.watch(200, "unknown-c8");
+
+    watcher.poll();
+    jqUnit.assertEquals("A running process with an unknown path shouldn't exit", 0, watcher.exits.length);
+
+    sim.exitProcess(200);
+    watcher.poll();
+    jqUnit.assertEquals("The exit should be seen", 1, watcher.exits.length);
+    jqUnit.assertNull("The exit time isn't known", watcher.exits[0].processInfo.exitTime);
+    jqUnit.assertEquals("The detected time should be the time of the poll", "number",
+        typeof(watcher.exits[0].processInfo.detectedTime));
+
+    // A known path is compared, to detect the pid being re-used.
+    sim.startProcess(300, "C:\\test\\elevated.exe");
+    sim.processes[300].restricted = true;
+    watcher.watch(300, "C:\\test\\elevated.exe");
+    watcher.poll();
+    jqUnit.assertEquals("A running process with a known path shouldn't exit", 1, watcher.exits.length);
+
+    sim.exitProcess(300);
+    sim.startProcess(300, "C:\\test\\other.exe");
+    watcher.poll();
+    jqUnit.assertEquals("A re-used pid should be seen as an exit", 2, watcher.exits.length);
+    jqUnit.assertEquals("The exit should be for the process", 300, watcher.exits[1].pid);
+
+    watcher.destroy();
+});
+
+jqUnit.test("Testing the process watcher: handles are closed", function () {
+    var watcher = gpii.tests.metrics.processWatcher.create();
+    var sim = watcher.sim;
+
+    sim.startProcess(100, "C:\\test\\app.exe");
+    sim.startProcess(101, "C:\\test\\app.exe");
+    watcher.watch(100, "C:\\test\\app.exe");
+    watcher.watch(101, "C:\\test\\app.exe");
+    watcher.watch(101, "C:\\test\\app.exe");
+    jqUnit.assertEquals("A handle should be open for each process", 2, Object.keys(sim.processHandles).length);
+
+    watcher.unwatch(100);
+    jqUnit.assertEquals("The handle should be closed when unwatched", 1, Object.keys(sim.processHandles).length);
+
+    watcher.destroy();
+    jqUnit.assertDeepEq("The handles should be closed when destroyed", {}, sim.processHandles);
+});
+
+jqUnit.test("Testing the process watcher: isRunning", function () {
+    var watcher = gpii.tests.metrics.processWatcher.create();
+    var sim = watcher.sim;
+
+    // A watched process that can't be opened, with an unknown path.
+    sim.startProcess(200, null);
+    sim.processes[200].restricted = true;
+    watcher.watch(200, "unknown-c8");
+    jqUnit.assertTrue("A watched process with an unknown path should be running", watcher.isRunning(200, "unknown-c8"));
+
+    // A watched process, where the pid has been re-used.
+    sim.startProcess(100, "C:\\test\\app.exe");
+    watcher.watch(100, "C:\\test\\app.exe");
+    jqUnit.assertTrue("A watched process should be running", watcher.isRunning(100, "C:\\test\\app.exe"));
+    sim.exitProcess(100);
+    sim.startProcess(100, "C:\\test\\app.exe");
+    jqUnit.assertFalse("A watched process should not be running after its pid is re-used",
+        watcher.isRunning(100, "C:\\test\\app.exe"));
+
+    // Processes that aren't watched.
+    sim.startProcess(300, null);
+    jqUnit.assertTrue("A process with an unreadable path should be running", watcher.isRunning(300, "unknown-12c"));
+    sim.startProcess(301, "C:\\test\\other.exe");
+    jqUnit.assertFalse("A process with a different path should not be running",
+        watcher.isRunning(301, "C:\\test\\app.exe"));
+    jqUnit.assertTrue("A process with the same path should be running", watcher.isRunning(301, "C:\\test\\other.exe"));
+    sim.exitProcess(301);
+    jqUnit.assertFalse("An ended process should not be running", watcher.isRunning(301, "C:\\test\\other.exe"));
+
+    watcher.destroy();
+});
@@ -0,0 +1,1123 @@
+/*
+ * Windows metrics tests, driving a simulated session.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var jqUnit = fluid.require("node-jqunit");
+var gpii = fluid.registerNamespace("gpii");
+fluid.registerNamespace("gpii.tests.metrics.windowsMetrics");
+
+require("./simulatedNative.js");
+require("../files/windowsMetrics.js");
+
+// Use the simulated native adapter (gpii.windowsMetrics.test).
+fluid.contextAware.makeChecks({
+    "gpii.contexts.test": {
+        value: true
+    }
+});
+
+jqUnit.module("gpii.tests.metrics.windowsMetrics");
+
+// The metrics component, recording the metrics it logs.
+fluid.defaults("gpii.tests.metrics.windowsMetrics.recorder", {
+    gradeNames: ["fluid.component", "gpii.windowsMetrics", "gpii.eventLog"],
+    members: {
+        metrics: []
+    },
+    listeners: {
+        "onMetric.record": {
+            funcName: "gpii.tests.metrics.windowsMetrics.recordMetric",
+            args: ["{that}", "{arguments}.0", "{arguments}.1"]
+        }
+    }
+});
+
+gpii.tests.metrics.windowsMetrics.recordMetric = function (that, eventName, data) {
+    that.metrics.push({ eventName: eventName, data: data });
+};
+
+/**
+ * Gets the metrics of the given name that have been logged.
+ *
+ * @param {Component} that The gpii.tests.metrics.windowsMetrics.recorder instance.
+ * @param {String} eventName The name of the metric.
+ * @return {Array<Object>} The data of each of the metrics.
+ */
+gpii.tests.metrics.windowsMetrics.getMetrics = function (that, eventName) {
+    return that.metrics.filter(function (metric) {
+        return metric.eventName === eventName;
+    }).map(function (metric) {
+        return metric.data;
+    });
+};
+
+/**
+ * Runs each step in turn, allowing the messages (which are handled asynchronously) to be processed between them.
+ *
+ * @param {Array<Function>} steps The steps.
+ */
+gpii.tests.metrics.windowsMetrics.runSteps = function (steps) {
+    var step = steps.shift();
+    if (step) {
+        step();
+        setTimeout(gpii.tests.metrics.windowsMetrics.runSteps, 10, steps);
+    }
+};
+
+jqUnit.test("Testing the component fails without a native adapter", function () {
+    // Neither the test nor the Windows context.
+    fluid.contextAware.forgetChecks(["gpii.contexts.test"]);
+    try {
+        jqUnit.expectFrameworkDiagnostic("The component should fail when there's no native adapter", function () {
+            fluid.construct("noNativeAdapter", { type: "gpii.tests.metrics.windowsMetrics.recorder" });
+        }, "no native adapter");
+    } finally {
+        fluid.contextAware.makeChecks({
+            "gpii.contexts.test": {
+                value: true
+            }
+        });
+        // Remove what was constructed before the failure, which needs an adapter to stop its metrics.
+        var broken = fluid.componentForPath("noNativeAdapter");
+        broken.native = broken.processWatcher.native = gpii.windows.metrics.nativeAdapter.simulated();
+        broken.clock = broken.processWatcher.clock = broken.native.clock;
+        fluid.destroy("noNativeAdapter");
+    }
+});
+
+jqUnit.asyncTest("Testing a simulated session: application launch and activation", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder();
+    var sim = that.native;
+    jqUnit.assertTrue("The simulated native adapter should be used", sim.simulated);
+
+    that.events.onStartMetrics.fire();
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            sim.startProcess(500, "C:\\Windows\\notepad.exe");
+            sim.activateWindow(sim.createWindow({ pid: 500, className: "Notepad" }));
+        },
+        function () {
+            var launches = gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-launch");
+            jqUnit.assertEquals("The launch should be logged", 1, launches.length);
+            jqUnit.assertEquals("The launch should be for the application", "C:\\Windows\\notepad.exe",
+                launches[0].exe);
+            jqUnit.assertEquals("The launch should be for the process", 500, launches[0].pid);
+
+            var active = gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-active");
+            jqUnit.assertEquals("The activation should be logged", 1, active.length);
+            jqUnit.assertEquals("The active application should be logged", "C:\\Windows\\notepad.exe",
+                active[0].exe);
+
+            sim.startProcess(600, "C:\\Windows\\System32\\calc.exe");
+            sim.activateWindow(sim.createWindow({ pid: 600, className: "Calc" }));
+        },
+        function () {
+            jqUnit.assertEquals("The second launch should be logged", 2,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-launch").length);
+
+            var inactive = gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-inactive");
+            jqUnit.assertEquals("The deactivation should be logged", 1, inactive.length);
+            jqUnit.assertEquals("The application that lost focus should be logged", "C:\\Windows\\notepad.exe",
+                inactive[0].exe);
+
+            var active = gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-active");
+            jqUnit.assertEquals("The second activation should be logged", 2, active.length);
+            jqUnit.assertEquals("The newly active application should be logged", "C:\\Windows\\System32\\calc.exe",
+                active[1].exe);
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.asyncTest("Testing a simulated session: typing", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder();
+    var sim = that.native;
+    var keyCount = 12;
+
+    that.events.onStartMetrics.fire();
+
+    var steps = [];
+    for (var n = 0; n < keyCount; n++) {
+        steps.push(function () {
+            // "A", 4 seconds apart.
+            sim.advanceTime(4000);
+            sim.sendKey(0x41, { up: false });
+            sim.sendKey(0x41);
+        });
+    }
+    steps.push(function () {
+        jqUnit.assertEquals("The session should not have ended while typing", 0,
+            gpii.tests.metrics.windowsMetrics.getMetrics(that, "typing-session").length);
+        jqUnit.assertEquals("Each key should be logged", keyCount,
+            gpii.tests.metrics.windowsMetrics.getMetrics(that, "key-time").length);
+
+        // Stopping the metrics ends the session.
+        that.events.onStopMetrics.fire();
+
+        var sessions = gpii.tests.metrics.windowsMetrics.getMetrics(that, "typing-session");
+        jqUnit.assertEquals("The typing session should be logged", 1, sessions.length);
+        jqUnit.assertEquals("The session should count the keys", keyCount, sessions[0].count);
+        jqUnit.assertEquals("The session should last from the first key to the last", (keyCount - 1) * 4000,
+            sessions[0].duration);
+        jqUnit.assertEquals("The rate should be the keys per minute", 16, sessions[0].rate);
+
+        that.destroy();
+        jqUnit.start();
+    });
+
+    gpii.tests.metrics.windowsMetrics.runSteps(steps);
+});
+
+jqUnit.asyncTest("Testing a simulated session: the metrics of gpii.metrics are valid", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder();
+    var sim = that.native;
+
+    that.events.onStartMetrics.fire();
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            sim.sendKey(0x41, { up: false });
+            sim.sendKey(0x41);
+        },
+        function () {
+            // Become inactive (this would throw if the metric wasn't declared).
+            sim.advanceTime(that.config.input.inactiveTime + 1000);
+            jqUnit.assertEquals("The inactivity should be logged", 1,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "inactive-begin").length);
+
+            sim.sendKey(0x41, { up: false });
+            sim.sendKey(0x41);
+        },
+        function () {
+            jqUnit.assertEquals("The activity should be logged", 1,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "inactive-stop").length);
+            jqUnit.assertEquals("A new sub-session should be logged", 1,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "subsession-begin").length);
+
+            gpii.metrics.snapshotUpdate(that, { "net.gpii.test": {} });
+            gpii.metrics.preferenceChanged(that, { "http://registry.gpii.net/common/fontSize": 12 }, {});
+            jqUnit.assertDeepEq("The applied solution should be logged", [{ solutionID: "net.gpii.test" }],
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "solution-applied"));
+            jqUnit.assertDeepEq("The preference should be logged",
+                [{ name: "http://registry.gpii.net/common/fontSize", newValue: "12" }],
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "preference"));
+
+            jqUnit.assertDeepEq("An undeclared metric should still be invalid", ["unknown metric"],
+                gpii.windows.metrics.schemas.validate(gpii.windows.metrics.schemas.registry, "no-such-metric"));
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.asyncTest("Testing a simulated session: application usage", function () {
+    var startTime = Date.UTC(2020, 0, 1, 10, 0, 0);
+    var that = gpii.tests.metrics.windowsMetrics.recorder({ simulation: { clockTime: startTime } });
+    var sim = that.native;
+    var notepad, calc;
+
+    that.events.onStartMetrics.fire();
+
+    var pressKey = function () {
+        sim.sendKey(0x41, { up: false });
+        sim.sendKey(0x41);
+    };
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            sim.startProcess(500, "C:\\Windows\\notepad.exe");
+            sim.startProcess(600, "C:\\Windows\\System32\\calc.exe");
+            notepad = sim.createWindow({ pid: 500, className: "Notepad" });
+            calc = sim.createWindow({ pid: 600, className: "Calc" });
+            sim.activateWindow(notepad);
+        },
+        function () {
+            sim.advanceTime(60000);
+            sim.activateWindow(calc);
+        },
+        function () {
+            sim.advanceTime(30000);
+            sim.activateWindow(notepad);
+        },
+        function () {
+            sim.advanceTime(5000);
+            pressKey();
+        },
+        function () {
+            // Inactive: the time since the last key isn't counted.
+            sim.advanceTime(that.config.input.inactiveTime + 1000);
+            pressKey();
+        },
+        function () {
+            sim.advanceTime(20000);
+            pressKey();
+        },
+        function () {
+            jqUnit.assertEquals("Nothing should be logged before the end of the hour", 0,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-usage").length);
+
+            // Inactive again, until the top of the hour.
+            sim.advanceTime(startTime + 3600000 - that.clock.now());
+
+            var usage = fluid.transform(gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-usage"),
+                function (metric) {
+                    return fluid.filterKeys(metric, ["exe", "periodStart", "period", "duration", "activations",
+                        "longest"]);
+                });
+            jqUnit.assertDeepEq("The usage of each application should be logged at the top of the hour", [{
+                exe: "C:\\Windows\\notepad.exe",
+                periodStart: "2020-01-01T10:00:00.000Z",
+                period: 3600000,
+                duration: 85000,
+                activations: 2,
+                longest: 60000
+            }, {
+                exe: "C:\\Windows\\System32\\calc.exe",
+                periodStart: "2020-01-01T10:00:00.000Z",
+                period: 3600000,
+                duration: 30000,
+                activations: 1,
+                longest: 30000
+            }], usage);
+
+            // Still inactive, so the application in the foreground has had no time in the new period.
+            that.events.onStopMetrics.fire();
+            jqUnit.assertEquals("Nothing more should be logged when the metrics stop", 2,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-usage").length);
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.asyncTest("Testing a simulated session: idle and sleep periods", function () {
+    var startTime = Date.UTC(2020, 0, 1, 10, 0, 0);
+    var that = gpii.tests.metrics.windowsMetrics.recorder({ simulation: { clockTime: startTime } });
+    var sim = that.native;
+    var constants = gpii.windows.API_constants;
+
+    that.events.onStartMetrics.fire();
+
+    var pressKey = function () {
+        sim.sendKey(0x41, { up: false });
+        sim.sendKey(0x41);
+    };
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            sim.advanceTime(1000);
+            pressKey();
+        },
+        function () {
+            sim.advanceTime(that.config.input.inactiveTime + 9000);
+            jqUnit.assertEquals("The idle period should only be logged when the user returns", 0,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "user-idle").length);
+            pressKey();
+        },
+        function () {
+            jqUnit.assertDeepEq("The idle period should start from the last input", [{
+                start: "2020-01-01T10:00:01.000Z",
+                end: "2020-01-01T10:05:10.000Z",
+                duration: 309000
+            }], gpii.tests.metrics.windowsMetrics.getMetrics(that, "user-idle"));
+
+            sim.advanceTime(2000);
+            pressKey();
+        },
+        function () {
+            sim.advanceTime(3000);
+            sim.sendMessage(constants.WM_POWERBROADCAST, constants.PBT_APMSUSPEND, 0);
+            sim.advanceTime(3600000);
+            sim.sendMessage(constants.WM_POWERBROADCAST, constants.PBT_APMRESUMEAUTOMATIC, 0);
+
+            jqUnit.assertDeepEq("The sleep period should be logged when the computer resumes", [{
+                start: "2020-01-01T10:05:15.000Z",
+                end: "2020-01-01T11:05:15.000Z",
+                duration: 3600000
+            }], gpii.tests.metrics.windowsMetrics.getMetrics(that, "system-sleep"));
+
+            sim.advanceTime(4000);
+            pressKey();
+        },
+        function () {
+            var idle = gpii.tests.metrics.windowsMetrics.getMetrics(that, "user-idle");
+            jqUnit.assertEquals("Both idle periods should be logged", 2, idle.length);
+            jqUnit.assertDeepEq("The idle period should include the sleep, from the last input", {
+                start: "2020-01-01T10:05:12.000Z",
+                end: "2020-01-01T11:05:19.000Z",
+                duration: 3607000,
+                sleep: true
+            }, idle[1]);
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.asyncTest("Testing a simulated session: mouse buttons", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder({
+        simulation: {
+            registry: {
+                // A slower double-click than the default.
+                "HKEY_CURRENT_USER\\Control Panel\\Mouse\\DoubleClickSpeed": "800"
+            }
+        }
+    });
+    var sim = that.native;
+    var constants = gpii.windows.API_constants;
+
+    var click = function (down, up, hold) {
+        sim.sendMouse({ usButtonFlags: down });
+        sim.advanceTime(hold || 50);
+        sim.sendMouse({ usButtonFlags: up });
+    };
+
+    that.events.onStartMetrics.fire();
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            // Middle, held down for a while.
+            click(constants.RI_MOUSE_MIDDLE_BUTTON_DOWN, constants.RI_MOUSE_MIDDLE_BUTTON_UP, 700);
+            sim.advanceTime(1000);
+
+            // Double-click, slower than the default double-click time.
+            click(constants.RI_MOUSE_LEFT_BUTTON_DOWN, constants.RI_MOUSE_LEFT_BUTTON_UP);
+            sim.advanceTime(600);
+            click(constants.RI_MOUSE_LEFT_BUTTON_DOWN, constants.RI_MOUSE_LEFT_BUTTON_UP);
+            sim.advanceTime(1000);
+
+            // Another click, then one that's moved out of the double-click area.
+            click(constants.RI_MOUSE_LEFT_BUTTON_DOWN, constants.RI_MOUSE_LEFT_BUTTON_UP);
+            sim.advanceTime(100);
+            sim.sendMouse({ lLastX: 10 });
+            click(constants.RI_MOUSE_LEFT_BUTTON_DOWN, constants.RI_MOUSE_LEFT_BUTTON_UP);
+            sim.advanceTime(1000);
+
+            // A drag with the right button.
+            sim.sendMouse({ usButtonFlags: constants.RI_MOUSE_RIGHT_BUTTON_DOWN });
+            sim.sendMouse({ lLastX: 30, lLastY: 40 });
+            sim.sendMouse({ lLastX: 30, lLastY: 40 });
+            sim.sendMouse({ usButtonFlags: constants.RI_MOUSE_RIGHT_BUTTON_UP });
+
+            // The X buttons.
+            click(constants.RI_MOUSE_BUTTON_4_DOWN, constants.RI_MOUSE_BUTTON_4_UP);
+            click(constants.RI_MOUSE_BUTTON_5_DOWN, constants.RI_MOUSE_BUTTON_5_UP);
+
+            // Two notches forward, and one and a half to the left.
+            sim.sendMouse({ usButtonFlags: constants.RI_MOUSE_WHEEL, usButtonData: 240 });
+            sim.sendMouse({ usButtonFlags: constants.RI_MOUSE_HWHEEL, usButtonData: 0x10000 - 180 });
+        },
+        function () {
+            var mouse = fluid.transform(gpii.tests.metrics.windowsMetrics.getMetrics(that, "mouse"),
+                function (metric) {
+                    return fluid.filterKeys(metric, ["button", "distance", "hold", "drag", "doubleClick", "wheel",
+                        "hwheel"]);
+                });
+
+            jqUnit.assertDeepEq("The clicks and wheel turns should be logged", [
+                { button: 3, distance: 0, hold: 700 },
+                { button: 1, distance: 0, hold: 50 },
+                { button: 1, distance: 0, hold: 50, doubleClick: true },
+                { button: 1, distance: 0, hold: 50 },
+                { button: 1, distance: 10, hold: 50 },
+                { button: 2, distance: 100, hold: 0, drag: 100 },
+                { button: 4, distance: 0, hold: 50 },
+                { button: 5, distance: 0, hold: 50 },
+                { wheel: 2 },
+                { hwheel: -1.5 }
+            ], mouse);
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.asyncTest("Testing a simulated session: mouse distance after touch and injected input", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder();
+    var sim = that.native;
+    var constants = gpii.windows.API_constants;
+
+    that.events.onStartMetrics.fire();
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            sim.sendMouse({ lLastX: 10 });
+            // Tap the middle of the screen, which moves the cursor.
+            sim.sendPointer("touch", { usButtonFlags: constants.RI_MOUSE_LEFT_BUTTON_DOWN, lLastX: 0x8000,
+                lLastY: 0x8000 });
+            sim.sendPointer("touch", { usButtonFlags: constants.RI_MOUSE_LEFT_BUTTON_UP, lLastX: 0x8000,
+                lLastY: 0x8000 });
+            sim.sendMouse({ lLastY: 10 });
+            // Injected input (from no device), which moves the cursor to the corner.
+            sim.sendMouse({ usFlags: constants.MOUSE_MOVE_ABSOLUTE, device: 0 });
+            sim.sendMouse({ lLastX: 10 });
+            sim.sendMouse({ usButtonFlags: constants.RI_MOUSE_LEFT_BUTTON_DOWN });
+            sim.sendMouse({ usButtonFlags: constants.RI_MOUSE_LEFT_BUTTON_UP });
+        },
+        function () {
+            var mouse = gpii.tests.metrics.windowsMetrics.getMetrics(that, "mouse");
+            jqUnit.assertEquals("The click should be logged", 1, mouse.length);
+            jqUnit.assertEquals("The distance should only be the movement of the mouse, not the jumps", 30,
+                mouse[0].distance);
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.test("Testing the key classes", function () {
+    var classify = gpii.windows.metrics.keys.classify;
+    var vk = gpii.windows.API_constants.virtualKeyCodes;
+
+    var tests = [
+        { vkey: 0x41, modifiers: [], expect: { category: null, shortcut: null } },
+        { vkey: 0x41, modifiers: ["SHIFT"], expect: { category: null, shortcut: null } },
+        { vkey: vk.VK_BACK, modifiers: [], expect: { category: "deletion", shortcut: null } },
+        { vkey: vk.VK_DELETE, modifiers: [], expect: { category: "deletion", shortcut: null } },
+        { vkey: vk.VK_DELETE, modifiers: ["SHIFT"], expect: { category: "deletion", shortcut: "cut" } },
+        { vkey: vk.VK_PAGEDOWN, modifiers: [], expect: { category: "navigation", shortcut: null } },
+        { vkey: vk.VK_F12, modifiers: [], expect: { category: "function", shortcut: null } },
+        { vkey: vk.VK_F4, modifiers: ["ALT"], expect: { category: "function", shortcut: "closeWindow" } },
+        { vkey: 0x43, modifiers: ["CTRL"], expect: { category: null, shortcut: "copy" } },
+        { vkey: 0x56, modifiers: ["CTRL"], expect: { category: null, shortcut: "paste" } },
+        { vkey: 0x5A, modifiers: ["CTRL"], expect: { category: null, shortcut: "undo" } },
+        // The order of the modifiers doesn't matter.
+        { vkey: 0x5A, modifiers: ["CTRL", "SHIFT"], expect: { category: null, shortcut: "redo" } },
+        { vkey: 0x5A, modifiers: ["SHIFT", "CTRL"], expect: { category: null, shortcut: "redo" } },
+        { vkey: 0x53, modifiers: ["CTRL"], expect: { category: null, shortcut: "save" } },
+        { vkey: vk.VK_TAB, modifiers: ["ALT"], expect: { category: null, shortcut: "switchWindow" } },
+        { vkey: vk.VK_TAB, modifiers: ["SHIFT", "ALT"], expect: { category: null, shortcut: "switchWindow" } },
+        // Extra modifiers make it a different combination.
+        { vkey: 0x43, modifiers: ["CTRL", "ALT"], expect: { category: null, shortcut: null } },
+        { vkey: 0x43, modifiers: ["ALT"], expect: { category: null, shortcut: null } }
+    ];
+
+    fluid.each(tests, function (test) {
+        jqUnit.assertDeepEq("classify(" + test.vkey + ", " + test.modifiers.join("+") + ")", test.expect,
+            classify(test.vkey, test.modifiers));
+    });
+});
+
+jqUnit.asyncTest("Testing a simulated session: key classes in a typing session", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder();
+    var sim = that.native;
+    var vk = gpii.windows.API_constants.virtualKeyCodes;
+
+    var pressKey = function (keycode) {
+        sim.advanceTime(1000);
+        sim.sendKey(keycode, { up: false });
+        sim.sendKey(keycode);
+    };
+
+    that.events.onStartMetrics.fire();
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            for (var n = 0; n < 40; n++) {
+                pressKey(0x41);
+            }
+            pressKey(vk.VK_BACK);
+            pressKey(vk.VK_BACK);
+            pressKey(vk.VK_LEFT);
+            pressKey(vk.VK_F5);
+
+            sim.sendKey(vk.VK_CONTROL, { up: false });
+            pressKey(0x43);
+            pressKey(0x56);
+            pressKey(0x56);
+            sim.sendKey(vk.VK_CONTROL);
+        },
+        function () {
+            var shortcuts = gpii.tests.metrics.windowsMetrics.getMetrics(that, "key-time").filter(function (keyTime) {
+                return keyTime.shortcut;
+            });
+            jqUnit.assertDeepEq("The shortcuts should be logged by name, without the key", [
+                { keyTime: 1000, modifierKeys: ["CTRL"], shortcut: "copy" },
+                { keyTime: 1000, modifierKeys: ["CTRL"], shortcut: "paste" },
+                { keyTime: 1000, modifierKeys: ["CTRL"], shortcut: "paste" }
+            ], fluid.transform(shortcuts, function (keyTime) {
+                return fluid.filterKeys(keyTime, ["keyTime", "modifierKeys", "key", "shortcut"]);
+            }));
+
+            that.events.onStopMetrics.fire();
+
+            var sessions = gpii.tests.metrics.windowsMetrics.getMetrics(that, "typing-session");
+            jqUnit.assertEquals("The typing session should be logged", 1, sessions.length);
+            jqUnit.assertDeepEq("The session should have the breakdown of the keys", {
+                count: 40,
+                corrections: 2,
+                navigation: 1,
+                functionKeys: 1,
+                shortcuts: { copy: 1, paste: 2 }
+            }, fluid.filterKeys(sessions[0], ["count", "corrections", "navigation", "functionKeys", "shortcuts"]));
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.asyncTest("Testing a simulated session: touch and pen gestures", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder();
+    var sim = that.native;
+    var constants = gpii.windows.API_constants;
+
+    // A finger (or pen) touching the screen at x, and moving to toX.
+    var touch = function (source, duration, x, toX, buttons) {
+        var down = buttons ? buttons.down : constants.RI_MOUSE_LEFT_BUTTON_DOWN;
+        var up = buttons ? buttons.up : constants.RI_MOUSE_LEFT_BUTTON_UP;
+        sim.sendPointer(source, { usButtonFlags: down, lLastX: x, lLastY: 0x8000 });
+        sim.advanceTime(duration);
+        sim.sendPointer(source, { lLastX: toX, lLastY: 0x8000 });
+        sim.sendPointer(source, { usButtonFlags: up, lLastX: toX, lLastY: 0x8000 });
+    };
+
+    that.events.onStartMetrics.fire();
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            // Tap
+            sim.sendTouchReport(1);
+            touch("touch", 100, 0x8000, 0x8000);
+            sim.sendTouchReport(0);
+            sim.advanceTime(1000);
+
+            // Long press, holding still (the touch screen stops reporting)
+            sim.sendTouchReport(1);
+            touch("touch", 1500, 0x8000, 0x8002);
+            sim.sendTouchReport(0);
+            sim.advanceTime(1000);
+
+            // Drag
+            sim.sendTouchReport(1);
+            touch("touch", 150, 0x4000, 0x6000);
+            sim.sendTouchReport(0);
+            sim.advanceTime(1000);
+
+            // Two fingers (which isn't promoted to mouse input)
+            sim.sendTouchReport(1);
+            sim.advanceTime(50);
+            sim.sendTouchReport(2);
+            sim.advanceTime(150);
+            sim.sendTouchReport(2);
+            sim.advanceTime(150);
+            sim.sendTouchReport(1);
+            sim.sendTouchReport(0);
+            sim.advanceTime(1000);
+
+            // Three fingers, where the reports stop without the fingers being lifted.
+            sim.sendTouchReport(3);
+            sim.advanceTime(100);
+            sim.sendTouchReport(3);
+            sim.advanceTime(that.config.input.touchEndTime);
+            sim.advanceTime(1000);
+
+            // Pen tap with the barrel button, then a stroke
+            touch("pen", 100, 0x8000, 0x8000, {
+                down: constants.RI_MOUSE_RIGHT_BUTTON_DOWN,
+                up: constants.RI_MOUSE_RIGHT_BUTTON_UP
+            });
+            sim.advanceTime(1000);
+            touch("pen", 300, 0x2000, 0x3000);
+        },
+        function () {
+            var gestures = fluid.transform(gpii.tests.metrics.windowsMetrics.getMetrics(that, "touch"),
+                function (metric) {
+                    return fluid.filterKeys(metric, ["gesture", "duration", "fingers"]);
+                });
+            jqUnit.assertDeepEq("The touch gestures should be logged", [
+                { gesture: "tap", duration: 100, fingers: 1 },
+                { gesture: "long-press", duration: 1500, fingers: 1 },
+                { gesture: "drag", duration: 150, fingers: 1 },
+                { gesture: "multi-finger", duration: 350, fingers: 2 },
+                { gesture: "multi-finger", duration: 100, fingers: 3 }
+            ], gestures);
+
+            var drag = gpii.tests.metrics.windowsMetrics.getMetrics(that, "touch")[2];
+            jqUnit.assertEquals("The drag distance should be logged", Math.round(0x2000 * 1919 / 0xffff),
+                drag.distance);
+
+            var pen = fluid.transform(gpii.tests.metrics.windowsMetrics.getMetrics(that, "pen"), function (metric) {
+                return fluid.filterKeys(metric, ["gesture", "duration", "penButton"]);
+            });
+            jqUnit.assertDeepEq("The pen gestures should be logged", [
+                { gesture: "tap", duration: 100, penButton: true },
+                { gesture: "stroke", duration: 300 }
+            ], pen);
+
+            jqUnit.assertEquals("The touch and pen input shouldn't be logged as mouse clicks", 0,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "mouse").length);
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.asyncTest("Testing a simulated session: system setting changes", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder();
+    var sim = that.native;
+
+    that.events.onStartMetrics.fire();
+
+    var filterKeys = { on: true, wait: 500, delay: 1000, repeat: 500, bounce: 0 };
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            // SPI_SETMOUSESPEED
+            sim.systemParametersInfo(0x71, 15);
+        },
+        function () {
+            sim.systemParametersInfo(0x71, 12);
+        },
+        function () {
+            // SPI_SETSTICKYKEYS
+            sim.systemParametersInfo(0x3B, true);
+        },
+        function () {
+            // SPI_SETFILTERKEYS
+            sim.systemParametersInfo(0x33, filterKeys);
+        },
+        function () {
+            // The cursor size is in the registry, with SPI_SETCURSORS sent when it changes.
+            sim.setRegistryValue("HKEY_CURRENT_USER", "Control Panel\\Cursors", "CursorBaseSize", 64);
+            sim.sendSettingChange(0x57);
+        },
+        function () {
+            var changes = fluid.transform(gpii.tests.metrics.windowsMetrics.getMetrics(that, "config.spi"),
+                function (metric) {
+                    return fluid.filterKeys(metric, ["action", "setting", "from", "to"]);
+                });
+            jqUnit.assertDeepEq("Each change should be logged with the previous and new values", [{
+                action: "SPI_SETMOUSESPEED",
+                setting: "mouseSpeed",
+                from: 10,
+                to: 15
+            }, {
+                action: "SPI_SETMOUSESPEED",
+                setting: "mouseSpeed",
+                from: 15,
+                to: 12
+            }, {
+                action: "SPI_SETSTICKYKEYS",
+                setting: "stickyKeys",
+                from: false,
+                to: true
+            }, {
+                action: "SPI_SETFILTERKEYS",
+                setting: "filterKeys",
+                from: { on: false, wait: 1000, delay: 500, repeat: 500, bounce: 0 },
+                to: filterKeys
+            }, {
+                action: "SPI_SETCURSORS",
+                setting: "cursorSize",
+                from: 32,
+                to: 64
+            }], changes);
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.test("Testing the display topology: getPosition and diff", function () {
+    var displayTopology = gpii.windows.metrics.displayTopology;
+    var primary = { x: 0, y: 0, width: 1920, height: 1080 };
+
+    var positions = [
+        { monitor: { x: -1280, y: 0, width: 1280, height: 1024 }, expect: "left" },
+        { monitor: { x: 1920, y: 0, width: 1280, height: 1024 }, expect: "right" },
+        { monitor: { x: 0, y: -1080, width: 1920, height: 1080 }, expect: "above" },
+        { monitor: { x: 500, y: 1080, width: 1920, height: 1080 }, expect: "below" },
+        // Diagonal to the primary: left and right take precedence.
+        { monitor: { x: 1920, y: -1080, width: 1920, height: 1080 }, expect: "right" },
+        // A duplicated display.
+        { monitor: { x: 0, y: 0, width: 1920, height: 1080 }, expect: "overlapping" },
+        { monitor: { x: 100, y: 100, width: 800, height: 600 }, expect: "overlapping" }
+    ];
+    fluid.each(positions, function (test) {
+        jqUnit.assertEquals("getPosition(" + JSON.stringify(test.monitor) + ")", test.expect,
+            displayTopology.getPosition(test.monitor, primary));
+    });
+
+    var monitor1 = { id: "DISPLAY1", primary: true, width: 1920, height: 1080, x: 0, y: 0, scale: 1,
+        orientation: 0, refreshRate: 60 };
+    var monitor2 = { id: "DISPLAY2", primary: false, width: 1280, height: 1024, x: -1280, y: 0, scale: 1,
+        orientation: 0, refreshRate: 60, position: "left" };
+
+    jqUnit.assertNull("The same monitors shouldn't be a change", displayTopology.diff([monitor1, monitor2],
+        [fluid.copy(monitor1), fluid.copy(monitor2)]));
+    jqUnit.assertDeepEq("An added monitor should be found", { added: ["DISPLAY2"], removed: [], changed: {} },
+        displayTopology.diff([monitor1], [monitor1, monitor2]));
+    jqUnit.assertDeepEq("A removed monitor should be found", { added: [], removed: ["DISPLAY2"], changed: {} },
+        displayTopology.diff([monitor1, monitor2], [monitor1]));
+    jqUnit.assertDeepEq("The changed fields of a monitor should be found", {
+        added: [],
+        removed: [],
+        changed: {
+            DISPLAY2: {
+                orientation: { from: 0, to: 90 },
+                scale: { from: 1, to: 1.5 }
+            }
+        }
+    }, displayTopology.diff([monitor1, monitor2], [monitor1, fluid.extend({}, monitor2, {
+        orientation: 90,
+        scale: 1.5
+    })]));
+});
+
+jqUnit.asyncTest("Testing a simulated session: display topology changes", function () {
+    var that = gpii.tests.metrics.windowsMetrics.recorder();
+    var sim = that.native;
+
+    var primary = { name: "\\\\.\\DISPLAY1", primary: true, x: 0, y: 0, width: 1920, height: 1080, dpi: 96,
+        orientation: 0, refreshRate: 60 };
+    var second = { name: "\\\\.\\DISPLAY2", primary: false, x: -1280, y: 0, width: 1280, height: 1024, dpi: 120,
+        orientation: 0, refreshRate: 75 };
+
+    that.events.onStartMetrics.fire();
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            var topology = gpii.tests.metrics.windowsMetrics.getMetrics(that, "display-topology");
+            jqUnit.assertEquals("The topology should be logged when the metrics start", 1, topology.length);
+            jqUnit.assertEquals("There should be one monitor", 1, topology[0].count);
+
+            sim.setMonitors([second, primary]);
+        },
+        function () {
+            var topology = gpii.tests.metrics.windowsMetrics.getMetrics(that, "display-topology");
+            jqUnit.assertEquals("The topology should be logged when a monitor is added", 2, topology.length);
+            jqUnit.assertDeepEq("The monitors should be logged, primary first", {
+                count: 2,
+                monitors: [{
+                    id: "DISPLAY1",
+                    primary: true,
+                    width: 1920,
+                    height: 1080,
+                    x: 0,
+                    y: 0,
+                    scale: 1,
+                    orientation: 0,
+                    refreshRate: 60
+                }, {
+                    id: "DISPLAY2",
+                    primary: false,
+                    width: 1280,
+                    height: 1024,
+                    x: -1280,
+                    y: 0,
+                    scale: 1.25,
+                    orientation: 0,
+                    refreshRate: 75,
+                    position: "left"
+                }],
+                added: ["DISPLAY2"],
+                removed: [],
+                changed: {}
+            }, topology[1]);
+
+            // The same monitors
+            sim.setMonitors([second, primary]);
+        },
+        function () {
+            jqUnit.assertEquals("The topology shouldn't be logged when nothing has changed", 2,
+                gpii.tests.metrics.windowsMetrics.getMetrics(that, "display-topology").length);
+
+            sim.setMonitors([second, fluid.extend({}, primary, { width: 2560, height: 1440 })]);
+        },
+        function () {
+            var topology = gpii.tests.metrics.windowsMetrics.getMetrics(that, "display-topology");
+            jqUnit.assertEquals("The topology should be logged when a resolution changes", 3, topology.length);
+            jqUnit.assertDeepEq("The change should be logged", {
+                DISPLAY1: {
+                    width: { from: 1920, to: 2560 },
+                    height: { from: 1080, to: 1440 }
+                }
+            }, topology[2].changed);
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+jqUnit.test("Testing the application catalogue", function () {
+    var appCatalogue = gpii.windows.metrics.appCatalogue;
+    var catalogue = appCatalogue.create({
+        "My Reader": { category: "screen-reader", exe: ["MyReader.exe"] },
+        "Chrome": null
+    });
+
+    var tests = [
+        { exe: "C:\\Program Files (x86)\\NVDA\\NVDA.EXE",
+            expect: { product: "NVDA", category: "screen-reader", at: true } },
+        { exe: "C:\\Windows\\System32\\Magnify.exe",
+            expect: { product: "Magnifier", category: "magnifier", at: true } },
+        { exe: "C:\\Program Files\\Microsoft Office\\WINWORD.EXE",
+            expect: { product: "Word", category: "office", at: false } },
+        { exe: "D:\\Tools\\myreader.exe", expect: { product: "My Reader", category: "screen-reader", at: true } },
+        // Removed by the site catalogue.
+        { exe: "C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe", expect: null },
+        { exe: "C:\\Windows\\notepad.exe", expect: null },
+        // A packaged application, matched by the package family name.
+        { exe: "C:\\Windows\\SystemApps\\Microsoft.MicrosoftEdge_8wekyb3d8bbwe\\MicrosoftEdge.exe",
+            appId: "Microsoft.MicrosoftEdge_8wekyb3d8bbwe!MicrosoftEdge",
+            expect: { product: "Edge", category: "browser", at: false } },
+        { exe: null, appId: "Other.App_1234!App", expect: null }
+    ];
+
+    fluid.each(tests, function (test) {
+        jqUnit.assertDeepEq("classify(" + test.exe + ", " + test.appId + ")", test.expect,
+            appCatalogue.classify(catalogue, test.exe, test.appId));
+    });
+});
+
+jqUnit.asyncTest("Testing a simulated session: assistive technology sessions", function () {
+    var startTime = Date.UTC(2020, 0, 1, 10, 0, 0);
+    var that = gpii.tests.metrics.windowsMetrics.recorder({
+        simulation: {
+            clockTime: startTime,
+            // Running before the metrics start, without a visible window.
+            processes: {
+                700: "C:\\Windows\\System32\\Magnify.exe"
+            }
+        }
+    });
+    var sim = that.native;
+    var nvda, notepad;
+
+    sim.createWindow({ pid: 700, className: "MagUIClass" });
+    that.events.onStartMetrics.fire();
+
+    gpii.tests.metrics.windowsMetrics.runSteps([
+        function () {
+            sim.startProcess(500, "C:\\Program Files (x86)\\NVDA\\nvda.exe");
+            sim.startProcess(600, "C:\\Windows\\notepad.exe");
+            nvda = sim.createWindow({ pid: 500, className: "wxWindowNR" });
+            notepad = sim.createWindow({ pid: 600, className: "Notepad" });
+            sim.activateWindow(nvda);
+        },
+        function () {
+            sim.advanceTime(10000);
+            sim.activateWindow(notepad);
+        },
+        function () {
+            sim.advanceTime(20000);
+            sim.activateWindow(nvda);
+        },
+        function () {
+            sim.advanceTime(5000);
+            sim.activateWindow(notepad);
+        },
+        function () {
+            sim.advanceTime(5000);
+            sim.exitProcess(500);
+        },
+        function () {
+            // Let the process watcher notice.
+            sim.advanceTime(that.processWatcher.options.pollInterval);
+        },
+        function () {
+            var launches = fluid.transform(gpii.tests.metrics.windowsMetrics.getMetrics(that, "app-launch"),
+                function (metric) {
+                    return fluid.filterKeys(metric, ["pid", "product", "category"]);
+                });
+            jqUnit.assertDeepEq("The launches should be identified", [
+                { pid: 700, product: "Magnifier", category: "magnifier" },
+                { pid: 500, product: "NVDA", category: "screen-reader" },
+                { pid: 600 }
+            ], launches);
+
+            var sessions = gpii.tests.metrics.windowsMetrics.getMetrics(that, "at-session");
+            jqUnit.assertEquals("The session should be logged when the AT exits", 1, sessions.length);
+            jqUnit.assertDeepEq("The session should have the foreground time", {
+                product: "NVDA",
+                category: "screen-reader",
+                start: "2020-01-01T10:00:00.000Z",
+                foreground: 15000,
+                activations: 2,
+                ended: true
+            }, fluid.filterKeys(sessions[0], ["product", "category", "start", "foreground", "activations", "ended"]));
+            // The window closing prompts the process watcher to check soon.
+            jqUnit.assertEquals("The session should last until the AT exit is noticed",
+                40000 + that.processWatcher.options.soonDelay, sessions[0].duration);
+
+            that.events.onStopMetrics.fire();
+            sessions = gpii.tests.metrics.windowsMetrics.getMetrics(that, "at-session");
+            jqUnit.assertEquals("The running AT's session should be logged when the metrics stop", 2, sessions.length);
+            jqUnit.assertDeepEq("The session should be for the AT that's still running", {
+                product: "Magnifier",
+                category: "magnifier",
+                foreground: 0,
+                activations: 0,
+                ended: false
+            }, fluid.filterKeys(sessions[1], ["product", "category", "foreground", "activations", "ended"]));
+
+            that.destroy();
+            jqUnit.start();
+        }
+    ]);
+});
+
+// The metrics component, on a machine with a known machine ID.
+fluid.defaults("gpii.tests.metrics.windowsMetrics.machine", {
+    gradeNames: ["gpii.tests.metrics.windowsMetrics.recorder"],
+    machineID: "gpii.tests.metrics.windowsMetrics machine",
+    components: {
+        installID: {
+            options: {
+                invokers: {
+                    getMachineID: {
+                        funcName: "fluid.identity",
+                        args: ["{gpii.tests.metrics.windowsMetrics.machine}.options.machineID"]
+                    }
+                }
+            }
+        }
+    }
+});
+
+jqUnit.test("Testing genericisePath", function () {
+    var env = {
+        USERNAME: "vagrant",
+        USERPROFILE: "C:\\Users\\vagrant",
+        ProgramFiles: "C:\\Program Files"
+    };
+
+    var tests = {
+        "C:\\Users\\vagrant\\Desktop\\app.exe": "%USERPROFILE%\\Desktop\\app.exe",
+        "C:\\Program Files\\App\\app.exe": "%ProgramFiles%\\App\\app.exe",
+        // Different letter case
+        "c:\\USERS\\Vagrant\\Desktop\\app.exe": "%USERPROFILE%\\Desktop\\app.exe",
+        "C:\\PROGRAM FILES\\App\\app.exe": "%ProgramFiles%\\App\\app.exe",
+        // Another drive
+        "D:\\Users\\vagrant\\app.exe": "D:\\Users\\%USERNAME%\\app.exe",
+        "d:\\Tools\\app.exe": "D:\\Tools\\app.exe",
+        // UNC
+        "\\\\server\\share\\home\\vagrant\\app.exe": "\\\\%SERVER%\\share\\home\\%USERNAME%\\app.exe",
+        "\\\\server\\share\\app.exe": "\\\\%SERVER%\\share\\app.exe",
+        // The profile only matches a whole directory name, but the user name is hidden wherever it is.
+        "C:\\Users\\vagrantx\\app.exe": "C:\\Users\\%USERNAME%x\\app.exe",
+        "C:\\Tools\\my-vagrant-tools\\app.exe": "C:\\Tools\\my-%USERNAME%-tools\\app.exe",
+        "\\\\?\\C:\\Users\\vagrant\\..\\Public\\app.exe": "C:\\Users\\Public\\app.exe",
+        "": ""
+    };
+
+    fluid.each(tests, function (expected, rawPath) {
+        jqUnit.assertEquals("genericisePath(" + rawPath + ")", expected,
+            gpii.windows.metrics.genericisePath(rawPath, env));
+    });
+
+    jqUnit.assertEquals("A configured prefix should be used", "%TOOLS%\\app.exe",
+        gpii.windows.metrics.genericisePath("c:\\tools\\app.exe", env, {
+            prefixes: [{ prefix: "C:\\Tools\\", name: "TOOLS" }]
+        }));
+    jqUnit.assertEquals("The environment should take precedence over a configured prefix",
+        "%USERPROFILE%\\app.exe", gpii.windows.metrics.genericisePath("C:\\Users\\vagrant\\app.exe", env, {
+            prefixes: [{ prefix: "C:\\Users\\vagrant", name: "PROFILE" }]
+        }));
+    jqUnit.assertEquals("The user name from the options should be used", "C:\\Tools\\%USERNAME%\\app.exe",
+        gpii.windows.metrics.genericisePath("C:\\Tools\\other\\app.exe", env, { username: "other" }));
+});
+
+jqUnit.test("Testing hideUsername", function () {
+    var hideUsername = gpii.windows.metrics.hideUsername;
+
+    jqUnit.assertEquals("The user name should be replaced in any case", "C:\\%USERNAME%\\%USERNAME%.exe",
+        hideUsername("C:\\VAGRANT\\vagrant.exe", "Vagrant"));
+    jqUnit.assertEquals("The user name should be replaced within another directory name",
+        "C:\\Tools\\%USERNAME%s\\app.exe", hideUsername("C:\\Tools\\vagrants\\app.exe", "vagrant"));
+    jqUnit.assertEquals("The 8.3 short name should be replaced", "C:\\Users\\%USERNAME%\\app.exe",
+        hideUsername("C:\\Users\\LONGUS~1\\app.exe", "longusername"));
+    jqUnit.assertEquals("The 8.3 short name of a name with spaces should be replaced",
+        "C:\\Users\\%USERNAME%\\app.exe", hideUsername("C:\\Users\\JOHNSM~2\\app.exe", "John Smith"));
+    jqUnit.assertEquals("A short user name should only be replaced as a whole directory name",
+        "C:\\Tools\\%USERNAME%\\algebra\\al.exe", hideUsername("C:\\Tools\\al\\algebra\\al.exe", "al"));
+    jqUnit.assertEquals("The environment variables in a genericised path should be left alone",
+        "%USERPROFILE%\\%USERNAME%\\app.exe", hideUsername("%USERPROFILE%\\user\\app.exe", "user"));
+    jqUnit.assertEquals("A user name with special characters should be matched literally",
+        "C:\\Users\\%USERNAME%\\a.exe", hideUsername("C:\\Users\\j.doe\\a.exe", "j.doe"));
+    jqUnit.assertEquals("A path should be unchanged without a user name", "C:\\Users\\vagrant",
+        hideUsername("C:\\Users\\vagrant"));
+});
+
+jqUnit.test("Testing the default redaction salt", function () {
+    var first = gpii.tests.metrics.windowsMetrics.machine();
+    var second = gpii.tests.metrics.windowsMetrics.machine();
+    var other = gpii.tests.metrics.windowsMetrics.machine({ machineID: "another machine" });
+    var configured = gpii.tests.metrics.windowsMetrics.machine({ siteConfig: { redaction: { salt: "configured" } } });
+
+    var hash = function (that) {
+        return gpii.windows.metrics.redaction.hash(that.redaction, "ApplicationFrameWindow");
+    };
+
+    jqUnit.assertEquals("The hashes should be the same for each run on the machine", hash(first), hash(second));
+    jqUnit.assertNotEquals("The hashes should differ between machines", hash(first), hash(other));
+    jqUnit.assertNotEquals("The salt should not be the installation ID", first.installID.getInstallID(),
+        first.redaction.salt);
+    jqUnit.assertEquals("A configured salt should be used", "configured", configured.redaction.salt);
+
+    fluid.each([first, second, other, configured], function (that) {
+        that.destroy();
+    });
+});
+
+jqUnit.asyncTest("Testing device ids are the same for each run", function () {
+    var ids = [];
+    var that;
+
+    var run = function (hDevice) {
+        return [
+            function () {
+                that = gpii.tests.metrics.windowsMetrics.machine();
+                that.events.onStartMetrics.fire();
+                // The same keyboard, which gets a different handle each time.
+                that.native.addDevice(hDevice, {
+                    name: "\\\\?\\HID#VID_2222&PID_0001#1&1&0#{884b96c3-56ef-11d1-bc8c-00a0c91405dd}",
+                    type: 1,
+                    usagePage: 1,
+                    usage: 6
+                });
+            },
+            function () {
+                var added = gpii.tests.metrics.windowsMetrics.getMetrics(that, "device-added");
+                jqUnit.assertEquals("The attached device should be logged", 1, added.length);
+                ids.push(added[0].device);
+                that.destroy();
+            }
+        ];
+    };
+
+    gpii.tests.metrics.windowsMetrics.runSteps(run(0x20001).concat(run(0x20002), function () {
+        jqUnit.assertEquals("The device id should be the same in each run", ids[0], ids[1]);
+        jqUnit.start();
+    }));
+});
@@ -0,0 +1,774 @@
+/*
+ * A simulated Windows for gpii.windowsMetrics, so the metrics can be created and driven on any platform.
+ *
+ * This is only for the tests, which load it before windowsMetrics.js. It isn't part of the patch.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fluid = require("gpii-universal");
+
+var gpii = fluid.registerNamespace("gpii"),
+    windows = fluid.registerNamespace("gpii.windows");
+fluid.registerNamespace("gpii.windows.metrics.nativeAdapter");
+fluid.registerNamespace("gpii.windows.spi");
+
+if (!windows.loWord) {
+    windows.loWord = function (value) {
+        return value & 0xffff;
+    };
+    windows.hiWord = function (value) {
+        return (value >> 16) & 0xffff;
+    };
+}
+
+if (!windows.spi.actionsLookup) {
+    // A few of the SPI actions, keyed by value (the real table is built by the spiSettingsHandler).
+    windows.spi.actionsLookup = {
+        0x33: "SPI_SETFILTERKEYS",
+        0x3B: "SPI_SETSTICKYKEYS",
+        0x43: "SPI_SETHIGHCONTRAST",
+        0x4B: "SPI_SETFONTSMOOTHING",
+        0x57: "SPI_SETCURSORS",
+        0x71: "SPI_SETMOUSESPEED",
+        0x2007: "SPI_SETCARETWIDTH"
+    };
+}
+
+if (!fluid.defaults("gpii.windows.messages")) {
+    /**
+     * Stands in for gpii.windows.messages (from gpii-windows), when the real message window isn't available.
+     */
+    fluid.defaults("gpii.windows.messages", {
+        gradeNames: ["fluid.component", "fluid.resolveRootSingle"],
+        singleRootType: "gpii.windows.messages",
+        members: {
+            windowHandle: 0xbeef
+        },
+        events: {
+            // hwnd, msg, wParam, lParam
+            onMessage: null
+        },
+        invokers: {
+            start: "fluid.identity",
+            stop: "fluid.identity",
+            getWindowHandle: {
+                funcName: "fluid.identity",
+                args: ["{that}.windowHandle"]
+            }
+        }
+    });
+
+    gpii.windows.messages();
+}
+
+/**
+ * Gets the component which distributes window messages; either the real one, or the simulated one.
+ *
+ * @return {Component} The gpii.windows.messages instance.
+ */
+windows.metrics.nativeAdapter.getMessagesComponent = function () {
+    return fluid.queryIoCSelector(fluid.rootComponent, "gpii.windows.messages")[0];
+};
+
+/**
+ * The initial state of the simulated system.
+ */
+windows.metrics.nativeAdapter.simulatedDefaults = {
+    // The starting value of the GetMessageTime clock.
+    time: 1000,
+    // The starting time of the clock (default: now).
+    clockTime: null,
+    screen: { width: 1920, height: 1080 },
+    desktop: { width: 1920, height: 1080 },
+    // The size of all monitors (defaults to the screen).
+    virtualScreen: null,
+    // The monitors, as returned by getMonitors (defaults to one monitor, the size of the screen).
+    monitors: null,
+    wow64: false,
+    // "HKEY_LOCAL_MACHINE\\path\\valueName": value
+    registry: {
+        "HKEY_LOCAL_MACHINE\\64:SOFTWARE\\Microsoft\\Windows NT\\CurrentVersion\\ProductName": "Windows 10 Simulated",
+        "HKEY_LOCAL_MACHINE\\64:SYSTEM\\CurrentControlSet\\Control\\SystemInformation\\SystemManufacturer": "GPII",
+        "HKEY_LOCAL_MACHINE\\64:SYSTEM\\CurrentControlSet\\Control\\SystemInformation\\SystemProductName": "Simulator",
+        "HKEY_LOCAL_MACHINE\\64:SOFTWARE\\Microsoft\\Cryptography\\MachineGuid": "00000000-0000-0000-0000-000000000000",
+        "HKEY_LOCAL_MACHINE\\SYSTEM\\CurrentControlSet\\Control\\Keyboard Layouts\\00000409\\Layout Text": "US",
+        "HKEY_LOCAL_MACHINE\\SYSTEM\\CurrentControlSet\\Control\\Keyboard Layouts\\00000809\\Layout Text":
+            "United Kingdom",
+        "HKEY_LOCAL_MACHINE\\SYSTEM\\CurrentControlSet\\Control\\Keyboard Layouts\\00000407\\Layout Text": "German",
+        "HKEY_CURRENT_USER\\Control Panel\\International\\LocaleName": "en-US",
+        "HKEY_CURRENT_USER\\Control Panel\\Accessibility\\HighContrast\\Flags": "126",
+        "HKEY_CURRENT_USER\\Software\\Microsoft\\Windows\\CurrentVersion\\Themes\\CurrentTheme":
+            "C:\\Windows\\resources\\Themes\\aero.theme"
+    },
+    // The active keyboard layout (KLID).
+    keyboardLayout: "00000409",
+    // The system parameters, for querySpi: SPI_GET* action => value
+    spi: {
+        // SPI_GETFILTERKEYS
+        "50": { on: false, wait: 1000, delay: 500, repeat: 500, bounce: 0 },
+        // SPI_GETSTICKYKEYS
+        "58": false,
+        // SPI_GETHIGHCONTRAST
+        "66": false,
+        // SPI_GETFONTSMOOTHING
+        "74": true,
+        // SPI_GETMOUSESPEED
+        "112": 10,
+        // SPI_GETCARETWIDTH
+        "8198": 1
+    },
+    // Some locales, for LCIDToLocaleName: lcid => name
+    locales: {
+        "1031": "de-DE",
+        "1033": "en-US",
+        "1036": "fr-FR",
+        "2057": "en-GB",
+        "3082": "es-ES"
+    },
+    // pid: exe path
+    processes: {},
+    // The device handle for the simulated keyboard and mouse (0 means injected input).
+    keyboardDevice: 0x10001,
+    mouseDevice: 0x10002,
+    touchDevice: 0x10003,
+    // The raw input devices: hDevice => {name, type, usagePage, usage}
+    devices: {
+        "65537": {
+            name: "\\\\?\\HID#VID_1111&PID_0001#1&1&0#{884b96c3-56ef-11d1-bc8c-00a0c91405dd}",
+            type: 1,
+            usagePage: 1,
+            usage: 6
+        },
+        "65538": {
+            name: "\\\\?\\HID#VID_1111&PID_0002#1&1&0#{378de44c-56ef-11d1-bc8c-00a0c91405dd}",
+            type: 0,
+            usagePage: 1,
+            usage: 2
+        },
+        "65539": {
+            name: "\\\\?\\HID#VID_1111&PID_0003&Col01#1&1&0#{4d1e55b2-f16f-11cf-88cb-001111000030}",
+            type: 2,
+            usagePage: 0x0D,
+            usage: 4
+        }
+    }
+};
+
+/**
+ * Creates a clock which only moves when it's told to, running the timers that become due on the way.
+ *
+ * @param {Number} time [optional] The starting time, in milliseconds since the epoch (default: now).
+ * @return {Clock} The simulated clock, which also has advance(), advanceTo() and setTime() to drive it.
+ */
+windows.metrics.nativeAdapter.simulatedClock = function (time) {
+    var clock = {
+        simulated: true,
+        time: typeof(time) === "number" ? time : Date.now(),
+        // The pending timers: [{id, due, interval, func, args}]
+        timers: [],
+        nextTimer: 1
+    };
+
+    var addTimer = function (func, delay, args, repeat) {
+        var timer = {
+            id: clock.nextTimer++,
+            due: clock.time + Math.max(0, delay || 0),
+            // An interval of 0 would never let the clock move.
+            interval: repeat ? Math.max(1, delay || 0) : 0,
+            func: func,
+            args: args
+        };
+        clock.timers.push(timer);
+        return timer.id;
+    };
+
+    var removeTimer = function (id) {
+        clock.timers = clock.timers.filter(function (timer) {
+            return timer.id !== id;
+        });
+    };
+
+    clock.now = function () {
+        return clock.time;
+    };
+    clock.setTimeout = function (func, delay) {
+        return addTimer(func, delay, Array.prototype.slice.call(arguments, 2), false);
+    };
+    clock.setInterval = function (func, interval) {
+        return addTimer(func, interval, Array.prototype.slice.call(arguments, 2), true);
+    };
+    clock.clearTimeout = removeTimer;
+    clock.clearInterval = removeTimer;
+
+    /**
+     * Moves the clock forward, running the timers that become due in the order they're due.
+     * @param {Number} newTime The time to move to. The clock doesn't go backwards.
+     */
+    clock.advanceTo = function (newTime) {
+        var next;
+        do {
+            next = null;
+            fluid.each(clock.timers, function (timer) {
+                if (timer.due <= newTime && (!next || timer.due < next.due)) {
+                    next = timer;
+                }
+            });
+            if (next) {
+                clock.time = Math.max(clock.time, next.due);
+                if (next.interval) {
+                    next.due += next.interval;
+                } else {
+                    removeTimer(next.id);
+                }
+                next.func.apply(null, next.args);
+            }
+        } while (next);
+        clock.time = Math.max(clock.time, newTime);
+    };
+
+    /**
+     * Moves the clock forward by some time, running the timers that become due.
+     * @param {Number} ms The number of milliseconds.
+     */
+    clock.advance = function (ms) {
+        clock.advanceTo(clock.time + ms);
+    };
+
+    /**
+     * Sets the time, without running any timers. The timers keep the time they have left.
+     * @param {Number} newTime The new time.
+     */
+    clock.setTime = function (newTime) {
+        var offset = newTime - clock.time;
+        fluid.each(clock.timers, function (timer) {
+            timer.due += offset;
+        });
+        clock.time = newTime;
+    };
+
+    return clock;
+};
+
+/**
+ * Creates a native adapter which simulates Windows: windows, processes, the registry, key states and raw input are
+ * all held in memory. As well as the NativeAdapter functions, it has functions to drive the simulation, which send
+ * messages through the gpii.windows.messages component the same way Windows would.
+ *
+ * @param {Object} options [optional] Initial state, merged with windows.metrics.nativeAdapter.simulatedDefaults.
+ * @return {NativeAdapter} The simulated native adapter.
+ */
+windows.metrics.nativeAdapter.simulated = function (options) {
+    options = fluid.extend(true, {}, windows.metrics.nativeAdapter.simulatedDefaults, options);
+    var constants = windows.API_constants;
+
+    var sim = {
+        simulated: true,
+        // The time of the GetMessageTime clock.
+        time: options.time,
+        // The clock for the component (Date.now and the timers).
+        clock: windows.metrics.nativeAdapter.simulatedClock(options.clockTime),
+        // vk => true if down
+        keys: {},
+        // hwnd => {pid, className, parent}
+        windows: {},
+        // pid => {exe, running, appId, creationTime, exitTime, restricted}. A restricted process can't be opened.
+        processes: {},
+        // The handles from openProcess: handle => process
+        processHandles: {},
+        registry: fluid.copy(options.registry),
+        foregroundWindow: 0,
+        // The devices passed to registerRawInputDevices
+        rawInputDevices: [],
+        shellHookWindows: [],
+        nextHandle: 0x10000,
+        cursor: { x: 0, y: 0 },
+        devices: fluid.copy(options.devices),
+        keyboardLayout: options.keyboardLayout,
+        spi: fluid.copy(options.spi),
+        monitors: fluid.copy(options.monitors) || [{
+            name: "\\\\.\\DISPLAY1",
+            primary: true,
+            x: 0,
+            y: 0,
+            width: options.screen.width,
+            height: options.screen.height,
+            dpi: Math.round(96 * options.screen.width / options.desktop.width),
+            orientation: 0,
+            refreshRate: 60
+        }]
+    };
+
+    fluid.each(options.processes, function (exe, pid) {
+        sim.processes[pid] = { exe: exe, running: true, creationTime: sim.clock.now() };
+    });
+
+    /* NativeAdapter functions */
+
+    sim.getMessageTime = function () {
+        // Like the real one, it's a signed 32-bit value [GPII-3877].
+        return sim.time | 0;
+    };
+    sim.getKeyState = function (keycode) {
+        return sim.keys[keycode] ? 0x8000 : 0;
+    };
+    sim.mapVirtualKey = function (code, mapType) {
+        // 0-9, A-Z map directly.
+        var alphanumeric = (code >= 0x30 && code <= 0x39) || (code >= 0x41 && code <= 0x5A);
+        if (mapType === constants.MAPVK_VK_TO_CHAR && alphanumeric) {
+            return code;
+        }
+        return code === constants.virtualKeyCodes.VK_SPACE ? 0x20 : 0;
+    };
+    sim.getForegroundWindow = function () {
+        return sim.foregroundWindow;
+    };
+    sim.getClassName = function (hwnd) {
+        var win = sim.windows[hwnd];
+        return win ? win.className : null;
+    };
+    sim.getWindowProcessId = function (hwnd) {
+        var win = sim.windows[hwnd];
+        return win ? win.pid : 0;
+    };
+    sim.getProcessPath = function (pid) {
+        var proc = sim.processes[pid];
+        return proc ? proc.exe : null;
+    };
+    sim.enumerateWindows = function (parent, callback) {
+        return fluid.find(sim.windows, function (win, hwnd) {
+            if ((win.parent || 0) === (parent || 0)) {
+                return callback(parseInt(hwnd));
+            }
+        });
+    };
+    sim.isProcessRunning = function (pid) {
+        var proc = sim.processes[pid];
+        return !!(proc && proc.running);
+    };
+    sim.openProcess = function (pid) {
+        var proc = sim.processes[pid];
+        if (!proc || !proc.running || proc.restricted) {
+            return null;
+        }
+        var hProcess = ++sim.nextHandle;
+        sim.processHandles[hProcess] = proc;
+        return hProcess;
+    };
+    sim.getProcessTimes = function (hProcess) {
+        // Like a real handle, this refers to the process it was opened for, even if the pid has been re-used.
+        var proc = sim.processHandles[hProcess];
+        return proc ? { creationTime: proc.creationTime, exitTime: proc.running ? null : proc.exitTime } : null;
+    };
+    sim.closeProcess = function (hProcess) {
+        delete sim.processHandles[hProcess];
+    };
+    sim.readRegistryKey = function (baseKey, path, valueName) {
+        var value = sim.registry[baseKey + "\\" + path + "\\" + valueName];
+        return value === undefined ? { statusCode: 404 } : { statusCode: 200, value: value };
+    };
+    sim.getScreenResolution = function () {
+        return fluid.copy(options.screen);
+    };
+    sim.getDesktopSize = function () {
+        return fluid.copy(options.desktop);
+    };
+    sim.getRawInputDeviceList = function () {
+        return fluid.transform(Object.keys(sim.devices), function (hDevice) {
+            return parseInt(hDevice);
+        });
+    };
+    sim.getRawInputDeviceInfo = function (hDevice) {
+        return sim.devices[hDevice] ? fluid.copy(sim.devices[hDevice]) : null;
+    };
+    sim.getDigitizerContacts = function (hDevice, hid) {
+        // The simulated reports hold the count directly.
+        return hid.contacts === undefined ? null : hid.contacts;
+    };
+    sim.getAppUserModelId = function (pid) {
+        var proc = sim.processes[pid];
+        return (proc && proc.running && proc.appId) || null;
+    };
+    sim.getMonitors = function () {
+        return fluid.copy(sim.monitors);
+    };
+    sim.getVirtualScreenSize = function () {
+        return fluid.copy(options.virtualScreen || options.screen);
+    };
+    sim.getCursorPos = function () {
+        return fluid.copy(sim.cursor);
+    };
+    sim.isWow64 = function () {
+        return options.wow64;
+    };
+    sim.readWideString = function (lParam) {
+        // The strings are passed as-is.
+        return typeof(lParam) === "string" ? lParam : null;
+    };
+    sim.getLocaleName = function (lcid) {
+        return options.locales[lcid] || null;
+    };
+    sim.getKeyboardLayoutName = function () {
+        return sim.keyboardLayout;
+    };
+    sim.querySpi = function (action) {
+        return sim.spi[action] === undefined ? null : fluid.copy(sim.spi[action]);
+    };
+    sim.registerShellHookWindow = function (hwnd) {
+        sim.shellHookWindows.push(hwnd);
+        return true;
+    };
+    sim.registerRawInputDevices = function (devices) {
+        fluid.each(devices, function (device) {
+            fluid.remove_if(sim.rawInputDevices, function (registered) {
+                return registered.usagePage === device.usagePage && registered.usage === device.usage;
+            });
+            if (!(device.flags & constants.RIDEV_REMOVE)) {
+                sim.rawInputDevices.push(fluid.copy(device));
+            }
+        });
+        return true;
+    };
+    sim.getRawInputData = function (lParam) {
+        // The simulated WM_INPUT lParam is the RAWINPUT structure itself.
+        var promise = fluid.promise();
+        if (lParam && lParam.header) {
+            promise.resolve(lParam);
+        } else {
+            promise.reject({isError: true, returnCode: -1, errorCode: 6, message: "Invalid raw input handle"});
+        }
+        return promise;
+    };
+
+    /* Simulation drivers */
+
+    /**
+     * Moves time forward: the GetMessageTime clock, and the component's clock (running the timers that become due).
+     * @param {Number} ms The number of milliseconds.
+     */
+    sim.advanceTime = function (ms) {
+        sim.time += ms;
+        sim.clock.advance(ms);
+    };
+
+    /**
+     * Sets whether or not a key is being held down.
+     * @param {Number} keycode The virtual key code.
+     * @param {Boolean} down true if the key is down.
+     */
+    sim.setKeyState = function (keycode, down) {
+        sim.keys[keycode] = !!down;
+    };
+
+    /**
+     * Sets a registry value.
+     * @param {String} baseKey The base key, eg "HKEY_LOCAL_MACHINE".
+     * @param {String} path The path of the key.
+     * @param {String} valueName The name of the value.
+     * @param {Any} value The data.
+     */
+    sim.setRegistryValue = function (baseKey, path, valueName, value) {
+        sim.registry[baseKey + "\\" + path + "\\" + valueName] = value;
+    };
+
+    /**
+     * Attaches a raw input device, sending WM_INPUT_DEVICE_CHANGE.
+     * @param {Number} hDevice The device handle.
+     * @param {Object} device The device: {name, type, usagePage, usage}.
+     */
+    sim.addDevice = function (hDevice, device) {
+        sim.devices[hDevice] = device;
+        sim.sendMessage(constants.WM_INPUT_DEVICE_CHANGE, constants.GIDC_ARRIVAL, hDevice);
+    };
+
+    /**
+     * Removes a raw input device, sending WM_INPUT_DEVICE_CHANGE.
+     * @param {Number} hDevice The device handle.
+     */
+    sim.removeDevice = function (hDevice) {
+        delete sim.devices[hDevice];
+        sim.sendMessage(constants.WM_INPUT_DEVICE_CHANGE, constants.GIDC_REMOVAL, hDevice);
+    };
+
+    /**
+     * Starts a process.
+     * @param {Number} pid The process ID.
+     * @param {String} exe The executable path.
+     * @param {String} appId [optional] The app id, for a packaged (UWP) application.
+     */
+    sim.startProcess = function (pid, exe, appId) {
+        sim.processes[pid] = { exe: exe, running: true, appId: appId || null, creationTime: sim.clock.now() };
+    };
+
+    /**
+     * Ends a process, destroying its windows.
+     * @param {Number} pid The process ID.
+     * @param {Boolean} silent [optional] true to not send the shell messages, as though they were missed.
+     */
+    sim.exitProcess = function (pid, silent) {
+        fluid.each(fluid.copy(sim.windows), function (win, hwnd) {
+            if (win.pid === pid) {
+                sim.destroyWindow(parseInt(hwnd), silent);
+            }
+        });
+        if (sim.processes[pid]) {
+            sim.processes[pid].running = false;
+            sim.processes[pid].exitTime = sim.clock.now();
+        }
+    };
+
+    /**
+     * Creates a window, sending the HSHELL_WINDOWCREATED shell message if it's top-level.
+     * @param {Object} windowInfo The window: {pid, className, parent, hwnd}. hwnd is generated if not provided.
+     * @return {Number} The window handle.
+     */
+    sim.createWindow = function (windowInfo) {
+        var hwnd = windowInfo.hwnd || ++sim.nextHandle;
+        sim.windows[hwnd] = {
+            pid: windowInfo.pid,
+            className: windowInfo.className || "SimulatedWindow",
+            parent: windowInfo.parent || 0
+        };
+        if (!windowInfo.parent) {
+            sim.sendShellMessage(constants.HSHELL_WINDOWCREATED, hwnd);
+        }
+        return hwnd;
+    };
+
+    /**
+     * Destroys a window, sending the HSHELL_WINDOWDESTROYED shell message if it's top-level.
+     * @param {Number} hwnd The window handle.
+     * @param {Boolean} silent [optional] true to not send the shell message, as though it was missed.
+     */
+    sim.destroyWindow = function (hwnd, silent) {
+        var win = sim.windows[hwnd];
+        if (win) {
+            delete sim.windows[hwnd];
+            if (sim.foregroundWindow === hwnd) {
+                sim.foregroundWindow = 0;
+            }
+            if (!win.parent && !silent) {
+                sim.sendShellMessage(constants.HSHELL_WINDOWDESTROYED, hwnd);
+            }
+        }
+    };
+
+    /**
+     * Makes a window the foreground window, sending the HSHELL_WINDOWACTIVATED shell message.
+     * @param {Number} hwnd The window handle.
+     */
+    sim.activateWindow = function (hwnd) {
+        sim.foregroundWindow = hwnd;
+        sim.sendShellMessage(constants.HSHELL_WINDOWACTIVATED, hwnd);
+    };
+
+    /**
+     * Sends a message to the message window.
+     * @param {Number} msg The message identifier.
+     * @param {Number} wParam Message specific data.
+     * @param {Any} lParam Additional message specific data.
+     */
+    sim.sendMessage = function (msg, wParam, lParam) {
+        var messages = windows.metrics.nativeAdapter.getMessagesComponent();
+        messages.events.onMessage.fire(messages.getWindowHandle(), msg, wParam, lParam);
+    };
+
+    /**
+     * Sends a WM_SHELLHOOK message to the message window.
+     * @param {Number} code The HSHELL_* code.
+     * @param {Number} hwnd The window the message is about.
+     */
+    sim.sendShellMessage = function (code, hwnd) {
+        sim.sendMessage(constants.WM_SHELLHOOK, code, hwnd);
+    };
+
+    /**
+     * Changes the monitors, sending WM_DISPLAYCHANGE. The screen becomes the primary monitor, and the virtual screen
+     * the area covering all of them.
+     * @param {Array<Object>} monitors The monitors, as returned by getMonitors.
+     */
+    sim.setMonitors = function (monitors) {
+        sim.monitors = fluid.copy(monitors);
+        var primary = fluid.find(monitors, function (monitor) {
+            return monitor.primary ? monitor : undefined;
+        }) || monitors[0];
+        var left = Math.min.apply(null, fluid.transform(monitors, function (m) { return m.x; })),
+            top = Math.min.apply(null, fluid.transform(monitors, function (m) { return m.y; })),
+            right = Math.max.apply(null, fluid.transform(monitors, function (m) { return m.x + m.width; })),
+            bottom = Math.max.apply(null, fluid.transform(monitors, function (m) { return m.y + m.height; }));
+
+        options.screen = { width: primary.width, height: primary.height };
+        options.virtualScreen = { width: right - left, height: bottom - top };
+        sim.sendMessage(constants.WM_DISPLAYCHANGE, 32, (primary.height << 16 | primary.width) >>> 0);
+    };
+
+    /**
+     * Sends WM_SETTINGCHANGE, like SystemParametersInfo or a program broadcasting a change to a section.
+     * @param {Number} action The SPI_SET* action, or 0 (or 1 for a machine policy).
+     * @param {String} section [optional] The section name, like "intl" or "Policy".
+     */
+    sim.sendSettingChange = function (action, section) {
+        sim.sendMessage(constants.WM_SETTINGCHANGE, action, section || 0);
+    };
+
+    /**
+     * Changes a system parameter, sending WM_SETTINGCHANGE as SystemParametersInfo does.
+     * @param {Number} action The SPI_SET* action. The value is stored for the SPI_GET* action, which (for the actions
+     *  that are simulated) is the one before.
+     * @param {Any} value The new value, as returned by querySpi.
+     */
+    sim.systemParametersInfo = function (action, value) {
+        sim.spi[action - 1] = value;
+        sim.sendSettingChange(action);
+    };
+
+    /**
+     * Turns high-contrast on or off, sending the messages that Windows sends.
+     * @param {Boolean} on true to turn it on.
+     * @param {String} scheme [optional] The name of the high-contrast scheme, like "High Contrast Black".
+     */
+    sim.setHighContrast = function (on, scheme) {
+        var accessibility = "Control Panel\\Accessibility\\HighContrast";
+        sim.setRegistryValue("HKEY_CURRENT_USER", accessibility, "Flags", on ? "127" : "126");
+        if (scheme) {
+            sim.setRegistryValue("HKEY_CURRENT_USER", accessibility, "High Contrast Scheme", scheme);
+        }
+        // SPI_SETHIGHCONTRAST
+        sim.systemParametersInfo(0x43, !!on);
+        sim.sendMessage(constants.WM_SYSCOLORCHANGE, 0, 0);
+        sim.sendMessage(constants.WM_THEMECHANGED, 0, 0);
+    };
+
+    /**
+     * Switches the input language, sending WM_INPUTLANGCHANGE.
+     * @param {Number} lcid The language (locale identifier), like 0x809.
+     * @param {String} layout [optional] The keyboard layout (KLID), like "00000809". Defaults to the language's layout.
+     */
+    sim.setInputLanguage = function (lcid, layout) {
+        sim.keyboardLayout = layout || ("0000000" + lcid.toString(16)).slice(-8).toUpperCase();
+        var hkl = (parseInt(sim.keyboardLayout.slice(-4), 16) << 16 | lcid) >>> 0;
+        sim.sendMessage(constants.WM_INPUTLANGCHANGE, 0, hkl);
+    };
+
+    /**
+     * Sends the WM_INPUT message for a key.
+     * @param {Number} keycode The virtual key code.
+     * @param {Object} keyOptions [optional] {up: false for WM_KEYDOWN, device: device handle (0 for injected)}
+     */
+    sim.sendKey = function (keycode, keyOptions) {
+        keyOptions = keyOptions || {};
+        var up = keyOptions.up !== false;
+        // WM_SYSKEY* is sent while ALT is held.
+        var sys = sim.keys[constants.virtualKeyCodes.VK_MENU] || keycode === constants.virtualKeyCodes.VK_MENU;
+        sim.setKeyState(keycode, !up);
+        sim.sendMessage(constants.WM_INPUT, 0, {
+            header: {
+                dwType: constants.RIM_TYPEKEYBOARD,
+                hDevice: keyOptions.device === undefined ? options.keyboardDevice : keyOptions.device
+            },
+            keyboard: {
+                VKey: keycode,
+                Message: sys
+                    ? (up ? constants.WM_SYSKEYUP : constants.WM_SYSKEYDOWN)
+                    : (up ? constants.WM_KEYUP : constants.WM_KEYDOWN),
+                Flags: up ? 1 : 0
+            }
+        });
+    };
+
+    /**
+     * Sends the WM_INPUT message for a mouse event, moving the cursor (without acceleration).
+     * @param {Object} mouse The RAWMOUSE fields: {usFlags, usButtonFlags, usButtonData, lLastX, lLastY,
+     *  ulExtraInformation, device}. Missing fields are 0.
+     */
+    sim.sendMouse = function (mouse) {
+        var size = (mouse.usFlags & constants.MOUSE_VIRTUAL_DESKTOP) ? sim.getVirtualScreenSize() : options.screen;
+        if (mouse.usFlags & constants.MOUSE_MOVE_ABSOLUTE) {
+            sim.cursor = {
+                x: Math.round((mouse.lLastX || 0) * (size.width - 1) / 0xffff),
+                y: Math.round((mouse.lLastY || 0) * (size.height - 1) / 0xffff)
+            };
+        } else {
+            sim.cursor = {
+                x: Math.min(Math.max(sim.cursor.x + (mouse.lLastX || 0), 0), size.width - 1),
+                y: Math.min(Math.max(sim.cursor.y + (mouse.lLastY || 0), 0), size.height - 1)
+            };
+        }
+
+        sim.sendMessage(constants.WM_INPUT, 0, {
+            header: {
+                dwType: constants.RIM_TYPEMOUSE,
+                hDevice: mouse.device === undefined ? options.mouseDevice : mouse.device
+            },
+            mouse: {
+                usFlags: mouse.usFlags || 0,
+                usButtonFlags: mouse.usButtonFlags || 0,
+                usButtonData: mouse.usButtonData || 0,
+                lLastX: mouse.lLastX || 0,
+                lLastY: mouse.lLastY || 0,
+                ulExtraInformation: mouse.ulExtraInformation || 0
+            }
+        });
+    };
+
+    /**
+     * Sends the WM_INPUT message for a touch screen report.
+     * @param {Number} contacts The number of fingers touching the screen.
+     * @param {Number} device [optional] The device handle.
+     */
+    sim.sendTouchReport = function (contacts, device) {
+        sim.sendMessage(constants.WM_INPUT, 0, {
+            header: {
+                dwType: constants.RIM_TYPEHID,
+                hDevice: device === undefined ? options.touchDevice : device
+            },
+            hid: {
+                dwSizeHid: 0,
+                dwCount: 1,
+                contacts: contacts
+            }
+        });
+    };
+
+    /**
+     * Sends the WM_INPUT message for mouse input that's been promoted from touch or pen input.
+     * @param {String} source "touch" or "pen".
+     * @param {Object} mouse The RAWMOUSE fields, as for sendMouse.
+     */
+    sim.sendPointer = function (source, mouse) {
+        sim.sendMouse(fluid.extend({
+            usFlags: constants.MOUSE_MOVE_ABSOLUTE,
+            device: 0,
+            ulExtraInformation: (constants.MI_WP_SIGNATURE | (source === "touch" ? 0x80 : 0)) >>> 0
+        }, mouse));
+    };
+
+    return sim;
+};
+
+fluid.defaults("gpii.windowsMetrics.test", {
+    // The simulation doesn't need Electron for the input metrics.
+    forceInputMetrics: true,
+    // Invalid metrics are bugs.
+    metricValidation: "throw",
+    // Initial state of the simulation (see windows.metrics.nativeAdapter.simulatedDefaults)
+    simulation: {},
+    members: {
+        native: "@expand:gpii.windows.metrics.nativeAdapter.simulated({that}.options.simulation)",
+        clock: "{that}.native.clock"
+    }
+});
@@ -0,0 +1,643 @@
+/*
+ * Produces reports from the metrics in the GPII event log files.
+ *
+ * Usage: node metricsReport.js [options] <log file or directory>...
+ *
+ * This runs offline, on a copy of the logs, so it only uses the built-in node modules.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    zlib = require("zlib");
+
+var metricsReport = module.exports = {};
+
+metricsReport.usage = [
+    "Usage: node metricsReport.js [options] <log file or directory>...",
+    "",
+    "Reads the event log files (log*.txt, and rotated log*.txt.gz), and reports on the metrics.",
+    "",
+    "Options:",
+    "  --report <names>    Comma separated reports to produce (default: all):",
+    "                      " + ["sessions", "typing", "apps", "idle", "config", "system"].join(", "),
+    "  --format <format>   table (default), json, or csv",
+    "  --interval <unit>   The period of each row of the typing report: day (default), hour, or session",
+    "  --help              Show this message"
+].join("\n");
+
+/**
+ * An entry in the event log. Each line of a log file is one of these, as JSON.
+ * @typedef {Object} LogEntry
+ * @property {String} module The module that logged it ("metrics" for the metrics).
+ * @property {String} event The event (metric) name.
+ * @property {Object} data The event's data.
+ * @property {String} timestamp The time it was logged (ISO 8601).
+ * @property {String} installID The installation.
+ * @property {String} sessionID The GPII session (a run of GPII).
+ * @property {Number} time [added] The timestamp, in milliseconds.
+ */
+
+/**
+ * A report: a table of rows.
+ * @typedef {Object} Report
+ * @property {String} title A description of the report.
+ * @property {Array<String>} columns The fields of each row, in order.
+ * @property {Array<Object>} rows The rows.
+ */
+
+/**
+ * Lists the log files to read. A directory is searched (not recursively) for the log files, including rotated ones.
+ *
+ * @param {Array<String>} inputs The files and directories.
+ * @return {Array<String>} The paths of the files.
+ */
+metricsReport.listFiles = function (inputs) {
+    var togo = [];
+    inputs.forEach(function (input) {
+        if (fs.statSync(input).isDirectory()) {
+            fs.readdirSync(input).sort().forEach(function (name) {
+                if (/^log.*\.txt(\.gz)?$/.test(name)) {
+                    togo.push(path.join(input, name));
+                }
+            });
+        } else {
+            togo.push(input);
+        }
+    });
+    return togo;
+};
+
+/**
+ * Reads the entries from a log file, which may be gzipped.
+ *
+ * @param {String} file The path of the file.
+ * @param {Object} stats Updated with the number of lines which couldn't be parsed: {invalidLines}.
+ * @return {Array<LogEntry>} The entries.
+ */
+metricsReport.readFile = function (file, stats) {
+    var content = fs.readFileSync(file);
+    if (/\.gz$/.test(file)) {
+        content = zlib.gunzipSync(content);
+    }
+
+    var togo = [];
+    content.toString("utf8").split(/\r?\n/).forEach(function (line) {
+        if (line.trim()) {
+            var entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                entry = null;
+            }
+            var time = entry && Date.parse(entry.timestamp);
+            if (time) {
+                entry.time = time;
+                togo.push(entry);
+            } else {
+                stats.invalidLines++;
+            }
+        }
+    });
+    return togo;
+};
+
+/**
+ * Reads the entries from the log files, in the order they were logged.
+ *
+ * @param {Array<String>} files The log files.
+ * @return {Object} {entries, invalidLines}
+ */
+metricsReport.readLogs = function (files) {
+    var togo = {
+        entries: [],
+        invalidLines: 0
+    };
+    files.forEach(function (file) {
+        togo.entries = togo.entries.concat(metricsReport.readFile(file, togo));
+    });
+
+    // Keep the order of the entries with the same timestamp.
+    togo.entries.forEach(function (entry, index) {
+        entry.index = index;
+    });
+    togo.entries.sort(function (a, b) {
+        return (a.time - b.time) || (a.index - b.index);
+    });
+    return togo;
+};
+
+/**
+ * Groups the entries into sessions - each run of GPII on an installation.
+ *
+ * @param {Array<LogEntry>} entries The entries, in time order.
+ * @return {Array<Object>} The sessions, in order of their start: {installID, sessionID, start, end, entries}.
+ */
+metricsReport.getSessions = function (entries) {
+    var sessions = {};
+    var togo = [];
+    entries.forEach(function (entry) {
+        var installID = entry.installID || "unknown";
+        var sessionID = entry.sessionID || "unknown";
+        var key = installID + "/" + sessionID;
+        var session = sessions[key];
+        if (!session) {
+            session = sessions[key] = {
+                installID: installID,
+                sessionID: sessionID,
+                start: entry.time,
+                end: entry.time,
+                entries: []
+            };
+            togo.push(session);
+        }
+        session.end = entry.time;
+        session.entries.push(entry);
+    });
+    return togo;
+};
+
+/**
+ * Gets the metrics of a session.
+ *
+ * @param {Object} session The session.
+ * @param {String|RegExp} eventName The metric name, or a pattern.
+ * @return {Array<LogEntry>} The metrics.
+ */
+metricsReport.getMetrics = function (session, eventName) {
+    return session.entries.filter(function (entry) {
+        var isMetric = !entry.module || entry.module === "metrics";
+        return isMetric && (typeof(eventName) === "string" ? entry.event === eventName : eventName.test(entry.event));
+    });
+};
+
+/**
+ * Converts milliseconds to seconds, to one decimal place.
+ *
+ * @param {Number} ms The milliseconds.
+ * @return {Number} The seconds.
+ */
+metricsReport.seconds = function (ms) {
+    return Math.round(ms / 100) / 10;
+};
+
+/**
+ * Gets the period a time is in.
+ *
+ * @param {Number} time The time.
+ * @param {String} interval "day" or "hour".
+ * @return {String} The start of the period, like "2020-01-31" or "2020-01-31T09:00".
+ */
+metricsReport.getPeriod = function (time, interval) {
+    var iso = new Date(time).toISOString();
+    return interval === "hour" ? iso.substr(0, 13) + ":00" : iso.substr(0, 10);
+};
+
+/**
+ * The reports, keyed by name.
+ */
+metricsReport.reports = {};
+
+/**
+ * The sessions, with how long they were and how many entries they have.
+ *
+ * @param {Array<Object>} sessions The sessions.
+ * @return {Report} The report.
+ */
+metricsReport.reports.sessions = function (sessions) {
+    return {
+        title: "Sessions",
+        columns: ["installID", "sessionID", "start", "end", "seconds", "entries"],
+        rows: sessions.map(function (session) {
+            return {
+                installID: session.installID,
+                sessionID: session.sessionID,
+                start: new Date(session.start).toISOString(),
+                end: new Date(session.end).toISOString(),
+                seconds: metricsReport.seconds(session.end - session.start),
+                entries: session.entries.length
+            };
+        })
+    };
+};
+
+/**
+ * The typing rate and correction ratio over time, from the "typing-session" metrics.
+ *
+ * @param {Array<Object>} sessions The sessions.
+ * @param {Object} options The command line options: {interval}.
+ * @return {Report} The report.
+ */
+metricsReport.reports.typing = function (sessions, options) {
+    var periods = {};
+    var togo = [];
+    sessions.forEach(function (session) {
+        metricsReport.getMetrics(session, "typing-session").forEach(function (entry) {
+            var key = options.interval === "session"
+                ? session.installID + "/" + session.sessionID
+                : session.installID + "/" + metricsReport.getPeriod(entry.time, options.interval);
+            var period = periods[key];
+            if (!period) {
+                period = periods[key] = {
+                    installID: session.installID,
+                    period: options.interval === "session"
+                        ? session.sessionID
+                        : metricsReport.getPeriod(entry.time, options.interval),
+                    typingSessions: 0,
+                    keys: 0,
+                    duration: 0,
+                    corrections: 0
+                };
+                togo.push(period);
+            }
+            period.typingSessions++;
+            period.keys += entry.data.count || 0;
+            period.duration += entry.data.duration || 0;
+            period.corrections += entry.data.corrections || 0;
+        });
+    });
+
+    return {
+        title: "Typing",
+        columns: ["installID", "period", "typingSessions", "keys", "minutes", "rate", "corrections",
+            "correctionRatio"],
+        rows: togo.map(function (period) {
+            var minutes = period.duration / 60000;
+            return {
+                installID: period.installID,
+                period: period.period,
+                typingSessions: period.typingSessions,
+                keys: period.keys,
+                minutes: Math.round(minutes * 10) / 10,
+                // Keys per minute.
+                rate: minutes ? Math.round(period.keys / minutes) : null,
+                corrections: period.corrections,
+                correctionRatio: period.keys ? Math.round(period.corrections / period.keys * 1000) / 1000 : null
+            };
+        })
+    };
+};
+
+/**
+ * The foreground time of each application, from the "app-active" and "app-inactive" metrics. If an application's
+ * "app-inactive" is missing, its time ends at the next "app-active", or the end of the session.
+ *
+ * @param {Array<Object>} sessions The sessions.
+ * @return {Report} The report.
+ */
+metricsReport.reports.apps = function (sessions) {
+    var apps = {};
+    var add = function (active, end) {
+        var app = apps[active.data.exe];
+        if (!app) {
+            app = apps[active.data.exe] = {
+                exe: active.data.exe,
+                product: active.data.product,
+                category: active.data.category,
+                activations: 0,
+                duration: 0
+            };
+        }
+        app.activations++;
+        app.duration += Math.max(0, end - active.time);
+    };
+
+    sessions.forEach(function (session) {
+        var active = null;
+        metricsReport.getMetrics(session, /^app-(in)?active$/).forEach(function (entry) {
+            if (active && (entry.event === "app-active" || entry.data.window === active.data.window)) {
+                add(active, entry.time);
+                active = null;
+            }
+            if (entry.event === "app-active" && entry.data.exe) {
+                active = entry;
+            }
+        });
+        if (active) {
+            add(active, session.end);
+        }
+    });
+
+    var rows = Object.keys(apps).map(function (exe) {
+        return apps[exe];
+    }).sort(function (a, b) {
+        return b.duration - a.duration;
+    });
+
+    return {
+        title: "Application foreground time",
+        columns: ["exe", "product", "category", "activations", "seconds"],
+        rows: rows.map(function (app) {
+            return {
+                exe: app.exe,
+                product: app.product,
+                category: app.category,
+                activations: app.activations,
+                seconds: metricsReport.seconds(app.duration)
+            };
+        })
+    };
+};
+
+/**
+ * The periods of user inactivity and the computer sleeping, from the "user-idle" and "system-sleep" metrics.
+ *
+ * @param {Array<Object>} sessions The sessions.
+ * @return {Report} The report.
+ */
+metricsReport.reports.idle = function (sessions) {
+    var rows = [];
+    sessions.forEach(function (session) {
+        metricsReport.getMetrics(session, /^(user-idle|system-sleep)$/).forEach(function (entry) {
+            rows.push({
+                installID: session.installID,
+                sessionID: session.sessionID,
+                event: entry.event,
+                start: entry.data.start,
+                end: entry.data.end,
+                seconds: metricsReport.seconds(entry.data.duration || 0),
+                sleep: !!entry.data.sleep || entry.event === "system-sleep"
+            });
+        });
+    });
+    return {
+        title: "Idle periods",
+        columns: ["installID", "sessionID", "event", "start", "end", "seconds", "sleep"],
+        rows: rows
+    };
+};
+
+/**
+ * The timeline of configuration changes, from the "config.*" metrics.
+ *
+ * @param {Array<Object>} sessions The sessions.
+ * @return {Report} The report.
+ */
+metricsReport.reports.config = function (sessions) {
+    var rows = [];
+    sessions.forEach(function (session) {
+        metricsReport.getMetrics(session, /^config(\.|$)/).forEach(function (entry) {
+            var data = entry.data || {};
+            rows.push({
+                time: entry.timestamp,
+                installID: session.installID,
+                event: entry.event,
+                source: data.source,
+                action: data.action || data.section,
+                setting: data.setting,
+                from: data.from,
+                to: entry.event === "config.reverted" ? data.value : data.to
+            });
+        });
+    });
+    return {
+        title: "Configuration changes",
+        columns: ["time", "installID", "event", "source", "action", "setting", "from", "to"],
+        rows: rows
+    };
+};
+
+/**
+ * The system of each installation, from the latest "system-info" and "version" metrics.
+ *
+ * @param {Array<Object>} sessions The sessions.
+ * @return {Report} The report.
+ */
+metricsReport.reports.system = function (sessions) {
+    var installs = {};
+    var togo = [];
+    sessions.forEach(function (session) {
+        var install = installs[session.installID];
+        if (!install) {
+            install = installs[session.installID] = {
+                installID: session.installID,
+                sessions: 0
+            };
+            togo.push(install);
+        }
+        install.sessions++;
+        metricsReport.getMetrics(session, /^(system-info|version)$/).forEach(function (entry) {
+            install.time = entry.timestamp;
+            if (entry.event === "version") {
+                install.version = entry.data.windowsMetrics;
+            } else {
+                Object.assign(install, entry.data);
+            }
+        });
+    });
+    return {
+        title: "Systems",
+        columns: ["installID", "sessions", "time", "version", "osEdition", "osRelease", "osBits", "cpu", "cores",
+            "memory", "resolution", "scale", "monitors", "systemMfr", "systemName"],
+        rows: togo
+    };
+};
+
+/**
+ * Converts a value for the text outputs.
+ *
+ * @param {Any} value The value.
+ * @return {String} The text.
+ */
+metricsReport.toText = function (value) {
+    return (value === null || value === undefined) ? ""
+        : typeof(value) === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Formats reports as CSV. Each report is preceded with a line of its name, and separated by a blank line.
+ *
+ * @param {Object<String,Report>} reports The reports.
+ * @return {String} The CSV.
+ */
+metricsReport.formatCsv = function (reports) {
+    var escape = function (value) {
+        var text = metricsReport.toText(value);
+        return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+    };
+    var names = Object.keys(reports);
+    return names.map(function (name) {
+        var report = reports[name];
+        var lines = names.length > 1 ? ["# " + name] : [];
+        lines.push(report.columns.map(escape).join(","));
+        report.rows.forEach(function (row) {
+            lines.push(report.columns.map(function (column) {
+                return escape(row[column]);
+            }).join(","));
+        });
+        return lines.join("\n") + "\n";
+    }).join("\n");
+};
+
+/**
+ * Formats reports as human-readable tables.
+ *
+ * @param {Object<String,Report>} reports The reports.
+ * @return {String} The tables.
+ */
+metricsReport.formatTable = function (reports) {
+    return Object.keys(reports).map(function (name) {
+        var report = reports[name];
+        var cells = [report.columns].concat(report.rows.map(function (row) {
+            return report.columns.map(function (column) {
+                return metricsReport.toText(row[column]);
+            });
+        }));
+        var widths = report.columns.map(function (column, index) {
+            return Math.max.apply(null, cells.map(function (line) {
+                return line[index].length;
+            }));
+        });
+        var lines = cells.map(function (line) {
+            return line.map(function (cell, index) {
+                return cell + " ".repeat(widths[index] - cell.length);
+            }).join("  ").trimRight();
+        });
+        lines.splice(1, 0, widths.map(function (width) {
+            return "-".repeat(width);
+        }).join("  "));
+
+        return report.title + " (" + report.rows.length + ")\n\n" + lines.join("\n") + "\n";
+    }).join("\n");
+};
+
+/**
+ * Formats reports as JSON: the rows of each report, keyed by report name.
+ *
+ * @param {Object<String,Report>} reports The reports.
+ * @return {String} The JSON.
+ */
+metricsReport.formatJson = function (reports) {
+    var togo = {};
+    Object.keys(reports).forEach(function (name) {
+        togo[name] = reports[name].rows;
+    });
+    return JSON.stringify(togo, null, 2) + "\n";
+};
+
+metricsReport.formats = {
+    table: metricsReport.formatTable,
+    json: metricsReport.formatJson,
+    csv: metricsReport.formatCsv
+};
+
+/**
+ * Parses the command line.
+ *
+ * @param {Array<String>} args The arguments.
+ * @return {Object} The options: {reports, format, interval, inputs, help}.
+ */
+metricsReport.parseArgs = function (args) {
+    var togo = {
+        reports: Object.keys(metricsReport.reports),
+        format: "table",
+        interval: "day",
+        inputs: [],
+        help: false
+    };
+
+    for (var n = 0; n < args.length; n++) {
+        var arg = args[n];
+        if (arg === "--help" || arg === "-h") {
+            togo.help = true;
+        } else if (arg === "--report" || arg === "--format" || arg === "--interval") {
+            var value = args[++n];
+            if (value === undefined) {
+                throw new Error("Missing value for " + arg);
+            }
+            if (arg === "--report") {
+                togo.reports = value.split(",");
+            } else {
+                togo[arg.substr(2)] = value;
+            }
+        } else if (arg.startsWith("--")) {
+            throw new Error("Unknown option " + arg);
+        } else {
+            togo.inputs.push(arg);
+        }
+    }
+
+    togo.reports.forEach(function (name) {
+        if (!metricsReport.reports[name]) {
+            throw new Error("Unknown report " + name);
+        }
+    });
+    if (!metricsReport.formats[togo.format]) {
+        throw new Error("Unknown format " + togo.format);
+    }
+    if (["day", "hour", "session"].indexOf(togo.interval) < 0) {
+        throw new Error("Unknown interval " + togo.interval);
+    }
+    if (!togo.help && !togo.inputs.length) {
+        throw new Error("No log files given");
+    }
+    return togo;
+};
+
+/**
+ * Produces the reports.
+ *
+ * @param {Array<String>} files The log files.
+ * @param {Object} options The options, from parseArgs.
+ * @return {Object} {output, invalidLines} The formatted reports, and the number of lines that couldn't be read.
+ */
+metricsReport.run = function (files, options) {
+    var logs = metricsReport.readLogs(files);
+    var sessions = metricsReport.getSessions(logs.entries);
+
+    var reports = {};
+    options.reports.forEach(function (name) {
+        reports[name] = metricsReport.reports[name](sessions, options);
+    });
+    return {
+        output: metricsReport.formats[options.format](reports),
+        invalidLines: logs.invalidLines
+    };
+};
+
+/**
+ * Runs the command.
+ *
+ * @param {Array<String>} args The command line arguments.
+ * @return {Number} The exit code.
+ */
+metricsReport.main = function (args) {
+    var options;
+    try {
+        options = metricsReport.parseArgs(args);
+    } catch (e) {
+        process.stderr.write(e.message + "\n\n" + metricsReport.usage + "\n");
+        return 1;
+    }
+
+    if (options.help) {
+        process.stdout.write(metricsReport.usage + "\n");
+        return 0;
+    }
+
+    var result = metricsReport.run(metricsReport.listFiles(options.inputs), options);
+    process.stdout.write(result.output);
+    if (result.invalidLines) {
+        process.stderr.write("Skipped " + result.invalidLines + " lines that couldn't be read.\n");
+    }
+    return 0;
+};
+
+if (require.main === module) {
+    process.exitCode = metricsReport.main(process.argv.slice(2));
+}
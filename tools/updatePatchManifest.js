@@ -0,0 +1,72 @@
+/*
+ * Updates the hashes in the patch manifest (files/patchManifest.json), after the patch files have changed.
+ *
+ * Usage: node updatePatchManifest.js [--original <app directory>]...
+ *
+ * --original adds the hashes of the target files in an installed (or unpacked) copy of the application to the
+ * originals that the patch will replace. Where a target has a .old file, that's taken as the original.
+ *
+ * Copyright 2020 Raising the Floor - International
+ *
+ * Licensed under the New BSD license. You may not use this file except in
+ * compliance with this License.
+ *
+ * The R&D leading to these results received funding from the
+ * Department of Education - Grant H421A150005 (GPII-APCP). However,
+ * these results do not necessarily represent the policy of the
+ * Department of Education, and you should not assume endorsement by the
+ * Federal Government.
+ *
+ * You may obtain a copy of the License at
+ * https://github.com/GPII/universal/blob/master/LICENSE.txt
+ */
+
+"use strict";
+
+var fs = require("fs"),
+    path = require("path");
+
+var applyPatch = require("../files/applyPatch.js");
+
+var manifestFile = path.join(__dirname, "..", "files", "patchManifest.json");
+
+/**
+ * Updates the manifest.
+ *
+ * @param {Array<String>} originals The directories of the original application, to take the original hashes from.
+ */
+var updateManifest = function (originals) {
+    var manifest = applyPatch.readManifest(manifestFile);
+
+    manifest.files.forEach(function (entry) {
+        entry.hash = applyPatch.hashFile(path.join(manifest.dir, entry.source));
+        if (!entry.hash) {
+            throw new Error("Missing patch file " + entry.source);
+        }
+        originals.forEach(function (appRoot) {
+            // A .old file was left by an earlier fix, which moved the original aside.
+            var target = path.join(appRoot, entry.target);
+            var original = applyPatch.hashFile(target + ".old") || applyPatch.hashFile(target);
+            if (entry.original.indexOf(original) < 0) {
+                entry.original.push(original);
+            }
+        });
+    });
+
+    delete manifest.dir;
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 4) + "\n");
+};
+
+if (require.main === module) {
+    var args = process.argv.slice(2);
+    var originals = [];
+    for (var n = 0; n < args.length; n++) {
+        if (args[n] === "--original" && args[n + 1]) {
+            originals.push(args[++n]);
+        } else {
+            process.stderr.write("Usage: node updatePatchManifest.js [--original <app directory>]...\n");
+            process.exit(1);
+        }
+    }
+    updateManifest(originals);
+}